@@ -0,0 +1,116 @@
+const express = require('express');
+const cors = require('cors');
+const { getDriver } = require('./config/db');
+const { sendValidationError } = require('./middleware/validate');
+const { generalLimit, trustProxySetting } = require('./middleware/rateLimit');
+
+const authRoutes = require('./routes/auth');
+const productRoutes = require('./routes/products');
+const orderRoutes = require('./routes/orders');
+const smsRoutes = require('./routes/sms');
+const smmRoutes = require('./routes/smm');
+const paymentRoutes = require('./routes/payments');
+const adminRoutes = require('./routes/admin');
+const announcementRoutes = require('./routes/announcements');
+
+const app = express();
+
+// req.ip is the real client behind Render's proxy - rate limits key on it
+app.set('trust proxy', trustProxySetting());
+
+// ============================================
+// CORS CONFIGURATION
+// ============================================
+app.use(cors({
+    origin: [
+        'https://mublogmarketplace.name.ng',
+        'https://mublog-backend.onrender.com',
+        'http://localhost:3000',
+        'http://localhost:5500',
+        'http://127.0.0.1:5500'
+    ],
+    credentials: true,
+    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization'],
+    exposedHeaders: ['Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset']
+}));
+
+app.options('*', cors());
+app.use(express.json());
+
+// 1. Security Headers
+app.use((req, res, next) => {
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.setHeader('X-Frame-Options', 'DENY');
+    res.setHeader('X-XSS-Protection', '1; mode=block');
+    res.setHeader('Strict-Transport-Security', 'max-age=31536000; includeSubDomains');
+    res.setHeader('Content-Security-Policy', "default-src 'self'; script-src 'self' 'unsafe-inline' cdnjs.cloudflare.com checkout.flutterwave.com; style-src 'self' 'unsafe-inline' fonts.googleapis.com; font-src fonts.gstatic.com cdnjs.cloudflare.com; connect-src 'self' api.flutterwave.com 5sim.net reallysimplesocial.com");
+    next();
+});
+
+// 2. INPUT SANITIZATION MIDDLEWARE
+app.use(express.json({
+    verify: (req, res, buf) => {
+        if (buf.includes('<script') || buf.includes('javascript:')) {
+            throw new Error('Suspicious content detected');
+        }
+    }
+}));
+
+// 3. PROTECTION AGAINST COMMON ATTACKS
+
+// Log all requests
+app.use((req, res, next) => {
+    console.log(`[${new Date().toISOString()}] ${req.method} ${req.path} - IP: ${req.ip}`);
+    next();
+});
+
+// Prevent parameter pollution
+app.use((req, res, next) => {
+    if (Array.isArray(req.query) || Array.isArray(req.body)) {
+        return res.status(400).json({ error: 'Invalid request format' });
+    }
+    next();
+});
+
+// ============================================
+// 🧪 HEALTH CHECK ENDPOINTS
+// ============================================
+
+app.get('/api/test', (req, res) => {
+    res.json({ message: "✅ Server is running!" });
+});
+
+app.get('/api/health', (req, res) => {
+    res.json({
+        status: "✅ Server is healthy",
+        timestamp: new Date().toISOString(),
+        database: getDriver() === 'memory' ? "🧪 In-memory" : getDriver() ? "✅ Connected" : "❌ Not connected"
+    });
+});
+
+// ============================================
+// ROUTERS
+// ============================================
+
+// Health checks above stay unlimited for the uptime monitor
+app.use('/api', generalLimit);
+
+app.use('/api/auth', authRoutes);
+app.use('/api/products', productRoutes);
+app.use('/api/orders', orderRoutes);
+app.use('/api/sms', smsRoutes);
+app.use('/api/smm', smmRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api', announcementRoutes);
+
+// Bodies that aren't valid JSON (or trip the sanitizer) fail like schema errors
+app.use((err, req, res, next) => {
+    if (err.type === 'entity.parse.failed' || err.type === 'entity.verify.failed') {
+        return sendValidationError(res, [{ location: 'body', field: null, message: err.type === 'entity.parse.failed' ? 'Request body is not valid JSON' : err.message }]);
+    }
+    next(err);
+});
+
+module.exports = app;
@@ -1,14 +1,121 @@
-const mysql = require('mysql2');
-const dotenv = require('dotenv');
-dotenv.config();
-
-const pool = mysql.createPool({
-    host: 'localhost',
-    user: 'root',
-    password: '', // Default XAMPP password is empty
-    database: 'digital_store',
-    waitForConnections: true,
-    connectionLimit: 10
-});
-
-module.exports = pool.promise();
\ No newline at end of file
+const { MongoClient, ObjectId } = require('mongodb');
+
+const { MemoryDb } = require('./memoryDb');
+
+// ============================================
+// DATABASE CONNECTION
+// ============================================
+//
+// Everything goes through getCollection(), which hands back a driver-shaped
+// collection. DB_DRIVER=memory swaps MongoDB for config/memoryDb (tests and
+// local runs only); otherwise a failed connection is fatal - there is no
+// silent fallback that would serve an empty store.
+
+let db = null;
+let client = null;
+let driver = null;
+
+async function ensureIndexes(database) {
+    await database.collection('transactions').createIndex({ tx_ref: 1 }, { unique: true, sparse: true });
+    await database.collection('ledger').createIndex({ account: 1, created_at: -1 });
+    await database.collection('ledger').createIndex({ txn_id: 1 });
+    await database.collection('ledger').createIndex({ account: 1, 'reference.id': 1 });
+    await database.collection('product_items').createIndex({ product_id: 1, status: 1, created_at: 1 });
+    // Catalogue filters and the keyset sorts in services/productCatalogue
+    await database.collection('products').createIndex({ category: 1, stock: 1 });
+    await database.collection('products').createIndex({ price: 1, _id: 1 });
+    await database.collection('products').createIndex({ sold: -1, _id: -1 });
+    await database.collection('orders').createIndex({ user_id: 1, _id: -1 });
+    await database.collection('orders').createIndex({ type: 1, status: 1, expires_at: 1 });
+    await database.collection('sms_reconciliation').createIndex({ sms_order_id: 1, action: 1, status: 1 });
+    await database.collection('smm_services').createIndex({ service_id: 1 }, { unique: true });
+    await database.collection('audit_log').createIndex({ action: 1, _id: -1 });
+    await database.collection('audit_log').createIndex({ 'actor.id': 1, _id: -1 });
+    await database.collection('audit_log').createIndex({ 'target.type': 1, 'target.id': 1, _id: -1 });
+    await database.collection('auth_tokens').createIndex({ token_hash: 1 }, { unique: true });
+    await database.collection('auth_tokens').createIndex({ user_id: 1, purpose: 1, used_at: 1 });
+    // Spent and expired tokens are only kept a week, for support queries
+    await database.collection('auth_tokens').createIndex({ expires_at: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+    await database.collection('sessions').createIndex({ user_id: 1, revoked_at: 1 });
+    await database.collection('sessions').createIndex({ expires_at: 1 }, { expireAfterSeconds: 0 });
+    await database.collection('rate_limits').createIndex({ reset_at: 1 }, { expireAfterSeconds: 0 });
+}
+
+async function connectDB({ driver: requested = process.env.DB_DRIVER || 'mongodb' } = {}) {
+    if (db) return db;
+
+    if (requested === 'memory') {
+        if (process.env.NODE_ENV === 'production') {
+            throw new Error('DB_DRIVER=memory is for tests and local runs - refusing to start in production');
+        }
+        const memory = new MemoryDb();
+        await ensureIndexes(memory);
+        db = memory;
+        driver = 'memory';
+        console.log('🧪 Using in-memory database (data is lost on restart)');
+        return db;
+    }
+
+    if (requested !== 'mongodb') {
+        throw new Error(`Unknown DB_DRIVER "${requested}" - use mongodb or memory`);
+    }
+
+    const uri = process.env.MONGODB_URI || 'mongodb://localhost:27017/mublog';
+    const mongoClient = new MongoClient(uri);
+
+    try {
+        await mongoClient.connect();
+        const database = mongoClient.db('mublog');
+        await ensureIndexes(database);
+        db = database;
+        client = mongoClient;
+        driver = 'mongodb';
+        console.log('✅ Connected to MongoDB');
+        return db;
+    } catch (err) {
+        await mongoClient.close().catch(() => {});
+        console.error('❌ MongoDB Error:', err.message);
+        throw err;
+    }
+}
+
+async function closeDB() {
+    if (client) await client.close();
+    db = null;
+    client = null;
+    driver = null;
+}
+
+// ============================================
+// HELPERS
+// ============================================
+
+function getCollection(name) {
+    if (!db) {
+        throw new Error('Database not connected - call connectDB() before using collections');
+    }
+    return db.collection(name);
+}
+
+function toObjectId(id) {
+    if (!id) return null;
+    if (id instanceof ObjectId) return id;
+    if (typeof id === 'string' && ObjectId.isValid(id)) {
+        try {
+            return new ObjectId(id);
+        } catch (e) {}
+    }
+    return id;
+}
+
+const isConnected = () => !!db;
+const getDriver = () => driver;
+
+module.exports = {
+    connectDB,
+    closeDB,
+    getDriver,
+    getCollection,
+    toObjectId,
+    isConnected
+};
@@ -0,0 +1,447 @@
+const { ObjectId } = require('mongodb');
+
+// ============================================
+// 🧪 IN-MEMORY DATABASE
+// ============================================
+//
+// A stand-in for the MongoDB driver's Db for tests and local runs
+// (DB_DRIVER=memory). It implements the part of the driver API the app
+// calls - find/sort/skip/limit, findOne, insert, update/upsert,
+// findOneAndUpdate, delete, countDocuments and unique indexes - with the
+// same matching rules: ObjectIds only equal ObjectIds, values of different
+// types never compare, equality against an array matches any element, and
+// null matches a missing field. Every operation runs synchronously inside
+// its promise, so each one is atomic just like a single-document write in
+// Mongo. Documents are copied in and out, so callers can't mutate the store.
+
+class DuplicateKeyError extends Error {
+    constructor(collection, key) {
+        super(`E11000 duplicate key error collection: ${collection} index: ${Object.keys(key).join('_')} dup key: ${JSON.stringify(key)}`);
+        this.name = 'MongoServerError';
+        this.code = 11000;
+        this.keyValue = key;
+    }
+}
+
+const isObjectId = (value) => value instanceof ObjectId;
+const isPlainObject = (value) => value !== null && typeof value === 'object' &&
+    !Array.isArray(value) && !(value instanceof Date) && !isObjectId(value) && !(value instanceof RegExp);
+const isOperatorObject = (value) => isPlainObject(value) && Object.keys(value).length > 0 &&
+    Object.keys(value).every(key => key.startsWith('$'));
+
+function clone(value) {
+    if (Array.isArray(value)) return value.map(clone);
+    if (value instanceof Date) return new Date(value.getTime());
+    if (isPlainObject(value)) {
+        const copy = {};
+        for (const [key, v] of Object.entries(value)) copy[key] = clone(v);
+        return copy;
+    }
+    return value;
+}
+
+// Values reachable at a dotted path; arrays along the way fan out like Mongo
+function resolvePath(doc, path) {
+    const [head, ...rest] = path.split('.');
+    if (doc === null || doc === undefined || typeof doc !== 'object') return [undefined];
+    const value = doc[head];
+    if (rest.length === 0) return [value];
+    if (Array.isArray(value)) return value.flatMap(item => resolvePath(item, rest.join('.')));
+    return resolvePath(value, rest.join('.'));
+}
+
+function equals(a, b) {
+    if (isObjectId(a) || isObjectId(b)) return isObjectId(a) && isObjectId(b) && a.equals(b);
+    if (a instanceof Date || b instanceof Date) return a instanceof Date && b instanceof Date && a.getTime() === b.getTime();
+    if (Array.isArray(a) || Array.isArray(b)) {
+        return Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((v, i) => equals(v, b[i]));
+    }
+    if (isPlainObject(a) || isPlainObject(b)) {
+        if (!isPlainObject(a) || !isPlainObject(b)) return false;
+        const keys = Object.keys(a);
+        return keys.length === Object.keys(b).length && keys.every(k => equals(a[k], b[k]));
+    }
+    if ((a === null || a === undefined) && (b === null || b === undefined)) return true;
+    return a === b;
+}
+
+// Negative/zero/positive when both sides are the same BSON type; null otherwise
+function compare(a, b) {
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    if (typeof a === 'string' && typeof b === 'string') return a < b ? -1 : a > b ? 1 : 0;
+    if (a instanceof Date && b instanceof Date) return a.getTime() - b.getTime();
+    if (isObjectId(a) && isObjectId(b)) return compare(a.toHexString(), b.toHexString());
+    if (typeof a === 'boolean' && typeof b === 'boolean') return Number(a) - Number(b);
+    return null;
+}
+
+// Matches against a value or, for arrays, any of its elements
+const anyValue = (values, test) => values.some(value =>
+    test(value) || (Array.isArray(value) && value.some(item => test(item))));
+
+function matchesOperator(values, op, arg) {
+    switch (op) {
+        case '$eq':
+            return anyValue(values, v => equals(v, arg));
+        case '$ne':
+            return !anyValue(values, v => equals(v, arg));
+        case '$gt':
+            return anyValue(values, v => { const c = compare(v, arg); return c !== null && c > 0; });
+        case '$gte':
+            return anyValue(values, v => { const c = compare(v, arg); return c !== null && c >= 0; });
+        case '$lt':
+            return anyValue(values, v => { const c = compare(v, arg); return c !== null && c < 0; });
+        case '$lte':
+            return anyValue(values, v => { const c = compare(v, arg); return c !== null && c <= 0; });
+        case '$in':
+            return arg.some(candidate => matchesOperator(values, '$eq', candidate));
+        case '$nin':
+            return !arg.some(candidate => matchesOperator(values, '$eq', candidate));
+        case '$exists':
+            return values.some(v => v !== undefined) === Boolean(arg);
+        case '$regex':
+            return anyValue(values, v => typeof v === 'string' && (arg instanceof RegExp ? arg : new RegExp(arg)).test(v));
+        case '$options':
+            return true;
+        default:
+            throw new Error(`In-memory database does not support query operator ${op}`);
+    }
+}
+
+function matches(doc, query = {}) {
+    return Object.entries(query).every(([key, condition]) => {
+        if (key === '$and') return condition.every(q => matches(doc, q));
+        if (key === '$or') return condition.some(q => matches(doc, q));
+        if (key === '$nor') return !condition.some(q => matches(doc, q));
+        if (key.startsWith('$')) throw new Error(`In-memory database does not support query operator ${key}`);
+
+        const values = resolvePath(doc, key);
+
+        if (condition instanceof RegExp) return matchesOperator(values, '$regex', condition);
+        if (!isOperatorObject(condition)) return matchesOperator(values, '$eq', condition);
+
+        return Object.entries(condition).every(([op, arg]) => {
+            if (op === '$regex' && condition.$options) arg = new RegExp(arg, condition.$options);
+            return matchesOperator(values, op, arg);
+        });
+    });
+}
+
+function setPath(doc, path, value) {
+    const keys = path.split('.');
+    let target = doc;
+    for (const key of keys.slice(0, -1)) {
+        if (!isPlainObject(target[key])) target[key] = {};
+        target = target[key];
+    }
+    target[keys[keys.length - 1]] = value;
+}
+
+function unsetPath(doc, path) {
+    const keys = path.split('.');
+    let target = doc;
+    for (const key of keys.slice(0, -1)) {
+        if (!isPlainObject(target[key])) return;
+        target = target[key];
+    }
+    delete target[keys[keys.length - 1]];
+}
+
+const getPath = (doc, path) => resolvePath(doc, path)[0];
+
+function applyUpdate(doc, update, { inserting = false } = {}) {
+    for (const [op, fields] of Object.entries(update)) {
+        for (const [path, value] of Object.entries(fields)) {
+            switch (op) {
+                case '$set':
+                    setPath(doc, path, clone(value));
+                    break;
+                case '$setOnInsert':
+                    if (inserting) setPath(doc, path, clone(value));
+                    break;
+                case '$unset':
+                    unsetPath(doc, path);
+                    break;
+                case '$inc': {
+                    const current = getPath(doc, path);
+                    if (current !== undefined && typeof current !== 'number') {
+                        throw new Error(`Cannot apply $inc to a non-numeric field: ${path}`);
+                    }
+                    setPath(doc, path, (current || 0) + value);
+                    break;
+                }
+                case '$push': {
+                    const current = getPath(doc, path);
+                    if (current !== undefined && !Array.isArray(current)) {
+                        throw new Error(`Cannot apply $push to a non-array field: ${path}`);
+                    }
+                    const items = isPlainObject(value) && value.$each ? value.$each : [value];
+                    setPath(doc, path, [...(current || []), ...items.map(clone)]);
+                    break;
+                }
+                default:
+                    throw new Error(`In-memory database does not support update operator ${op}`);
+            }
+        }
+    }
+}
+
+// The equality parts of a filter seed an upserted document
+function seedFromFilter(filter) {
+    const doc = {};
+    for (const [key, condition] of Object.entries(filter)) {
+        if (key.startsWith('$')) continue;
+        if (isOperatorObject(condition)) {
+            if (condition.$eq !== undefined) setPath(doc, key, clone(condition.$eq));
+        } else if (!(condition instanceof RegExp)) {
+            setPath(doc, key, clone(condition));
+        }
+    }
+    return doc;
+}
+
+function sortDocs(docs, spec) {
+    const keys = Object.entries(spec);
+    return [...docs].sort((a, b) => {
+        for (const [path, direction] of keys) {
+            const x = getPath(a, path);
+            const y = getPath(b, path);
+            // Missing values sort first ascending, as in Mongo
+            if (x === undefined || x === null || y === undefined || y === null) {
+                const rank = (v) => (v === undefined || v === null ? 0 : 1);
+                if (rank(x) !== rank(y)) return (rank(x) - rank(y)) * direction;
+                continue;
+            }
+            const c = compare(x, y);
+            if (c) return c * direction;
+        }
+        return 0;
+    });
+}
+
+function project(doc, projection) {
+    if (!projection || Object.keys(projection).length === 0) return doc;
+    const fields = Object.entries(projection);
+    const including = fields.some(([key, on]) => key !== '_id' && on);
+
+    if (!including) {
+        const copy = { ...doc };
+        fields.forEach(([key]) => unsetPath(copy, key));
+        return copy;
+    }
+
+    const copy = {};
+    if (projection._id !== 0 && projection._id !== false) copy._id = doc._id;
+    fields.forEach(([key, on]) => {
+        if (on && key !== '_id') {
+            const value = getPath(doc, key);
+            if (value !== undefined) setPath(copy, key, value);
+        }
+    });
+    return copy;
+}
+
+class MemoryCursor {
+    constructor(load) {
+        this.load = load;
+        this.sortSpec = null;
+        this.skipCount = 0;
+        this.limitCount = 0;
+        this.projection = null;
+    }
+
+    sort(spec) {
+        this.sortSpec = spec;
+        return this;
+    }
+
+    skip(n) {
+        this.skipCount = n;
+        return this;
+    }
+
+    limit(n) {
+        this.limitCount = n;
+        return this;
+    }
+
+    project(projection) {
+        this.projection = projection;
+        return this;
+    }
+
+    async toArray() {
+        let docs = this.load();
+        if (this.sortSpec) docs = sortDocs(docs, this.sortSpec);
+        if (this.skipCount) docs = docs.slice(this.skipCount);
+        if (this.limitCount) docs = docs.slice(0, this.limitCount);
+        return docs.map(doc => clone(project(doc, this.projection)));
+    }
+}
+
+class MemoryCollection {
+    constructor(name) {
+        this.collectionName = name;
+        this.docs = [];
+        this.uniqueIndexes = [];
+    }
+
+    // Throws if `doc` would collide with another document on a unique index
+    checkUnique(doc, ignore) {
+        for (const { keys, sparse } of this.uniqueIndexes) {
+            const key = {};
+            keys.forEach(k => { key[k] = getPath(doc, k); });
+            if (sparse && keys.every(k => key[k] === undefined)) continue;
+
+            const clash = this.docs.some(other => other !== ignore && keys.every(k => equals(getPath(other, k), key[k])));
+            if (clash) throw new DuplicateKeyError(this.collectionName, key);
+        }
+    }
+
+    findMatching(filter, sort) {
+        const found = this.docs.filter(doc => matches(doc, filter));
+        return sort ? sortDocs(found, sort) : found;
+    }
+
+    // Applies `update` to a copy first so a failed update leaves the stored doc untouched
+    replaceWithUpdated(doc, update) {
+        const next = clone(doc);
+        applyUpdate(next, update);
+        if (next._id !== undefined && !equals(next._id, doc._id)) {
+            throw new Error('Performing an update on the path \'_id\' would modify the immutable field \'_id\'');
+        }
+        this.checkUnique(next, doc);
+        const changed = !equals(next, doc);
+        if (changed) this.docs[this.docs.indexOf(doc)] = next;
+        return { doc: next, changed };
+    }
+
+    upsert(filter, update) {
+        const doc = seedFromFilter(filter);
+        applyUpdate(doc, update, { inserting: true });
+        if (doc._id === undefined) doc._id = new ObjectId();
+        this.checkUnique(doc);
+        this.docs.push(doc);
+        return doc;
+    }
+
+    find(filter = {}, options = {}) {
+        const cursor = new MemoryCursor(() => this.findMatching(filter));
+        if (options.sort) cursor.sort(options.sort);
+        if (options.skip) cursor.skip(options.skip);
+        if (options.limit) cursor.limit(options.limit);
+        if (options.projection) cursor.project(options.projection);
+        return cursor;
+    }
+
+    async findOne(filter = {}, options = {}) {
+        const [doc] = this.findMatching(filter, options.sort);
+        return doc ? clone(project(doc, options.projection)) : null;
+    }
+
+    async countDocuments(filter = {}) {
+        return this.findMatching(filter).length;
+    }
+
+    async insertOne(doc) {
+        // The driver also writes the generated _id back onto the caller's object
+        if (doc._id === undefined) doc._id = new ObjectId();
+        const stored = clone(doc);
+        this.checkUnique(stored);
+        this.docs.push(stored);
+        return { acknowledged: true, insertedId: doc._id };
+    }
+
+    async insertMany(docs) {
+        const insertedIds = {};
+        for (let i = 0; i < docs.length; i++) {
+            insertedIds[i] = (await this.insertOne(docs[i])).insertedId;
+        }
+        return { acknowledged: true, insertedCount: docs.length, insertedIds };
+    }
+
+    async updateOne(filter, update, options = {}) {
+        const [doc] = this.findMatching(filter);
+        if (!doc) {
+            if (!options.upsert) return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 0, upsertedId: null };
+            const inserted = this.upsert(filter, update);
+            return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: inserted._id };
+        }
+
+        const { changed } = this.replaceWithUpdated(doc, update);
+        return { acknowledged: true, matchedCount: 1, modifiedCount: changed ? 1 : 0, upsertedCount: 0, upsertedId: null };
+    }
+
+    async updateMany(filter, update, options = {}) {
+        const found = this.findMatching(filter);
+        if (found.length === 0 && options.upsert) {
+            const inserted = this.upsert(filter, update);
+            return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: inserted._id };
+        }
+
+        let modifiedCount = 0;
+        for (const doc of found) {
+            if (this.replaceWithUpdated(doc, update).changed) modifiedCount++;
+        }
+        return { acknowledged: true, matchedCount: found.length, modifiedCount, upsertedCount: 0, upsertedId: null };
+    }
+
+    async findOneAndUpdate(filter, update, options = {}) {
+        const [doc] = this.findMatching(filter, options.sort);
+        let before = null;
+        let after = null;
+
+        if (doc) {
+            before = doc;
+            after = this.replaceWithUpdated(doc, update).doc;
+        } else if (options.upsert) {
+            after = this.upsert(filter, update);
+        }
+
+        const picked = options.returnDocument === 'after' ? after : before;
+        const value = picked ? clone(project(picked, options.projection)) : null;
+
+        // Driver 5.x wraps the document unless includeResultMetadata is false
+        if (options.includeResultMetadata === false) return value;
+        return { value, ok: 1, lastErrorObject: { n: doc || options.upsert ? 1 : 0, updatedExisting: Boolean(doc) } };
+    }
+
+    async deleteOne(filter = {}) {
+        const [doc] = this.findMatching(filter);
+        if (!doc) return { acknowledged: true, deletedCount: 0 };
+        this.docs.splice(this.docs.indexOf(doc), 1);
+        return { acknowledged: true, deletedCount: 1 };
+    }
+
+    async deleteMany(filter = {}) {
+        const before = this.docs.length;
+        this.docs = this.docs.filter(doc => !matches(doc, filter));
+        return { acknowledged: true, deletedCount: before - this.docs.length };
+    }
+
+    async createIndex(spec, options = {}) {
+        const keys = Object.keys(spec);
+        if (options.unique) {
+            this.uniqueIndexes.push({ keys, sparse: Boolean(options.sparse) });
+        }
+        return keys.map(k => `${k}_${spec[k]}`).join('_');
+    }
+}
+
+class MemoryDb {
+    constructor() {
+        this.collections = new Map();
+    }
+
+    collection(name) {
+        if (!this.collections.has(name)) this.collections.set(name, new MemoryCollection(name));
+        return this.collections.get(name);
+    }
+
+    async dropDatabase() {
+        this.collections.clear();
+        return true;
+    }
+}
+
+module.exports = { MemoryDb, MemoryCollection, DuplicateKeyError, matches };
@@ -0,0 +1,126 @@
+// ============================================
+// 🔐 SESSION RENEWAL
+// ============================================
+//
+// Access tokens only last a few minutes. Loaded before each page's own
+// script, this wraps fetch: when an authenticated API call comes back 401 it
+// trades the refresh token for a new pair (once, shared by every call that
+// failed at the same time) and retries. If the session can't be renewed the
+// user is sent back to the login page.
+//
+// Sensitive actions (large purchases, admin balance changes) can answer 403
+// STEP_UP_REQUIRED for accounts with two-factor authentication. The user is
+// asked for a code from their authenticator app and the call is retried.
+
+(function () {
+    const originalFetch = window.fetch.bind(window);
+    let refreshing = null;
+    let steppingUp = null;
+
+    const urlOf = (input) => (typeof input === 'string' ? input : input.url);
+    const authOf = (init) => init && init.headers && (init.headers.Authorization || init.headers.authorization);
+
+    async function renew(apiUrl) {
+        const refreshToken = localStorage.getItem('refreshToken');
+        if (!refreshToken) return null;
+
+        try {
+            const res = await originalFetch(apiUrl.replace(/\/api\/.*$/, '/api/auth/refresh'), {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ refreshToken })
+            });
+
+            if (res.ok) {
+                const data = await res.json();
+                localStorage.setItem('token', data.token);
+                localStorage.setItem('refreshToken', data.refreshToken);
+                return data.token;
+            }
+        } catch (err) {
+            return null;
+        }
+
+        // Another tab renewed it first and already saved the new pair
+        return localStorage.getItem('refreshToken') !== refreshToken ? localStorage.getItem('token') : null;
+    }
+
+    async function stepUp(apiUrl, token) {
+        const code = window.prompt('Enter the 6-digit code from your authenticator app (or a backup code) to continue:');
+        if (!code) return false;
+
+        const res = await originalFetch(apiUrl.replace(/\/api\/.*$/, '/api/auth/2fa/verify'), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+            body: JSON.stringify({ code: code.trim() })
+        });
+        if (!res.ok) {
+            const data = await res.json().catch(() => ({}));
+            alert(data.error || 'Could not verify the code');
+            return false;
+        }
+        return true;
+    }
+
+    async function needsStepUp(response) {
+        if (response.status !== 403) return false;
+        const data = await response.clone().json().catch(() => ({}));
+        return data.code === 'STEP_UP_REQUIRED';
+    }
+
+    function endLocally() {
+        localStorage.clear();
+        window.location.href = 'login.html';
+    }
+
+    async function fetchWithRenewal(input, init) {
+        const response = await originalFetch(input, init);
+        const url = urlOf(input);
+
+        if (response.status !== 401 || !authOf(init) || /\/auth\/(refresh|login)$/.test(url)) {
+            return response;
+        }
+
+        if (!refreshing) {
+            refreshing = renew(url).finally(() => { refreshing = null; });
+        }
+        const token = await refreshing;
+        if (!token) {
+            endLocally();
+            return response;
+        }
+
+        return originalFetch(input, { ...init, headers: { ...init.headers, Authorization: `Bearer ${token}` } });
+    }
+
+    window.fetch = async (input, init = {}) => {
+        const response = await fetchWithRenewal(input, init);
+
+        if (!authOf(init) || !(await needsStepUp(response))) {
+            return response;
+        }
+
+        // One prompt even if several calls hit the check together
+        if (!steppingUp) {
+            steppingUp = stepUp(urlOf(input), localStorage.getItem('token')).finally(() => { steppingUp = null; });
+        }
+        if (!(await steppingUp)) {
+            return response;
+        }
+
+        return originalFetch(input, { ...init, headers: { ...init.headers, Authorization: `Bearer ${localStorage.getItem('token')}` } });
+    };
+
+    // Closes this device's session on the server, then forgets it here
+    window.endSession = async (apiBase) => {
+        try {
+            await window.fetch(`${apiBase}/auth/logout`, {
+                method: 'POST',
+                headers: { 'Authorization': `Bearer ${localStorage.getItem('token')}` }
+            });
+        } catch (err) {
+            // Logging out locally still works offline
+        }
+        endLocally();
+    };
+})();
@@ -0,0 +1,213 @@
+const crypto = require('crypto');
+const { getCollection, toObjectId } = require('../config/db');
+const staff = require('../services/staff');
+const accounts = require('../services/accounts');
+const sessions = require('../services/sessions');
+const twoFactor = require('../services/twoFactor');
+
+// ============================================
+// TOKEN SIGNING & VERIFICATION
+// ============================================
+
+// Access tokens are short-lived; clients renew them with their refresh token
+const TOKEN_TTL_SECONDS = parseInt(process.env.JWT_EXPIRES_IN, 10) || 15 * 60;
+
+const MIN_SECRET_LENGTH = 32;
+const PLACEHOLDER_SECRETS = ['your_secret_key', 'secret', 'changeme', 'change_me', 'jwt_secret'];
+
+// Why JWT_SECRET can't be used, or null if it's fine. server.js refuses to
+// start on anything but null.
+function secretProblem(secret = process.env.JWT_SECRET) {
+    if (!secret) return 'JWT_SECRET is not set';
+    if (PLACEHOLDER_SECRETS.includes(secret.toLowerCase())) return 'JWT_SECRET is a placeholder value';
+    if (secret.length < MIN_SECRET_LENGTH) return `JWT_SECRET must be at least ${MIN_SECRET_LENGTH} characters`;
+    return null;
+}
+
+// Nothing is signed or verified with a missing or guessable key
+const getSecret = () => {
+    const problem = secretProblem();
+    if (problem) throw new Error(problem);
+    return process.env.JWT_SECRET;
+};
+
+const sign = (input) => crypto.createHmac('sha256', getSecret()).update(input).digest('base64url');
+
+const createToken = (data) => {
+    const now = Math.floor(Date.now() / 1000);
+    const header = Buffer.from(JSON.stringify({ alg: "HS256", typ: "JWT" })).toString('base64url');
+    const payload = Buffer.from(JSON.stringify({ ...data, iat: now, exp: now + TOKEN_TTL_SECONDS })).toString('base64url');
+    return `${header}.${payload}.${sign(`${header}.${payload}`)}`;
+};
+
+// The access token for a session: sid ties it to the device it was issued to
+const createAccessToken = (user, session) => createToken({
+    userId: String(user._id),
+    email: user.email,
+    role: user.role,
+    ver: user.token_version || 0,
+    sid: String(session._id)
+});
+
+// Returns the decoded payload, or null if the token is malformed, tampered with
+// or expired - or if there is no usable secret to check it against
+const verifyToken = (token) => {
+    if (typeof token !== 'string' || secretProblem()) return null;
+
+    const parts = token.split('.');
+    if (parts.length !== 3) return null;
+
+    const [header, payload, signature] = parts;
+    const expected = Buffer.from(sign(`${header}.${payload}`));
+    const given = Buffer.from(signature);
+
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+        return null;
+    }
+
+    try {
+        const decoded = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        if (!decoded.exp || decoded.exp <= Math.floor(Date.now() / 1000)) return null;
+        return decoded;
+    } catch (e) {
+        return null;
+    }
+};
+
+// ============================================
+// MIDDLEWARE
+// ============================================
+
+const authenticate = async (req, res, next) => {
+    const header = req.headers.authorization || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+
+    if (!token) {
+        return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const payload = verifyToken(token);
+    if (!payload || !payload.userId) {
+        return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+
+    try {
+        const user = await getCollection('users').findOne({ _id: toObjectId(String(payload.userId)) });
+        if (!user || accounts.statusOf(user) === accounts.ACCOUNT_STATUS.DELETED) {
+            return res.status(401).json({ error: 'Account not found' });
+        }
+
+        // Changing the password bumps token_version, which retires every
+        // token signed before it
+        if ((payload.ver || 0) !== (user.token_version || 0)) {
+            return res.status(401).json({ error: 'Session expired - please log in again' });
+        }
+
+        const session = await sessions.findActive(payload.sid, user._id);
+        if (!session) {
+            return res.status(401).json({ error: 'Session expired - please log in again' });
+        }
+
+        req.user = {
+            id: String(payload.userId),
+            email: user.email,
+            role: user.role || staff.ROLES.USER
+        };
+        req.account = user;
+        req.session = session;
+        next();
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+};
+
+// Roles and permissions come from the account authenticate() just read,
+// never from the token, so a demoted or suspended account loses access on
+// its next request
+function loadAccess(req) {
+    const user = req.account;
+    req.user.permissions = accounts.isActive(user) ? staff.permissionsFor(user) : [];
+    req.user.status = accounts.statusOf(user);
+}
+
+// For anything that spends or adds money: suspended and banned accounts can
+// still read their history and cancel, but not buy or top up
+const requireActiveAccount = (req, res, next) => {
+    if (!accounts.isActive(req.account)) {
+        return res.status(403).json({ error: accounts.blockedMessage(req.account), status: accounts.statusOf(req.account) });
+    }
+    next();
+};
+
+// Staff get their permissions back as soon as they turn 2FA on
+const sendTwoFactorSetupRequired = (res) => res.status(403).json({
+    error: 'Turn on two-factor authentication to use the admin panel',
+    code: 'TWO_FACTOR_SETUP_REQUIRED'
+});
+
+const requireAdmin = (req, res, next) => {
+    loadAccess(req);
+    if (req.user.role !== staff.ROLES.ADMIN || !accounts.isActive(req.account)) {
+        return res.status(403).json({ error: 'Admin access required' });
+    }
+    if (!twoFactor.isEnabled(req.account)) return sendTwoFactorSetupRequired(res);
+    next();
+};
+
+const requirePermission = (permission) => (req, res, next) => {
+    loadAccess(req);
+    if (!req.user.permissions.includes(permission)) {
+        return res.status(403).json({ error: `Missing permission: ${permission}` });
+    }
+    if (!twoFactor.isEnabled(req.account)) return sendTwoFactorSetupRequired(res);
+    next();
+};
+
+// ============================================
+// 🛡️ STEP-UP VERIFICATION
+// ============================================
+//
+// Sensitive actions need a two-factor code confirmed by this session in the
+// last few minutes (POST /api/auth/2fa/verify). Clients retry after
+// prompting for a code when they see STEP_UP_REQUIRED.
+
+const sendStepUpRequired = (res) => res.status(403).json({
+    error: 'Enter a code from your authenticator app to continue',
+    code: 'STEP_UP_REQUIRED'
+});
+
+// For routes that are always sensitive, like balance adjustments
+const requireStepUp = (req, res, next) => {
+    if (!twoFactor.hasRecentStepUp(req.session)) return sendStepUpRequired(res);
+    next();
+};
+
+// For purchases: only large ones, and only for accounts that have 2FA to confirm with
+const needsStepUp = (req, amount) => twoFactor.isEnabled(req.account)
+    && amount >= twoFactor.STEP_UP_PURCHASE_THRESHOLD
+    && !twoFactor.hasRecentStepUp(req.session);
+
+// Lets a user act on their own :userId, and staff with the users permission on anyone's
+const authorizeUserParam = (req, res, next) => {
+    const { userId } = req.params;
+    if (!userId || userId === req.user.id) {
+        return next();
+    }
+    return requirePermission(staff.PERMISSIONS.USERS)(req, res, next);
+};
+
+module.exports = {
+    TOKEN_TTL_SECONDS,
+    secretProblem,
+    createToken,
+    createAccessToken,
+    verifyToken,
+    authenticate,
+    requireAdmin,
+    requirePermission,
+    requireActiveAccount,
+    requireStepUp,
+    needsStepUp,
+    sendStepUpRequired,
+    authorizeUserParam
+};
@@ -0,0 +1,101 @@
+const { getRateLimitStore } = require('../services/rateLimit');
+
+// ============================================
+// RATE LIMITING
+// ============================================
+//
+// Each route names a policy: a window and the most requests allowed in it per
+// client IP and/or per account (the signed-in user, or the email the request
+// is about). Counts live in the configured store (services/rateLimit), so
+// they hold across restarts and instances.
+//
+// Every limited response carries RateLimit-Limit / -Remaining / -Reset for
+// the tightest rule that applied, and a 429 adds Retry-After.
+
+const MINUTE = 60 * 1000;
+
+const POLICIES = {
+    // Anything under /api, against scripted scraping
+    general: { windowMs: MINUTE, limits: { ip: 120 } },
+    register: { windowMs: 60 * MINUTE, limits: { ip: 5 } },
+    // Wrong passwords also lock the account for a while - see services/loginLockout
+    login: { windowMs: 15 * MINUTE, limits: { ip: 20, account: 10 } },
+    loginTwoFactor: { windowMs: 15 * MINUTE, limits: { ip: 10 } },
+    resetPassword: { windowMs: 15 * MINUTE, limits: { ip: 5 } },
+    changePassword: { windowMs: 15 * MINUTE, limits: { account: 5 } },
+    // Reset and verification emails
+    mail: { windowMs: 60 * MINUTE, limits: { ip: 5, account: 3 } }
+};
+
+const normaliseEmail = (email) => (typeof email === 'string' && email.trim() ? email.trim().toLowerCase() : null);
+
+const KEYS = {
+    ip: (req) => req.ip,
+    account: (req) => (req.user && req.user.id) || normaliseEmail(req.body && req.body.email)
+};
+
+const secondsUntil = (time) => Math.max(1, Math.ceil((time - Date.now()) / 1000));
+
+// Render's load balancer is the one hop in front of the app and appends the
+// real client to X-Forwarded-For. Trusting exactly one hop makes req.ip that
+// client without letting anyone pick their own IP by sending the header.
+// TRUST_PROXY overrides: a hop count, true/false, or trusted subnets.
+function trustProxySetting(value = process.env.TRUST_PROXY) {
+    if (value === undefined || value === '') return process.env.RENDER ? 1 : false;
+    if (value === 'true' || value === 'false') return value === 'true';
+    if (/^\d+$/.test(value)) return Number(value);
+    return value;
+}
+
+function setHeaders(res, policy, hits) {
+    const tightest = hits.reduce((a, b) => (b.max - b.count < a.max - a.count ? b : a));
+    res.set({
+        'RateLimit-Policy': hits.map(hit => `${hit.max};w=${policy.windowMs / 1000}`).join(', '),
+        'RateLimit-Limit': String(tightest.max),
+        'RateLimit-Remaining': String(Math.max(0, tightest.max - tightest.count)),
+        'RateLimit-Reset': String(secondsUntil(tightest.resetAt))
+    });
+}
+
+function sendTooManyRequests(res, retryAfterSeconds, error = 'Too many requests. Try again later.') {
+    res.set('Retry-After', String(retryAfterSeconds));
+    return res.status(429).json({ error, retryAfter: retryAfterSeconds });
+}
+
+const rateLimit = (policyName) => {
+    const policy = POLICIES[policyName];
+    if (!policy) throw new Error(`Unknown rate limit policy: ${policyName}`);
+
+    return async (req, res, next) => {
+        let hits;
+        try {
+            const store = getRateLimitStore();
+            hits = [];
+            for (const [by, max] of Object.entries(policy.limits)) {
+                const id = KEYS[by](req);
+                if (!id) continue;
+                const { count, resetAt } = await store.increment(`${policyName}:${by}:${id}`, policy.windowMs);
+                hits.push({ max, count, resetAt });
+            }
+        } catch (err) {
+            // A store outage shouldn't take the API down with it
+            console.error(`❌ Rate limit store error (${policyName}):`, err.message);
+            return next();
+        }
+
+        if (hits.length === 0) return next();
+        setHeaders(res, policy, hits);
+
+        const exceeded = hits.filter(hit => hit.count > hit.max);
+        if (exceeded.length > 0) {
+            const retryAt = Math.max(...exceeded.map(hit => hit.resetAt));
+            console.log(`🚦 Rate limited (${policyName}): ${req.method} ${req.originalUrl} from ${req.ip}`);
+            return sendTooManyRequests(res, secondsUntil(retryAt));
+        }
+        next();
+    };
+};
+
+const generalLimit = rateLimit('general');
+
+module.exports = { POLICIES, rateLimit, generalLimit, sendTooManyRequests, trustProxySetting };
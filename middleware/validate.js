@@ -0,0 +1,190 @@
+const { ObjectId } = require('mongodb');
+
+// ============================================
+// REQUEST VALIDATION
+// ============================================
+//
+// Routes declare what they accept as { body, query } schemas mapping each
+// field to a rule:
+//
+//   type       string | number | integer | boolean | id | objectId | array | object
+//   required   reject when missing (null counts as missing unless nullable)
+//   nullable   allow an explicit null
+//   enum       allowed values
+//   min / max            number range
+//   minLength / maxLength  string length, array size
+//   pattern    RegExp a string must match; `message` replaces the default text
+//   items      rule for each array element
+//   lowercase / uppercase  normalise strings before checking
+//   default    value used when the field is missing
+//
+// Fields a schema doesn't name are rejected, so clients can't slip extra
+// fields (role, balance, ...) into a document. Values are normalised in
+// place - strings trimmed, numbers parsed from query strings - before the
+// handler runs. Every failure comes back as
+//   400 { error, code: 'VALIDATION_ERROR', details: [{ location, field, message }] }
+// where error repeats the first message for clients that only show one.
+
+const VALIDATION_ERROR = 'VALIDATION_ERROR';
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const declares = (schema, field) => Object.prototype.hasOwnProperty.call(schema, field);
+
+const toNumber = (value) => {
+    if (typeof value === 'number') return value;
+    if (typeof value === 'string' && value.trim() !== '') return Number(value);
+    return NaN;
+};
+
+// Returns [normalisedValue, errorMessage]
+function checkType(rule, field, value) {
+    switch (rule.type) {
+        case 'string': {
+            if (typeof value !== 'string') return [value, `${field} must be a string`];
+            let str = rule.trim === false ? value : value.trim();
+            if (rule.lowercase) str = str.toLowerCase();
+            if (rule.uppercase) str = str.toUpperCase();
+            return [str];
+        }
+        case 'number':
+        case 'integer': {
+            const num = toNumber(value);
+            if (!Number.isFinite(num)) return [value, `${field} must be a number`];
+            if (rule.type === 'integer' && !Number.isInteger(num)) return [value, `${field} must be a whole number`];
+            return [num];
+        }
+        case 'boolean':
+            if (value === true || value === 'true') return [true];
+            if (value === false || value === 'false') return [false];
+            return [value, `${field} must be true or false`];
+        case 'id':
+            // Provider ids arrive as numbers from some clients and strings from others
+            if (typeof value === 'number' && Number.isInteger(value)) return [String(value)];
+            if (typeof value === 'string' && value.trim() !== '') return [value.trim()];
+            return [value, `${field} must be an id`];
+        case 'objectId':
+            if (typeof value === 'string' && ObjectId.isValid(value)) return [value];
+            return [value, `${field} must be a valid id`];
+        case 'array':
+            return Array.isArray(value) ? [value] : [value, `${field} must be a list`];
+        case 'object':
+            return isPlainObject(value) ? [value] : [value, `${field} must be an object`];
+        default:
+            throw new Error(`Unknown schema type for ${field}: ${rule.type}`);
+    }
+}
+
+function checkField(rule, field, value) {
+    const [normalised, typeError] = checkType(rule, field, value);
+    if (typeError) return [normalised, typeError];
+
+    const v = normalised;
+    const message = (fallback) => rule.message || fallback;
+
+    if (rule.enum && !rule.enum.includes(v)) {
+        return [v, message(`${field} must be one of: ${rule.enum.join(', ')}`)];
+    }
+
+    if (typeof v === 'number') {
+        if (rule.min !== undefined && v < rule.min) return [v, message(`${field} must be at least ${rule.min}`)];
+        if (rule.max !== undefined && v > rule.max) return [v, message(`${field} must be at most ${rule.max}`)];
+    }
+
+    if (typeof v === 'string' || Array.isArray(v)) {
+        const unit = typeof v === 'string' ? 'characters' : 'items';
+        if (rule.minLength !== undefined && v.length < rule.minLength) {
+            return [v, message(v.length === 0 ? `${field} is required` : `${field} must be at least ${rule.minLength} ${unit}`)];
+        }
+        if (rule.maxLength !== undefined && v.length > rule.maxLength) {
+            return [v, message(`${field} must be at most ${rule.maxLength} ${unit}`)];
+        }
+    }
+
+    if (rule.pattern && !rule.pattern.test(v)) {
+        return [v, message(`${field} is not in the expected format`)];
+    }
+
+    if (rule.items && Array.isArray(v)) {
+        const items = [];
+        for (let i = 0; i < v.length; i++) {
+            const [item, error] = checkField(rule.items, `${field}[${i}]`, v[i]);
+            if (error) return [v, error];
+            items.push(item);
+        }
+        return [items];
+    }
+
+    return [v];
+}
+
+// Validates `input` against `schema`; returns { value, details }
+function validateObject(schema, input, location) {
+    const details = [];
+    const value = {};
+    const source = isPlainObject(input) ? input : {};
+
+    for (const field of Object.keys(source)) {
+        if (!declares(schema, field)) details.push({ location, field, message: `${field} is not allowed` });
+    }
+
+    for (const [field, rule] of Object.entries(schema)) {
+        const raw = source[field];
+
+        if (raw === undefined || (raw === null && !rule.nullable)) {
+            if (rule.required) {
+                details.push({ location, field, message: rule.message || `${field} is required` });
+            } else if (rule.default !== undefined) {
+                value[field] = rule.default;
+            }
+            continue;
+        }
+
+        if (raw === null) {
+            value[field] = null;
+            continue;
+        }
+
+        const [normalised, error] = checkField(rule, field, raw);
+        if (error) {
+            details.push({ location, field, message: error });
+        } else {
+            value[field] = normalised;
+        }
+    }
+
+    return { value, details };
+}
+
+const sendValidationError = (res, details) => res.status(400).json({
+    error: details[0].message,
+    code: VALIDATION_ERROR,
+    details
+});
+
+function validate(schemas) {
+    return (req, res, next) => {
+        const details = [];
+        const results = {};
+
+        for (const location of ['body', 'query']) {
+            if (!schemas[location]) continue;
+            const result = validateObject(schemas[location], req[location], location);
+            details.push(...result.details);
+            results[location] = result.value;
+        }
+
+        if (details.length > 0) return sendValidationError(res, details);
+
+        if (results.body) req.body = results.body;
+        if (results.query) req.query = results.query;
+        next();
+    };
+}
+
+module.exports = {
+    VALIDATION_ERROR,
+    validate,
+    validateObject,
+    sendValidationError
+};
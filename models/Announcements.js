@@ -1,27 +0,0 @@
-const mongoose = require('mongoose');
-
-const announcementSchema = new mongoose.Schema({
-    title: {
-        type: String,
-        required: true
-    },
-    message: {
-        type: String,
-        required: true
-    },
-    type: {
-        type: String,
-        enum: ['info', 'warning', 'success'],
-        default: 'info'
-    },
-    is_active: {
-        type: Boolean,
-        default: true
-    },
-    createdAt: {
-        type: Date,
-        default: Date.now
-    }
-});
-
-module.exports = mongoose.model('Announcement', announcementSchema);
\ No newline at end of file
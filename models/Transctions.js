@@ -1,19 +0,0 @@
-const mongoose = require('mongoose');
-
-const transactionSchema = new mongoose.Schema({
-    user_id: {
-        type: mongoose.Schema.Types.ObjectId,
-        ref: 'User',
-        required: true
-    },
-    transaction_id: String,
-    reference_id: String,
-    amount: Number,
-    status: String,
-    createdAt: {
-        type: Date,
-        default: Date.now
-    }
-});
-
-module.exports = mongoose.model('Transaction', transactionSchema);
\ No newline at end of file
@@ -1,32 +0,0 @@
-const mongoose = require('mongoose');
-
-const productSchema = new mongoose.Schema({
-    category: {
-        type: String,
-        required: true
-    },
-    name: {
-        type: String,
-        required: true
-    },
-    price: {
-        type: Number,
-        required: true
-    },
-    description: String,
-    public_link: String,
-    credentials: {
-        type: String,
-        required: true
-    },
-    stock: {
-        type: Number,
-        default: 1
-    },
-    createdAt: {
-        type: Date,
-        default: Date.now
-    }
-});
-
-module.exports = mongoose.model('Product', productSchema);
\ No newline at end of file
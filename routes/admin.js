@@ -0,0 +1,516 @@
+const express = require('express');
+const { getCollection, toObjectId } = require('../config/db');
+const { authenticate, requireAdmin, requirePermission } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const wallet = require('../services/wallet');
+const inventory = require('../services/inventory');
+const catalogue = require('../services/productCatalogue');
+const { getSmsProvider } = require('../services/sms');
+const smsReconciliation = require('../services/sms/reconciliation');
+const pricing = require('../services/pricing');
+const { getSmmClient } = require('../services/smm');
+const smmCatalogue = require('../services/smmCatalogue');
+const smmReconciliation = require('../services/smmReconciliation');
+const orders = require('../services/orders');
+const staff = require('../services/staff');
+const audit = require('../services/audit');
+
+const router = express.Router();
+
+// Value checks for pricing live in services/pricing; these only pin the shape
+const pricingFields = {
+    sms_exchange_rate: { type: 'number' },
+    smm_exchange_rate: { type: 'number' },
+    markup_percent: { type: 'number' },
+    service_markups: { type: 'object' },
+    country_markups: { type: 'object' },
+    smm_category_markups: { type: 'object' },
+    sms_min_margin: { type: 'number' },
+    smm_min_margin: { type: 'number' },
+    sms_rounding: { type: 'object' },
+    smm_rounding: { type: 'object' }
+};
+
+const schemas = {
+    pricing: {
+        body: pricingFields
+    },
+    pricingPreview: {
+        body: {
+            settings: { type: 'object', default: {} },
+            smsServices: { type: 'array', maxLength: 50, items: { type: 'string', minLength: 1, maxLength: 50 } },
+            includeSmm: { type: 'boolean', default: true }
+        }
+    },
+    reconciliationList: {
+        query: {
+            status: { type: 'string', uppercase: true, enum: [...Object.values(smsReconciliation.ISSUE_STATUS), 'ALL'], default: smsReconciliation.ISSUE_STATUS.OPEN }
+        }
+    },
+    resolveIssue: {
+        body: {
+            note: { type: 'string', maxLength: 500 }
+        }
+    },
+    setRole: {
+        body: {
+            role: { type: 'string', required: true, lowercase: true, enum: Object.values(staff.ROLES) },
+            permissions: { type: 'array', maxLength: staff.ALL_PERMISSIONS.length, items: { type: 'string', lowercase: true, enum: staff.ALL_PERMISSIONS } }
+        }
+    },
+    curateService: {
+        body: {
+            hidden: { type: 'boolean' },
+            display_name: { type: 'string', nullable: true, maxLength: 120 },
+            display_category: { type: 'string', nullable: true, maxLength: 120 },
+            rate_override: { type: 'number', nullable: true, min: 0.01 },
+            link_pattern: { type: 'string', nullable: true, trim: false, maxLength: 500 }
+        }
+    },
+    auditSearch: {
+        query: {
+            action: { type: 'string', maxLength: 500 },
+            actorId: { type: 'objectId' },
+            targetType: { type: 'string', maxLength: 50 },
+            targetId: { type: 'string', maxLength: 100 },
+            q: { type: 'string', maxLength: 200 },
+            from: { type: 'string', maxLength: 40 },
+            to: { type: 'string', maxLength: 40 },
+            cursor: { type: 'objectId' },
+            limit: { type: 'integer', min: 1, max: 100 }
+        }
+    }
+};
+
+// Role and permissions as they stand, for the audit entry of a role change
+async function currentAccess(userId) {
+    const user = await getCollection('users').findOne({ _id: toObjectId(userId) });
+    return user ? { role: user.role || staff.ROLES.USER, permissions: staff.permissionsFor(user) } : null;
+}
+
+const roleTarget = (user) => ({ type: 'user', id: user.id, label: user.email });
+
+// ============================================
+// 👥 STAFF
+// ============================================
+
+// Only full admins hand out roles; staff can't widen their own access
+router.get('/permissions', authenticate, requireAdmin, (req, res) => {
+    res.json({ roles: Object.values(staff.ROLES), permissions: staff.ALL_PERMISSIONS });
+});
+
+router.get('/staff', authenticate, requireAdmin, async (req, res) => {
+    try {
+        res.json(await staff.listStaff());
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Body: { role: 'user' | 'staff' | 'admin', permissions?: [...] } - permissions only for staff
+router.put('/staff/:userId', authenticate, requireAdmin, validate(schemas.setRole), async (req, res) => {
+    try {
+        const previous = await currentAccess(req.params.userId);
+        const updated = await staff.setRole(req.params.userId, req.body, { type: 'admin', id: req.user.id });
+
+        if (!updated) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        await audit.record(req, {
+            action: audit.AUDIT_ACTIONS.USER_ROLE,
+            target: roleTarget(updated),
+            before: previous,
+            after: { role: updated.role, permissions: updated.permissions }
+        });
+
+        console.log(`👥 ${updated.email} is now ${updated.role} (${updated.permissions.join(', ') || 'no permissions'}) - by ${req.user.email}`);
+        res.json({ message: 'Role updated', user: updated });
+    } catch (err) {
+        if (err instanceof staff.StaffError) {
+            return res.status(400).json({ error: err.message });
+        }
+        console.error('Role update error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+router.delete('/staff/:userId', authenticate, requireAdmin, async (req, res) => {
+    try {
+        const previous = await currentAccess(req.params.userId);
+        const updated = await staff.setRole(req.params.userId, { role: staff.ROLES.USER }, { type: 'admin', id: req.user.id });
+
+        if (!updated) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        await audit.record(req, {
+            action: audit.AUDIT_ACTIONS.USER_ROLE,
+            target: roleTarget(updated),
+            before: previous,
+            after: { role: updated.role, permissions: updated.permissions }
+        });
+
+        console.log(`👥 ${updated.email} removed from staff by ${req.user.email}`);
+        res.json({ message: 'Staff access removed', user: updated });
+    } catch (err) {
+        if (err instanceof staff.StaffError) {
+            return res.status(400).json({ error: err.message });
+        }
+        console.error('Role removal error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ============================================
+// 🧰 MIGRATIONS
+// ============================================
+
+router.post('/inventory/migrate', authenticate, requirePermission(staff.PERMISSIONS.INVENTORY), async (req, res) => {
+    try {
+        const result = await inventory.migrateLegacyCredentials();
+        await audit.record(req, {
+            action: audit.AUDIT_ACTIONS.INVENTORY_MIGRATE,
+            target: { type: 'products', id: null, label: 'legacy credentials' },
+            after: result
+        });
+        res.json({ message: `${result.migrated} products moved to per-unit inventory`, ...result });
+    } catch (err) {
+        console.error('Inventory migration error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+router.post('/orders/migrate', authenticate, requirePermission(staff.PERMISSIONS.ORDERS), async (req, res) => {
+    try {
+        const result = await orders.migrateLegacyOrders();
+        await audit.record(req, {
+            action: audit.AUDIT_ACTIONS.ORDERS_MIGRATE,
+            target: { type: 'orders', id: null, label: 'legacy orders' },
+            after: result
+        });
+        console.log(`🧾 Orders migrated: ${result.moved} SMS moved, ${result.normalized} normalized`);
+        res.json(result);
+    } catch (err) {
+        console.error('Order migration error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Counts past sales onto older listings so the best-selling sort includes them
+router.post('/catalogue/backfill-sales', authenticate, requirePermission(staff.PERMISSIONS.INVENTORY), async (req, res) => {
+    try {
+        const result = await catalogue.backfillSales();
+        await audit.record(req, {
+            action: audit.AUDIT_ACTIONS.CATALOGUE_BACKFILL,
+            target: { type: 'products', id: null, label: 'sales counts' },
+            after: result
+        });
+        res.json({ message: `${result.updated} products given a sales count`, ...result });
+    } catch (err) {
+        console.error('Sales backfill error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ============================================
+// 💰 WALLET LEDGER
+// ============================================
+
+router.get('/wallet/reconcile', authenticate, requirePermission(staff.PERMISSIONS.FINANCE), async (req, res) => {
+    try {
+        const report = await wallet.reconcile();
+        console.log(`🧾 Wallet reconciliation: ${report.mismatches.length}/${report.checked} mismatched`);
+        res.json(report);
+    } catch (err) {
+        console.error('Reconcile error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+router.post('/wallet/opening-balances', authenticate, requirePermission(staff.PERMISSIONS.FINANCE), async (req, res) => {
+    try {
+        const result = await wallet.postOpeningBalances({ type: 'admin', id: req.user.id });
+        await audit.record(req, {
+            action: audit.AUDIT_ACTIONS.OPENING_BALANCES,
+            target: { type: 'wallet', id: null, label: 'opening balances' },
+            after: result
+        });
+        res.json({ message: `Opening balances posted for ${result.posted} users`, ...result });
+    } catch (err) {
+        console.error('Opening balances error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ============================================
+// 🏷️ PRICING SETTINGS
+// ============================================
+
+router.get('/pricing', authenticate, requirePermission(staff.PERMISSIONS.FINANCE), async (req, res) => {
+    try {
+        res.json(await pricing.getSettings());
+    } catch (err) {
+        console.error('Pricing settings error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+router.put('/pricing', authenticate, requirePermission(staff.PERMISSIONS.FINANCE), validate(schemas.pricing), async (req, res) => {
+    try {
+        const previous = await pricing.getSettings();
+        const settings = await pricing.updateSettings(req.body, { type: 'admin', id: req.user.id });
+        await audit.record(req, {
+            action: audit.AUDIT_ACTIONS.PRICING_UPDATE,
+            target: { type: 'settings', id: 'pricing', label: Object.keys(req.body).join(', ') },
+            before: previous,
+            after: settings
+        });
+        console.log(`🏷️ Pricing settings updated by ${req.user.email}`);
+        res.json({ message: 'Pricing updated', settings });
+    } catch (err) {
+        if (err instanceof pricing.PricingSettingsError) {
+            return res.status(400).json({ error: err.message });
+        }
+        console.error('Pricing update error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Body: { settings: <proposed change>, smsServices?: ['whatsapp', ...], includeSmm?: true }
+// SMS samples default to the allowed services; nothing is saved.
+router.post('/pricing/preview', authenticate, requirePermission(staff.PERMISSIONS.FINANCE), validate(schemas.pricingPreview), async (req, res) => {
+    try {
+        const { settings, includeSmm } = req.body;
+        let { smsServices } = req.body;
+
+        if (!Array.isArray(smsServices)) {
+            const allowed = await getCollection('allowed_services').find({}).toArray();
+            smsServices = allowed.map(s => s.service_name);
+        }
+
+        const smsOffers = [];
+        for (const service of smsServices) {
+            try {
+                const offers = await getSmsProvider().getPrices(service);
+                offers
+                    .filter(o => o.count > 0 && o.cost > 0)
+                    .forEach(o => smsOffers.push({ service, ...o }));
+            } catch (err) {
+                console.error(`⚠️ Preview skipped SMS prices for ${service}:`, err.message);
+            }
+        }
+
+        let smmServices = [];
+        if (includeSmm) {
+            try {
+                // Services with their own rate_override don't follow the settings
+                const catalogue = await smmCatalogue.listAll();
+                smmServices = catalogue
+                    .filter(s => s.available && s.rate_override === null)
+                    .map(s => ({ service: s.service_id, name: smmCatalogue.displayName(s), category: smmCatalogue.displayCategory(s), rate: s.rate }));
+            } catch (err) {
+                console.error('⚠️ Preview skipped SMM services:', err.message);
+            }
+        }
+
+        res.json(await pricing.previewSettings(settings, { smsOffers, smmServices }));
+    } catch (err) {
+        if (err instanceof pricing.PricingSettingsError) {
+            return res.status(400).json({ error: err.message });
+        }
+        console.error('Pricing preview error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ============================================
+// 📱 SMS PROVIDER
+// ============================================
+
+router.get('/sms/provider-test', authenticate, requirePermission(staff.PERMISSIONS.SMS), async (req, res) => {
+    const provider = getSmsProvider();
+    console.log(`🔧 Testing SMS provider: ${provider.name}`);
+
+    const result = { provider: provider.name };
+
+    // Test 1: public price list
+    try {
+        const prices = await provider.getPrices('whatsapp');
+        result.test1_prices = { success: true, offers: prices.length };
+    } catch (err) {
+        result.test1_prices = { success: false, error: err.message, code: err.code };
+    }
+
+    // Test 2: authenticated account call
+    try {
+        const { balance } = await provider.getBalance();
+        result.test2_account = { success: true, balance };
+    } catch (err) {
+        result.test2_account = { success: false, error: err.message, code: err.code };
+    }
+
+    result.recommendation = result.test2_account.success ? '✅ API key is valid!' : '❌ API key may be invalid or expired';
+    res.json(result);
+});
+
+// Activations the provider didn't confirm closing: ?status=OPEN|RESOLVED|ALL
+router.get('/sms/reconciliation', authenticate, requirePermission(staff.PERMISSIONS.SMS), validate(schemas.reconciliationList), async (req, res) => {
+    try {
+        const issues = await smsReconciliation.listIssues(req.query.status);
+        res.json(issues);
+    } catch (err) {
+        console.error('SMS reconciliation list error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+router.post('/sms/reconciliation/:issueId/retry', authenticate, requirePermission(staff.PERMISSIONS.SMS), async (req, res) => {
+    try {
+        const result = await smsReconciliation.retryIssue(req.params.issueId);
+
+        if (!result) {
+            return res.status(404).json({ error: 'Issue not found' });
+        }
+
+        res.json(result);
+    } catch (err) {
+        console.error('SMS reconciliation retry error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+router.post('/sms/reconciliation/:issueId/resolve', authenticate, requirePermission(staff.PERMISSIONS.SMS), validate(schemas.resolveIssue), async (req, res) => {
+    try {
+        const resolved = await smsReconciliation.resolveIssue(req.params.issueId, {
+            note: req.body.note,
+            actor: { type: 'admin', id: req.user.id }
+        });
+
+        if (!resolved) {
+            return res.status(404).json({ error: 'No open issue with that id' });
+        }
+
+        await audit.record(req, {
+            action: audit.AUDIT_ACTIONS.SMS_ISSUE_RESOLVE,
+            target: { type: 'sms_issue', id: req.params.issueId },
+            reason: req.body.note
+        });
+
+        res.json({ message: 'Issue resolved' });
+    } catch (err) {
+        console.error('SMS reconciliation resolve error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ============================================
+// 🔄 SMM RECONCILIATION
+// ============================================
+
+// Panel orders that were refunded because we couldn't record them: ?status=OPEN|RESOLVED|ALL
+router.get('/smm/reconciliation', authenticate, requirePermission(staff.PERMISSIONS.SMM), validate(schemas.reconciliationList), async (req, res) => {
+    try {
+        res.json(await smmReconciliation.listIssues(req.query.status));
+    } catch (err) {
+        console.error('SMM reconciliation list error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+router.post('/smm/reconciliation/:issueId/resolve', authenticate, requirePermission(staff.PERMISSIONS.SMM), validate(schemas.resolveIssue), async (req, res) => {
+    try {
+        const resolved = await smmReconciliation.resolveIssue(req.params.issueId, {
+            note: req.body.note,
+            actor: { type: 'admin', id: req.user.id }
+        });
+
+        if (!resolved) {
+            return res.status(404).json({ error: 'No open issue with that id' });
+        }
+
+        await audit.record(req, {
+            action: audit.AUDIT_ACTIONS.SMM_ISSUE_RESOLVE,
+            target: { type: 'smm_issue', id: req.params.issueId },
+            reason: req.body.note
+        });
+
+        res.json({ message: 'Issue resolved' });
+    } catch (err) {
+        console.error('SMM reconciliation resolve error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ============================================
+// 📚 SMM CATALOGUE
+// ============================================
+
+router.get('/smm/services', authenticate, requirePermission(staff.PERMISSIONS.SMM), async (req, res) => {
+    try {
+        res.json(await smmCatalogue.listAll());
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Body: any of hidden, display_name, display_category, rate_override, link_pattern
+router.put('/smm/services/:serviceId', authenticate, requirePermission(staff.PERMISSIONS.SMM), validate(schemas.curateService), async (req, res) => {
+    try {
+        const previous = await getCollection('smm_services').findOne({ service_id: String(req.params.serviceId) });
+        const found = await smmCatalogue.curate(req.params.serviceId, req.body);
+
+        if (!found) {
+            return res.status(404).json({ error: 'Service not found' });
+        }
+
+        const before = {};
+        Object.keys(req.body).forEach(field => { before[field] = previous[field] === undefined ? null : previous[field]; });
+        await audit.record(req, {
+            action: audit.AUDIT_ACTIONS.SMM_SERVICE_CURATE,
+            target: { type: 'smm_service', id: req.params.serviceId, label: previous.name },
+            before,
+            after: req.body
+        });
+
+        res.json({ message: 'Service updated' });
+    } catch (err) {
+        if (err instanceof smmCatalogue.SmmCatalogueError) {
+            return res.status(400).json({ error: err.message });
+        }
+        res.status(500).json({ error: err.message });
+    }
+});
+
+router.post('/smm/services/refresh', authenticate, requirePermission(staff.PERMISSIONS.SMM), async (req, res) => {
+    try {
+        const result = await smmCatalogue.refresh(getSmmClient());
+        res.json({ message: `Catalogue refreshed: ${result.services} services`, ...result });
+    } catch (err) {
+        console.error('SMM catalogue refresh error:', err);
+        res.status(502).json({ error: err.message });
+    }
+});
+
+// ============================================
+// 🧾 AUDIT LOG
+// ============================================
+
+// Query: action (comma-separated), actorId, targetType, targetId, q, from, to, cursor, limit
+router.get('/audit', authenticate, requirePermission(staff.PERMISSIONS.AUDIT), validate(schemas.auditSearch), async (req, res) => {
+    try {
+        res.json(await audit.search(req.query));
+    } catch (err) {
+        if (err instanceof audit.AuditQueryError) {
+            return res.status(400).json({ error: err.message });
+        }
+        console.error('Audit search error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+router.get('/audit/actions', authenticate, requirePermission(staff.PERMISSIONS.AUDIT), (req, res) => {
+    res.json(Object.values(audit.AUDIT_ACTIONS));
+});
+
+module.exports = router;
@@ -0,0 +1,92 @@
+const express = require('express');
+const { getCollection } = require('../config/db');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../services/staff');
+const audit = require('../services/audit');
+const { validate } = require('../middleware/validate');
+
+// Mounted at /api: the public read and the admin writes share this router
+const router = express.Router();
+
+const ANNOUNCEMENT_TYPES = ['info', 'warning', 'success'];
+
+const schemas = {
+    publish: {
+        body: {
+            title: { type: 'string', required: true, minLength: 1, maxLength: 120 },
+            message: { type: 'string', required: true, minLength: 1, maxLength: 2000 },
+            type: { type: 'string', enum: ANNOUNCEMENT_TYPES, default: 'info' }
+        }
+    }
+};
+
+// ============================================
+// 📢 ANNOUNCEMENTS
+// ============================================
+
+router.get('/announcement', async (req, res) => {
+    try {
+        const announcements = await getCollection('announcements')
+            .find({ is_active: true })
+            .toArray();
+        res.json(announcements[0] || {});
+    } catch (err) {
+        res.json({});
+    }
+});
+
+router.post('/admin/announcement', authenticate, requirePermission(PERMISSIONS.ANNOUNCEMENTS), validate(schemas.publish), async (req, res) => {
+    try {
+        const { title, message, type } = req.body;
+
+        const previous = await getCollection('announcements').findOne({ is_active: true });
+        await getCollection('announcements').updateOne(
+            { is_active: true },
+            { $set: { is_active: false } }
+        );
+
+        const announcement = {
+            title,
+            message,
+            type,
+            is_active: true,
+            createdAt: new Date()
+        };
+        const result = await getCollection('announcements').insertOne(announcement);
+
+        await audit.record(req, {
+            action: audit.AUDIT_ACTIONS.ANNOUNCEMENT_PUBLISH,
+            target: { type: 'announcement', id: result.insertedId, label: title },
+            before: previous,
+            after: announcement
+        });
+
+        res.json({ message: "Announcement published!", id: result.insertedId });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+router.delete('/admin/announcement', authenticate, requirePermission(PERMISSIONS.ANNOUNCEMENTS), async (req, res) => {
+    try {
+        const current = await getCollection('announcements').findOne({ is_active: true });
+        await getCollection('announcements').updateOne(
+            { is_active: true },
+            { $set: { is_active: false } }
+        );
+
+        if (current) {
+            await audit.record(req, {
+                action: audit.AUDIT_ACTIONS.ANNOUNCEMENT_REMOVE,
+                target: { type: 'announcement', id: current._id, label: current.title },
+                before: current
+            });
+        }
+
+        res.json({ message: "Announcement removed" });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+module.exports = router;
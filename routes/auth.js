@@ -1,64 +1,834 @@
 const express = require('express');
+const bcryptjs = require('bcryptjs');
+const { getCollection, toObjectId } = require('../config/db');
+const { TOKEN_TTL_SECONDS, createAccessToken, authenticate, requirePermission, requireStepUp, authorizeUserParam } = require('../middleware/auth');
+const staff = require('../services/staff');
+const audit = require('../services/audit');
+const accounts = require('../services/accounts');
+const sessions = require('../services/sessions');
+const twoFactor = require('../services/twoFactor');
+const authTokens = require('../services/authTokens');
+const loginLockout = require('../services/loginLockout');
+const { sendMail } = require('../services/mail');
+const mailMessages = require('../services/mail/messages');
+const { rateLimit, sendTooManyRequests } = require('../middleware/rateLimit');
+const { validate } = require('../middleware/validate');
+const wallet = require('../services/wallet');
+const { verifyPayment } = require('./payments');
+
 const router = express.Router();
-const bcrypt = require('bcryptjs');
-const crypto = require('crypto');
-const User = require('../models/User');
-
-const createToken = (data) => {
-    const header = Buffer.from(JSON.stringify({ alg: "HS256", typ: "JWT" })).toString('base64');
-    const payload = Buffer.from(JSON.stringify(data)).toString('base64');
-    const signature = crypto.createHmac('sha256', 'your_secret_key').update(`${header}.${payload}`).digest('base64');
-    return `${header}.${payload}.${signature}`;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const newPasswordRule = { type: 'string', required: true, trim: false, minLength: 8, maxLength: 128, pattern: /(?=.*[A-Z])(?=.*\d)/, message: 'Password must be 8+ chars with uppercase and number' };
+const emailTokenRule = { type: 'string', required: true, minLength: 1, maxLength: 200, message: 'A token is required' };
+// Six digits from the app, or a backup code like K7PQ2-M4XZT
+const twoFactorCodeRule = { type: 'string', required: true, minLength: 6, maxLength: 20, message: 'Enter the code from your authenticator app or a backup code' };
+const reasonRule = { type: 'string', required: true, minLength: 3, maxLength: 500, message: 'A reason of at least 3 characters is required' };
+
+const schemas = {
+    register: {
+        body: {
+            username: { type: 'string', required: true, minLength: 3, maxLength: 50, pattern: /^[A-Za-z0-9_]+$/, message: 'Username must be 3-50 letters, numbers or underscores' },
+            email: { type: 'string', required: true, lowercase: true, maxLength: 254, pattern: EMAIL_PATTERN, message: 'Invalid email format' },
+            password: newPasswordRule
+        }
+    },
+    forgotPassword: {
+        body: {
+            email: { type: 'string', required: true, lowercase: true, maxLength: 254, pattern: EMAIL_PATTERN, message: 'Invalid email format' }
+        }
+    },
+    resetPassword: {
+        body: {
+            token: emailTokenRule,
+            password: newPasswordRule
+        }
+    },
+    verifyEmail: {
+        body: {
+            token: emailTokenRule
+        }
+    },
+    changePassword: {
+        body: {
+            currentPassword: { type: 'string', required: true, trim: false, minLength: 1, maxLength: 128, message: 'Current password required' },
+            newPassword: newPasswordRule
+        }
+    },
+    refresh: {
+        body: {
+            refreshToken: { type: 'string', required: true, minLength: 1, maxLength: 200, message: 'A refresh token is required' }
+        }
+    },
+    forceLogout: {
+        body: {
+            reason: reasonRule
+        }
+    },
+    loginTwoFactor: {
+        body: {
+            challengeToken: { type: 'string', required: true, minLength: 1, maxLength: 200, message: 'Log in again to get a new challenge' },
+            code: twoFactorCodeRule
+        }
+    },
+    twoFactorCode: {
+        body: {
+            code: twoFactorCodeRule
+        }
+    },
+    disableTwoFactor: {
+        body: {
+            password: { type: 'string', required: true, trim: false, minLength: 1, maxLength: 128, message: 'Password required' },
+            code: twoFactorCodeRule
+        }
+    },
+    resetTwoFactor: {
+        body: {
+            reason: reasonRule
+        }
+    },
+    login: {
+        body: {
+            email: { type: 'string', required: true, lowercase: true, maxLength: 254, message: 'Email and password required' },
+            password: { type: 'string', required: true, trim: false, minLength: 1, maxLength: 128, message: 'Email and password required' }
+        }
+    },
+    topup: {
+        body: {
+            userId: { type: 'objectId', required: true },
+            // Negative amounts correct an earlier over-credit
+            amount: { type: 'number', required: true, min: -10000000, max: 10000000, message: 'Invalid amount' },
+            reason: { type: 'string', required: true, minLength: 3, maxLength: 500, message: 'A reason of at least 3 characters is required for balance adjustments' }
+        }
+    },
+    setStatus: {
+        body: {
+            status: { type: 'string', required: true, lowercase: true, enum: [accounts.ACCOUNT_STATUS.ACTIVE, accounts.ACCOUNT_STATUS.SUSPENDED, accounts.ACCOUNT_STATUS.BANNED] },
+            reason: reasonRule,
+            // ISO date; only for suspensions, which otherwise last until lifted
+            until: { type: 'string', maxLength: 40, pattern: /^\d{4}-\d{2}-\d{2}/, message: 'until must be an ISO date' }
+        }
+    }
 };
 
-// Register
-router.post('/register', async (req, res) => {
-    const { username, email, password } = req.body;
+// Links in account emails point at the frontend, which posts the token back
+const appUrl = () => (process.env.APP_URL || 'https://mublogmarketplace.name.ng').replace(/\/$/, '');
+
+async function sendVerificationEmail(user) {
+    const token = await authTokens.issue(user, authTokens.TOKEN_PURPOSES.EMAIL_VERIFICATION);
+    const message = mailMessages.emailVerification({
+        username: user.username,
+        link: `${appUrl()}/verify-email.html?token=${token}`,
+        expiresInHours: authTokens.TOKEN_TTL_MS[authTokens.TOKEN_PURPOSES.EMAIL_VERIFICATION] / 3600000
+    });
+    return sendMail({ to: user.email, ...message });
+}
+
+async function sendPasswordResetEmail(user) {
+    const token = await authTokens.issue(user, authTokens.TOKEN_PURPOSES.PASSWORD_RESET);
+    const message = mailMessages.passwordReset({
+        username: user.username,
+        link: `${appUrl()}/reset-password.html?token=${token}`,
+        expiresInMinutes: authTokens.TOKEN_TTL_MS[authTokens.TOKEN_PURPOSES.PASSWORD_RESET] / 60000
+    });
+    return sendMail({ to: user.email, ...message });
+}
+
+// Opens a session for this device and returns what the client keeps: a
+// short-lived access token and the refresh token that renews it
+async function startSession(user, req, { stepUp = false } = {}) {
+    const { session, refreshToken } = await sessions.create(user, { ip: req.ip, userAgent: req.get('user-agent'), stepUp });
+    return { token: createAccessToken(user, session), refreshToken, expiresIn: TOKEN_TTL_SECONDS };
+}
+
+// The body of a successful login, with or without a second step
+const signedIn = (user, tokens) => ({
+    msg: "Login successful",
+    ...tokens,
+    user: {
+        id: user._id,
+        username: user.username,
+        email: user.email,
+        balance: user.balance,
+        role: user.role,
+        permissions: staff.permissionsFor(user),
+        email_verified: Boolean(user.email_verified),
+        two_factor_enabled: twoFactor.isEnabled(user)
+    }
+});
+
+// Never sent to clients: hashes, the 2FA secret, the session generation
+const toProfile = ({ password, token_version, two_factor, ...profile }) => ({
+    ...profile,
+    two_factor_enabled: twoFactor.isEnabled({ two_factor })
+});
+
+const sendTwoFactorError = (res, err) => res.status(err.code === 'LOCKED' ? 429 : 400).json({ error: err.message, code: err.code });
+
+// Saves a new password hash, bumps token_version and closes every existing
+// session. Returns the updated user.
+async function setPassword(user, password, extra = {}) {
+    const salt = await bcryptjs.genSalt(12);
+    const hashed = await bcryptjs.hash(password, salt);
+
+    const updated = await getCollection('users').findOneAndUpdate(
+        { _id: user._id },
+        { $set: { password: hashed, password_changed_at: new Date(), ...extra }, $inc: { token_version: 1 } },
+        { returnDocument: 'after', includeResultMetadata: false }
+    );
+    await sessions.revokeAll(updated._id, sessions.REVOKE_REASONS.PASSWORD_CHANGED);
+
+    sendMail({ to: updated.email, ...mailMessages.passwordChanged({ username: updated.username }) })
+        .catch(err => console.error(`❌ Password change notice to ${updated.email} failed:`, err.message));
+    return updated;
+}
+
+// ============================================
+// AUTH ROUTES
+// ============================================
+
+router.post('/register', rateLimit('register'), validate(schemas.register), async (req, res) => {
     try {
-        const salt = await bcrypt.genSalt(10);
-        const hashedPassword = await bcrypt.hash(password, salt);
+        const { username, email, password } = req.body;
 
-        const user = new User({
+        // Check if user exists
+        const existing = await getCollection('users').findOne({ email });
+        if (existing) {
+            return res.status(400).json({ error: "Email already exists" });
+        }
+
+        // Hash password with strong salt
+        const salt = await bcryptjs.genSalt(12);
+        const hashedPassword = await bcryptjs.hash(password, salt);
+
+        const user = {
             username,
             email,
             password: hashedPassword,
             balance: 0,
-            role: 'user'
-        });
-        
-        await user.save();
-        res.status(201).json({ msg: "User created successfully!" });
+            role: 'user',
+            email_verified: false,
+            createdAt: new Date()
+        };
+        const result = await getCollection('users').insertOne(user);
+
+        console.log(`✅ New user registered: ${email}`);
+
+        // The account works either way; they can ask for another link later
+        sendVerificationEmail(user)
+            .catch(err => console.error(`❌ Verification email to ${email} failed:`, err.message));
+
+        res.status(201).json({ msg: "User created successfully!", userId: result.insertedId });
     } catch (err) {
-        res.status(500).json({ error: "Email or Username already exists" });
+        console.error('Register error:', err);
+        res.status(500).json({ error: "Registration failed" });
     }
 });
 
-// Login
-router.post('/login', async (req, res) => {
-    const { email, password } = req.body;
+router.post('/login', rateLimit('login'), validate(schemas.login), async (req, res) => {
     try {
-        const user = await User.findOne({ email });
-        if (!user) return res.status(400).json({ msg: "User not found" });
+        const { email, password } = req.body;
+        const clientIp = req.ip;
+
+        // Checked before the password, so guesses made while locked tell nothing
+        const lockedFor = await loginLockout.lockedFor(email, clientIp);
+        if (lockedFor > 0) {
+            const minutes = Math.ceil(lockedFor / 60000);
+            return sendTooManyRequests(res, Math.ceil(lockedFor / 1000), `Too many failed logins. Try again in ${minutes} minute(s) or reset your password.`);
+        }
+
+        const user = await getCollection('users').findOne({ email });
+        if (!user || accounts.statusOf(user) === accounts.ACCOUNT_STATUS.DELETED) {
+            console.log(`⚠️ Login attempt for non-existent user: ${email} from ${clientIp}`);
+            await loginLockout.recordFailure(email, clientIp);
+            return res.status(400).json({ msg: "Invalid credentials" });
+        }
+
+        const isMatch = await bcryptjs.compare(password, user.password);
+        if (!isMatch) {
+            console.log(`⚠️ Failed login attempt: ${email} from ${clientIp}`);
+            await loginLockout.recordFailure(email, clientIp);
+            return res.status(400).json({ msg: "Invalid credentials" });
+        }
+        await loginLockout.recordSuccess(email, clientIp);
+
+        // Only told after the password checks out, so the status of an
+        // account isn't revealed to whoever guesses its email
+        if (!accounts.isActive(user)) {
+            console.log(`⛔ Blocked login: ${email} (${accounts.statusOf(user)}) from ${clientIp}`);
+            return res.status(403).json({ error: accounts.blockedMessage(user), status: accounts.statusOf(user) });
+        }
+
+        // The password alone only earns a challenge; POST /login/2fa finishes it
+        if (twoFactor.isEnabled(user)) {
+            const challengeToken = await authTokens.issue(user, authTokens.TOKEN_PURPOSES.TWO_FACTOR_LOGIN);
+            console.log(`🛡️ Password accepted, awaiting 2FA: ${email} from ${clientIp}`);
+            return res.json({
+                msg: 'Enter the code from your authenticator app',
+                twoFactorRequired: true,
+                challengeToken,
+                expiresIn: authTokens.TOKEN_TTL_MS[authTokens.TOKEN_PURPOSES.TWO_FACTOR_LOGIN] / 1000
+            });
+        }
 
-        const isMatch = await bcrypt.compare(password, user.password);
-        if (!isMatch) return res.status(400).json({ msg: "Invalid password" });
+        const tokens = await startSession(user, req);
 
-        const token = createToken({ userId: user._id, email: user.email });
+        console.log(`✅ Login: ${email} from ${clientIp}`);
 
+        res.json(signedIn(user, tokens));
+    } catch (err) {
+        console.error('Login error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Body: { challengeToken, code }. The challenge survives wrong codes until
+// it expires; the per-account lockout in services/twoFactor caps guessing.
+router.post('/login/2fa', rateLimit('loginTwoFactor'), validate(schemas.loginTwoFactor), async (req, res) => {
+    try {
+        const { challengeToken, code } = req.body;
+        const purpose = authTokens.TOKEN_PURPOSES.TWO_FACTOR_LOGIN;
+
+        const challenge = await authTokens.peek(challengeToken, purpose);
+        const user = challenge && await getCollection('users').findOne({ _id: toObjectId(challenge.user_id) });
+        if (!user || accounts.statusOf(user) === accounts.ACCOUNT_STATUS.DELETED) {
+            return res.status(401).json({ error: 'This sign-in attempt has expired - log in again' });
+        }
+        if (!accounts.isActive(user)) {
+            return res.status(403).json({ error: accounts.blockedMessage(user), status: accounts.statusOf(user) });
+        }
+
+        let check;
+        try {
+            check = await twoFactor.verifyCode(user, code);
+        } catch (err) {
+            if (err instanceof twoFactor.TwoFactorError) {
+                console.log(`⚠️ Wrong 2FA code at login: ${user.email} from ${req.ip}`);
+                return sendTwoFactorError(res, err);
+            }
+            throw err;
+        }
+
+        // Used up only now, and only once even if two requests got this far
+        if (!await authTokens.consume(challengeToken, purpose)) {
+            return res.status(401).json({ error: 'This sign-in attempt has expired - log in again' });
+        }
+
+        const tokens = await startSession(user, req, { stepUp: true });
+
+        console.log(`✅ Login (2FA ${check.method}): ${user.email} from ${req.ip}`);
+        res.json({ ...signedIn(user, tokens), backupCodesLeft: check.backupCodesLeft });
+    } catch (err) {
+        console.error('2FA login error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Always answers the same way, so it can't be used to find out who has an account
+router.post('/forgot-password', rateLimit('mail'), validate(schemas.forgotPassword), async (req, res) => {
+    try {
+        const { email } = req.body;
+        const user = await getCollection('users').findOne({ email });
+
+        if (user && accounts.statusOf(user) !== accounts.ACCOUNT_STATUS.DELETED) {
+            // Not awaited: a slow mail server would otherwise reveal that the account exists
+            sendPasswordResetEmail(user)
+                .then(() => console.log(`🔑 Password reset link sent to ${email}`))
+                .catch(err => console.error(`❌ Password reset email to ${email} failed:`, err.message));
+        } else {
+            console.log(`⚠️ Password reset requested for unknown email: ${email} from ${req.ip}`);
+        }
+
+        res.json({ msg: 'If an account exists for that email, a reset link is on its way' });
+    } catch (err) {
+        console.error('Forgot password error:', err);
+        res.status(500).json({ error: 'Could not start the password reset' });
+    }
+});
+
+router.post('/reset-password', rateLimit('resetPassword'), validate(schemas.resetPassword), async (req, res) => {
+    try {
+        const record = await authTokens.consume(req.body.token, authTokens.TOKEN_PURPOSES.PASSWORD_RESET);
+        const user = record && await getCollection('users').findOne({ _id: toObjectId(record.user_id) });
+
+        if (!user || accounts.statusOf(user) === accounts.ACCOUNT_STATUS.DELETED) {
+            return res.status(400).json({ error: 'This reset link is invalid or has expired' });
+        }
+
+        // Getting the link proves they own the mailbox it was sent to
+        const verified = record.email === user.email ? { email_verified: true, email_verified_at: user.email_verified_at || new Date() } : {};
+        await setPassword(user, req.body.password, verified);
+
+        console.log(`🔑 Password reset: ${user.email} from ${req.ip}`);
+        res.json({ msg: 'Password updated - log in with your new password' });
+    } catch (err) {
+        console.error('Reset password error:', err);
+        res.status(500).json({ error: 'Could not reset the password' });
+    }
+});
+
+router.post('/verify-email', validate(schemas.verifyEmail), async (req, res) => {
+    try {
+        const record = await authTokens.consume(req.body.token, authTokens.TOKEN_PURPOSES.EMAIL_VERIFICATION);
+        if (!record) {
+            return res.status(400).json({ error: 'This verification link is invalid or has expired' });
+        }
+
+        const result = await getCollection('users').updateOne(
+            { _id: toObjectId(record.user_id), email: record.email },
+            { $set: { email_verified: true, email_verified_at: new Date() } }
+        );
+        if (result.matchedCount === 0) {
+            return res.status(400).json({ error: 'This link was sent to an address the account no longer uses' });
+        }
+
+        console.log(`📧 Email verified: ${record.email}`);
+        res.json({ msg: 'Email address confirmed' });
+    } catch (err) {
+        console.error('Verify email error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+router.post('/resend-verification', authenticate, rateLimit('mail'), async (req, res) => {
+    try {
+        if (req.account.email_verified) {
+            return res.status(400).json({ error: 'Email address already confirmed' });
+        }
+
+        await sendVerificationEmail(req.account);
+        res.json({ msg: `Verification link sent to ${req.account.email}` });
+    } catch (err) {
+        console.error('Resend verification error:', err);
+        res.status(502).json({ error: 'Could not send the verification email - try again later' });
+    }
+});
+
+// Signs out every session, this one included; the caller gets a new one to stay logged in
+router.post('/change-password', authenticate, rateLimit('changePassword'), validate(schemas.changePassword), async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+        const user = req.account;
+
+        if (!await bcryptjs.compare(currentPassword, user.password)) {
+            console.log(`⚠️ Wrong current password on change: ${user.email} from ${req.ip}`);
+            return res.status(400).json({ error: 'Current password is incorrect' });
+        }
+        if (currentPassword === newPassword) {
+            return res.status(400).json({ error: 'Choose a password different from the current one' });
+        }
+
+        const updated = await setPassword(user, newPassword);
+        const tokens = await startSession(updated, req);
+
+        console.log(`🔑 Password changed: ${updated.email} from ${req.ip}`);
+        res.json({ msg: 'Password changed - other devices have been signed out', ...tokens });
+    } catch (err) {
+        console.error('Change password error:', err);
+        res.status(500).json({ error: 'Could not change the password' });
+    }
+});
+
+// ============================================
+// 🔐 SESSIONS
+// ============================================
+
+// Body: { refreshToken }. The token is used up; the response carries its replacement.
+router.post('/refresh', validate(schemas.refresh), async (req, res) => {
+    try {
+        // Checked before the token is spent, so a suspended account can use
+        // it again once reinstated
+        const current = await sessions.peek(req.body.refreshToken);
+        let user = current && await getCollection('users').findOne({ _id: toObjectId(current.user_id) });
+        if (current && (!user || accounts.statusOf(user) === accounts.ACCOUNT_STATUS.DELETED)) {
+            return res.status(401).json({ error: 'Account not found' });
+        }
+        if (user && !accounts.isActive(user)) {
+            return res.status(403).json({ error: accounts.blockedMessage(user), status: accounts.statusOf(user) });
+        }
+
+        let rotated;
+        try {
+            rotated = await sessions.rotate(req.body.refreshToken, { ip: req.ip });
+        } catch (err) {
+            if (err instanceof sessions.SessionError) {
+                return res.status(401).json({ error: err.message });
+            }
+            throw err;
+        }
+
+        user = user || await getCollection('users').findOne({ _id: toObjectId(rotated.session.user_id) });
+        if (!user) {
+            return res.status(401).json({ error: 'Account not found' });
+        }
+
+        res.json({ token: createAccessToken(user, rotated.session), refreshToken: rotated.refreshToken, expiresIn: TOKEN_TTL_SECONDS });
+    } catch (err) {
+        console.error('Refresh error:', err);
+        res.status(500).json({ error: 'Could not refresh the session' });
+    }
+});
+
+router.post('/logout', authenticate, async (req, res) => {
+    try {
+        await sessions.revoke(req.session._id, req.user.id, sessions.REVOKE_REASONS.LOGOUT);
+        res.json({ msg: 'Logged out' });
+    } catch (err) {
+        console.error('Logout error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+router.post('/logout-all', authenticate, async (req, res) => {
+    try {
+        const revoked = await sessions.revokeAll(req.user.id, sessions.REVOKE_REASONS.LOGOUT_ALL);
+        console.log(`🔐 ${req.user.email} logged out of ${revoked} session(s) from ${req.ip}`);
+        res.json({ msg: 'Logged out on every device', revoked });
+    } catch (err) {
+        console.error('Logout everywhere error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+router.get('/sessions', authenticate, async (req, res) => {
+    try {
+        const open = await sessions.listActive(req.user.id);
+        res.json(open.map(session => sessions.toPublic(session, req.session._id)));
+    } catch (err) {
+        console.error('List sessions error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+router.delete('/sessions/:sessionId', authenticate, async (req, res) => {
+    try {
+        const { sessionId } = req.params;
+        const revoked = /^[a-f0-9]{24}$/.test(sessionId)
+            && await sessions.revoke(sessionId, req.user.id, sessions.REVOKE_REASONS.REVOKED_BY_USER);
+        if (!revoked) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        res.json({ msg: 'Session signed out', current: sessionId === String(req.session._id) });
+    } catch (err) {
+        console.error('Revoke session error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ============================================
+// 🛡️ TWO-FACTOR AUTHENTICATION
+// ============================================
+
+router.get('/2fa', authenticate, (req, res) => {
+    res.json(twoFactor.statusOf(req.account));
+});
+
+// Step 1: returns the secret and otpauth:// URI to show as a QR code
+router.post('/2fa/setup', authenticate, async (req, res) => {
+    try {
+        res.json(await twoFactor.beginSetup(req.account));
+    } catch (err) {
+        if (err instanceof twoFactor.TwoFactorError) return sendTwoFactorError(res, err);
+        console.error('2FA setup error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Step 2: body { code } from the app. Every other session is signed out,
+// since none of them proved a second factor; the caller gets a new one.
+router.post('/2fa/enable', authenticate, validate(schemas.twoFactorCode), async (req, res) => {
+    try {
+        const { backupCodes } = await twoFactor.enable(req.account, req.body.code);
+        await sessions.revokeAll(req.user.id, sessions.REVOKE_REASONS.TWO_FACTOR_ENABLED);
+        const tokens = await startSession(req.account, req, { stepUp: true });
+
+        console.log(`🛡️ 2FA enabled: ${req.user.email}`);
+        res.json({ msg: 'Two-factor authentication is on. Save your backup codes somewhere safe.', backupCodes, ...tokens });
+    } catch (err) {
+        if (err instanceof twoFactor.TwoFactorError) return sendTwoFactorError(res, err);
+        console.error('2FA enable error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Step-up: body { code }. Opens this session's window for sensitive actions.
+router.post('/2fa/verify', authenticate, validate(schemas.twoFactorCode), async (req, res) => {
+    try {
+        const check = await twoFactor.verifyCode(req.account, req.body.code);
+        await sessions.markStepUp(req.session._id);
+        res.json({ msg: 'Verified', validFor: twoFactor.STEP_UP_TTL_MS / 1000, backupCodesLeft: check.backupCodesLeft });
+    } catch (err) {
+        if (err instanceof twoFactor.TwoFactorError) return sendTwoFactorError(res, err);
+        console.error('2FA verify error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Body: { password, code }. The code is checked first: its lockout stops a
+// stolen session from being used to guess the password.
+router.post('/2fa/disable', authenticate, validate(schemas.disableTwoFactor), async (req, res) => {
+    try {
+        if (twoFactor.isRequired(req.account)) {
+            return res.status(400).json({ error: 'Two-factor authentication is required for staff accounts', code: 'REQUIRED' });
+        }
+        await twoFactor.verifyCode(req.account, req.body.code);
+        if (!await bcryptjs.compare(req.body.password, req.account.password)) {
+            return res.status(400).json({ error: 'Password is incorrect' });
+        }
+        await twoFactor.disable(req.account);
+
+        console.log(`🛡️ 2FA disabled: ${req.user.email} from ${req.ip}`);
+        res.json({ msg: 'Two-factor authentication is off' });
+    } catch (err) {
+        if (err instanceof twoFactor.TwoFactorError) return sendTwoFactorError(res, err);
+        console.error('2FA disable error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Body: { code }. Replaces every backup code, used or not.
+router.post('/2fa/backup-codes', authenticate, validate(schemas.twoFactorCode), async (req, res) => {
+    try {
+        const { backupCodes } = await twoFactor.regenerateBackupCodes(req.account, req.body.code);
+        res.json({ msg: 'New backup codes issued; the old ones no longer work', backupCodes });
+    } catch (err) {
+        if (err instanceof twoFactor.TwoFactorError) return sendTwoFactorError(res, err);
+        console.error('2FA backup codes error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+router.get('/me', authenticate, async (req, res) => {
+    try {
+        const user = await getCollection('users').findOne({ _id: toObjectId(req.user.id) });
+        if (!user) return res.status(404).json({ error: "User not found" });
         res.json({
-            msg: "Login successful",
-            token: token,
-            user: {
-                id: user._id,
-                username: user.username,
-                email: user.email,
-                balance: user.balance,
-                role: user.role
+            ...toProfile(user),
+            permissions: staff.permissionsFor(user),
+            email_verified: Boolean(user.email_verified),
+            two_factor_required: twoFactor.isRequired(user)
+        });
+    } catch (err) {
+        console.error('Get profile error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+router.get('/users', authenticate, requirePermission(staff.PERMISSIONS.USERS), async (req, res) => {
+    try {
+        const users = await getCollection('users').find({}).toArray();
+        res.json(users.map(toProfile));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+router.get('/user/:userId', authenticate, authorizeUserParam, async (req, res) => {
+    try {
+        const userId = toObjectId(req.params.userId);
+        const user = await getCollection('users').findOne({ _id: userId });
+        if (!user) return res.status(404).json({ error: "User not found" });
+        res.json(toProfile(user));
+    } catch (err) {
+        console.error('Get user error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+router.post('/topup', authenticate, requirePermission(staff.PERMISSIONS.USERS), requireStepUp, validate(schemas.topup), async (req, res) => {
+    try {
+        const { userId, amount, reason } = req.body;
+
+        if (amount === 0) {
+            return res.status(400).json({ error: 'Amount cannot be zero' });
+        }
+
+        const userIdObj = toObjectId(userId);
+        const user = await getCollection('users').findOne({ _id: userIdObj });
+
+        if (!user) {
+            return res.status(404).json({ msg: "User not found" });
+        }
+
+        const adjustment = {
+            type: wallet.ENTRY_TYPES.ADJUSTMENT,
+            account: wallet.ACCOUNTS.ADMIN_ADJUSTMENTS,
+            actor: { type: 'admin', id: req.user.id },
+            description: `Manual adjustment: ${reason}`
+        };
+
+        let entry;
+        try {
+            entry = amount > 0
+                ? await wallet.credit(user._id, amount, adjustment)
+                : await wallet.debit(user._id, -amount, adjustment);
+        } catch (err) {
+            if (err instanceof wallet.InsufficientBalanceError) {
+                return res.status(400).json({ error: 'Correction would take the balance below zero' });
             }
+            throw err;
+        }
+
+        await audit.record(req, {
+            action: audit.AUDIT_ACTIONS.BALANCE_ADJUST,
+            target: { type: 'user', id: user._id, label: user.email },
+            before: { balance: Math.round((entry.balance_after - entry.amount) * 100) / 100 },
+            after: { balance: entry.balance_after, amount: entry.amount, txn_id: entry.txn_id },
+            reason
+        });
+
+        res.json({
+            msg: amount > 0 ? `Successfully added ₦${amount}` : `Successfully deducted ₦${-amount}`,
+            newBalance: entry.balance_after
+        });
+    } catch (err) {
+        console.error('Topup error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Body: { status: 'active' | 'suspended' | 'banned', reason, until? }
+router.put('/user/:userId/status', authenticate, requirePermission(staff.PERMISSIONS.USERS), validate(schemas.setStatus), async (req, res) => {
+    try {
+        const { status, reason, until } = req.body;
+        if (until && Number.isNaN(new Date(until).getTime())) {
+            return res.status(400).json({ error: 'until must be an ISO date' });
+        }
+
+        const result = await accounts.setStatus(req.params.userId, { status, reason, until }, { type: 'admin', id: req.user.id });
+        if (!result) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        await audit.record(req, {
+            action: audit.AUDIT_ACTIONS.USER_STATUS,
+            target: { type: 'user', id: result.user._id, label: result.user.email },
+            before: result.before,
+            after: result.after,
+            reason
+        });
+
+        console.log(`🚦 ${result.user.email} is now ${result.after.status} - by ${req.user.email}`);
+        res.json({ message: `Account ${result.after.status}`, ...result.after });
+    } catch (err) {
+        if (err instanceof accounts.AccountError) {
+            return res.status(400).json({ error: err.message });
+        }
+        console.error('Account status error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Signs the user out on every device; body: { reason }
+router.post('/user/:userId/logout', authenticate, requirePermission(staff.PERMISSIONS.USERS), validate(schemas.forceLogout), async (req, res) => {
+    try {
+        const user = await getCollection('users').findOne({ _id: toObjectId(req.params.userId) });
+        if (!user || accounts.statusOf(user) === accounts.ACCOUNT_STATUS.DELETED) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const open = (await sessions.listActive(user._id)).length;
+        const revoked = await sessions.revokeAll(user._id, sessions.REVOKE_REASONS.ADMIN);
+
+        await audit.record(req, {
+            action: audit.AUDIT_ACTIONS.USER_FORCE_LOGOUT,
+            target: { type: 'user', id: user._id, label: user.email },
+            before: { sessions: open },
+            after: { sessions: 0, revoked },
+            reason: req.body.reason
+        });
+
+        console.log(`🔐 ${user.email} force-logged out of ${revoked} session(s) by ${req.user.email}`);
+        res.json({ message: `Signed out of ${revoked} session(s)`, revoked });
+    } catch (err) {
+        console.error('Force logout error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// For a user who lost both their phone and backup codes; body: { reason }.
+// Their sessions are closed too, since whoever has the phone may be signed in.
+router.post('/user/:userId/2fa/reset', authenticate, requirePermission(staff.PERMISSIONS.USERS), requireStepUp, validate(schemas.resetTwoFactor), async (req, res) => {
+    try {
+        const user = await getCollection('users').findOne({ _id: toObjectId(req.params.userId) });
+        if (!user || accounts.statusOf(user) === accounts.ACCOUNT_STATUS.DELETED) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if (!twoFactor.isEnabled(user)) {
+            return res.status(400).json({ error: 'Two-factor authentication is not on for this account' });
+        }
+
+        await twoFactor.reset(user._id);
+        const revoked = await sessions.revokeAll(user._id, sessions.REVOKE_REASONS.ADMIN);
+
+        await audit.record(req, {
+            action: audit.AUDIT_ACTIONS.USER_2FA_RESET,
+            target: { type: 'user', id: user._id, label: user.email },
+            before: { two_factor_enabled: true },
+            after: { two_factor_enabled: false, sessions_revoked: revoked },
+            reason: req.body.reason
         });
+
+        console.log(`🛡️ 2FA reset for ${user.email} by ${req.user.email}`);
+        res.json({ message: 'Two-factor authentication reset; the user can set it up again after logging in', revoked });
     } catch (err) {
+        console.error('2FA reset error:', err);
         res.status(500).json({ error: err.message });
     }
 });
 
-module.exports = router;
\ No newline at end of file
+// Anonymises the account; orders, payments and ledger entries are kept
+router.delete('/user/:userId', authenticate, requirePermission(staff.PERMISSIONS.USERS), async (req, res) => {
+    try {
+        const userId = req.params.userId;
+        const before = await getCollection('users').findOne({ _id: toObjectId(userId) });
+
+        const summary = await accounts.deleteAccount(userId, { type: 'admin', id: req.user.id });
+        if (!summary) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        // Earlier audit entries stay as written; this one names the alias
+        // rather than copying the details that were just erased
+        await audit.record(req, {
+            action: audit.AUDIT_ACTIONS.USER_DELETE,
+            target: { type: 'user', id: userId, label: summary.anonymisedAs },
+            before: { status: accounts.statusOf(before), balance: before.balance || 0, createdAt: before.createdAt || null },
+            after: summary
+        });
+
+        res.json({
+            message: 'User deleted successfully',
+            deletedUserId: userId,
+            summary
+        });
+
+    } catch (err) {
+        if (err instanceof accounts.AccountError) {
+            return res.status(400).json({ error: err.message });
+        }
+        console.error('Delete user error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ============================================
+// 💳 TRANSACTIONS
+// ============================================
+
+router.get('/transactions/:userId?', authenticate, authorizeUserParam, async (req, res) => {
+    try {
+        const userId = req.params.userId || req.user.id;
+        const statement = await wallet.getStatement(userId);
+        res.json(statement || []);
+    } catch (err) {
+        console.error('Statement error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Older clients verify top-ups here; same handler as /api/payments/flutterwave/verify
+router.post('/verify-payment', authenticate, verifyPayment);
+
+module.exports = router;
@@ -0,0 +1,74 @@
+const express = require('express');
+const { getCollection } = require('../config/db');
+const { authenticate, authorizeUserParam } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const orders = require('../services/orders');
+
+const router = express.Router();
+
+// type and status are comma-separated lists; services/orders checks their values
+const schemas = {
+    list: {
+        query: {
+            type: { type: 'string', maxLength: 100 },
+            status: { type: 'string', maxLength: 200 },
+            from: { type: 'string', maxLength: 40 },
+            to: { type: 'string', maxLength: 40 },
+            cursor: { type: 'objectId' },
+            limit: { type: 'integer', min: 1, max: 100 }
+        }
+    }
+};
+
+// ============================================
+// 📋 ORDERS ROUTES
+// ============================================
+
+// Query: type=PRODUCT,SMS,SMM status=... from=<date> to=<date> cursor=<nextCursor> limit=1-100
+router.get('/', authenticate, validate(schemas.list), async (req, res) => {
+    try {
+        res.json(await orders.listForUser(req.user.id, req.query));
+    } catch (err) {
+        if (err instanceof orders.OrderQueryError) {
+            return res.status(400).json({ error: err.message });
+        }
+        res.status(500).json({ error: err.message });
+    }
+});
+
+router.get('/summary', authenticate, async (req, res) => {
+    try {
+        res.json(await orders.summaryForUser(req.user.id));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Product and SMM orders only, kept for older clients and the admin user view
+router.get('/all/:userId?', authenticate, authorizeUserParam, async (req, res) => {
+    try {
+        const userId = req.params.userId || req.user.id;
+        const rows = await getCollection('orders')
+            .find({ user_id: userId, type: { $ne: orders.ORDER_TYPES.SMS } })
+            .toArray();
+        res.json(rows.map(orders.toView));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+router.get('/:orderId', authenticate, async (req, res) => {
+    try {
+        const order = await orders.findForUser(req.user.id, req.params.orderId);
+
+        if (!order) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+
+        res.json(orders.toView(order));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,102 @@
+const express = require('express');
+const crypto = require('crypto');
+const { getCollection, toObjectId } = require('../config/db');
+const { authenticate, requireActiveAccount } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const payments = require('../services/payments');
+
+const router = express.Router();
+
+const schemas = {
+    init: {
+        body: {
+            amount: { type: 'number', required: true, min: payments.MIN_TOPUP_AMOUNT, message: `Minimum top-up amount is ₦${payments.MIN_TOPUP_AMOUNT}` }
+        }
+    },
+    verify: {
+        body: {
+            transaction_id: { type: 'id', required: true }
+        }
+    }
+};
+
+// ============================================
+// 💳 FLUTTERWAVE PAYMENTS
+// ============================================
+
+router.post('/flutterwave/init', authenticate, requireActiveAccount, validate(schemas.init), async (req, res) => {
+    try {
+        const { amount } = req.body;
+
+        const user = await getCollection('users').findOne({ _id: toObjectId(req.user.id) });
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        res.json(await payments.createTopup(user, amount));
+    } catch (err) {
+        console.error('Payment init error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+async function verifyPayment(req, res) {
+    try {
+        const { transaction_id } = req.body;
+
+        const data = await payments.fetchFlutterwaveTransaction(transaction_id);
+        const result = await payments.creditFlutterwavePayment(data, req.user.id);
+
+        if (!result.ok) {
+            return res.status(400).json({ error: result.error });
+        }
+
+        res.json({
+            message: result.alreadyCredited ? 'Payment already credited' : 'Payment verified',
+            amount: result.amount
+        });
+    } catch (err) {
+        console.error('Payment verification error:', err);
+        res.status(500).json({ error: 'Verification failed' });
+    }
+}
+
+router.post('/flutterwave/verify', authenticate, validate(schemas.verify), verifyPayment);
+
+router.post('/flutterwave/webhook', async (req, res) => {
+    const secretHash = process.env.FLUTTERWAVE_SECRET_HASH;
+    const signature = req.headers['verif-hash'];
+
+    if (!secretHash) {
+        console.error('❌ FLUTTERWAVE_SECRET_HASH not set');
+        return res.status(500).json({ error: 'Webhook not configured' });
+    }
+
+    // timingSafeEqual throws on buffers of different byte lengths
+    const given = Buffer.from(typeof signature === 'string' ? signature : '');
+    const expected = Buffer.from(secretHash);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        console.log(`⚠️ Webhook with invalid signature from IP: ${req.ip}`);
+        return res.status(401).json({ error: 'Invalid signature' });
+    }
+
+    try {
+        const { event, data } = req.body || {};
+
+        if (event !== 'charge.completed' || !data || !data.id) {
+            return res.json({ status: 'ignored' });
+        }
+
+        // Never trust the webhook body for amounts - re-fetch the transaction from Flutterwave
+        const verified = await payments.fetchFlutterwaveTransaction(data.id);
+        const result = await payments.creditFlutterwavePayment(verified);
+
+        res.json({ status: result.ok ? 'processed' : 'rejected' });
+    } catch (err) {
+        console.error('Webhook error:', err);
+        res.status(500).json({ error: 'Webhook processing failed' });
+    }
+});
+
+module.exports = router;
+module.exports.verifyPayment = [validate(schemas.verify), verifyPayment];
@@ -1,251 +1,440 @@
 const express = require('express');
+const { ObjectId } = require('mongodb');
+const { getCollection, toObjectId } = require('../config/db');
+const { authenticate, requirePermission, requireActiveAccount, needsStepUp, sendStepUpRequired } = require('../middleware/auth');
+const { PERMISSIONS } = require('../services/staff');
+const { validate } = require('../middleware/validate');
+const wallet = require('../services/wallet');
+const inventory = require('../services/inventory');
+const orders = require('../services/orders');
+const catalogue = require('../services/productCatalogue');
+const audit = require('../services/audit');
+
 const router = express.Router();
-const { Pool } = require('pg');
 
-// ============================================
-// PostgreSQL CONNECTION
-// ============================================
-const pool = new Pool({
-    host: process.env.DB_HOST,
-    port: process.env.DB_PORT || 5432,
-    database: process.env.DB_NAME,
-    user: process.env.DB_USER,
-    password: process.env.DB_PASSWORD,
-    ssl: {
-        rejectUnauthorized: false
+const MAX_UPLOAD_LENGTH = 500000;
+
+const listingFields = {
+    category: { type: 'string', enum: inventory.PRODUCT_CATEGORIES },
+    name: { type: 'string', minLength: 1, maxLength: 120 },
+    price: { type: 'number', min: 1, max: 10000000 },
+    public_link: { type: 'string', maxLength: 500 },
+    description: { type: 'string', maxLength: 2000 },
+    credentials: { type: 'string', trim: false, maxLength: MAX_UPLOAD_LENGTH }
+};
+
+const schemas = {
+    add: {
+        body: {
+            ...listingFields,
+            category: { ...listingFields.category, required: true },
+            name: { ...listingFields.name, required: true },
+            price: { ...listingFields.price, required: true },
+            // Tools/Format only; other listings count their units
+            stock: { type: 'integer', min: 0 },
+            format: { type: 'string', enum: ['lines', 'csv'] }
+        }
+    },
+    update: {
+        body: listingFields
+    },
+    addItems: {
+        body: {
+            items: { type: 'string', required: true, trim: false, maxLength: MAX_UPLOAD_LENGTH },
+            format: { type: 'string', enum: ['lines', 'csv'] }
+        }
+    },
+    purchase: {
+        body: {
+            productId: { type: 'string', required: true, maxLength: 64 }
+        }
+    },
+    search: {
+        query: {
+            q: { type: 'string', maxLength: 100 },
+            category: { type: 'string', enum: inventory.PRODUCT_CATEGORIES },
+            minPrice: { type: 'number', min: 0 },
+            maxPrice: { type: 'number', min: 0 },
+            inStock: { type: 'boolean', default: true },
+            sort: { type: 'string', lowercase: true, enum: Object.values(catalogue.SORTS), default: catalogue.SORTS.NEWEST },
+            cursor: { type: 'string', maxLength: 200 },
+            limit: { type: 'integer', min: 1, max: catalogue.MAX_PAGE_SIZE }
+        }
     }
-});
+};
 
 // ============================================
-// 1. ADD NEW PRODUCT
+// 🛒 PRODUCT ROUTES
 // ============================================
-router.post('/add', async (req, res) => {
-    const { category, name, price, public_link, description, credentials, stock } = req.body;
 
+// Query: q, category, minPrice, maxPrice, inStock=true|false,
+// sort=newest|price_asc|price_desc|best_selling, cursor=<nextCursor>, limit=1-50
+router.get('/', validate(schemas.search), async (req, res) => {
     try {
-        const result = await pool.query(
-            `INSERT INTO products (category, name, price, public_link, description, credentials, stock, created_at) 
-             VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
-             RETURNING id, name, price`,
-            [category, name, price, public_link, description, credentials, stock || 1]
-        );
-
-        res.status(200).json({ 
-            message: "Product added successfully", 
-            id: result.rows[0].id 
-        });
+        res.json(await catalogue.search(req.query));
     } catch (err) {
-        console.error("Add Product Error:", err.message);
+        if (err instanceof catalogue.CatalogueQueryError) {
+            return res.status(400).json({ error: err.message });
+        }
+        console.error('Product search error:', err);
         res.status(500).json({ error: err.message });
     }
 });
 
-// ============================================
-// 2. GET PRODUCTS BY CATEGORY
-// ============================================
+router.get('/categories', async (req, res) => {
+    try {
+        res.json(await catalogue.categoryCounts());
+    } catch (err) {
+        console.error('Product categories error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Unpaged, kept for older clients; GET / does the same with paging
 router.get('/category/:category', async (req, res) => {
     try {
-        const result = await pool.query(
-            `SELECT id, name, price, description, public_link, stock, category 
-             FROM products 
-             WHERE category = $1 AND stock > 0
-             ORDER BY created_at DESC`,
-            [req.params.category]
-        );
-        res.json(result.rows);
+        const products = await getCollection('products').find({
+            category: req.params.category,
+            stock: { $gt: 0 }
+        }).toArray();
+
+        res.json(products.map(catalogue.toListing));
     } catch (err) {
-        console.error("Get Category Error:", err.message);
+        console.error('Get category error:', err);
         res.status(500).json({ error: err.message });
     }
 });
 
-// ============================================
-// 3. GET ALL PRODUCTS (Admin)
-// ============================================
-router.get('/all', async (req, res) => {
+router.get('/all', authenticate, requirePermission(PERMISSIONS.INVENTORY), async (req, res) => {
     try {
-        const result = await pool.query(
-            `SELECT id, name, category, price, stock, description, public_link, created_at 
-             FROM products 
-             ORDER BY created_at DESC`
-        );
-        res.json(result.rows);
+        const products = await getCollection('products').find({}).toArray();
+        const formatted = products.map(p => ({ ...p, id: p._id }));
+        res.json(formatted);
     } catch (err) {
-        console.error("Get All Products Error:", err.message);
+        console.error('Get all products error:', err);
         res.status(500).json({ error: err.message });
     }
 });
 
-// ============================================
-// 4. GET ALL ORDERS/SALES (Admin Panel)
-// ============================================
-router.get('/all-orders', async (req, res) => {
+router.get('/all-orders', authenticate, requirePermission(PERMISSIONS.ORDERS), async (req, res) => {
     try {
-        const result = await pool.query(
-            `SELECT 
-                o.id,
-                o.user_id,
-                o.product_name,
-                o.price,
-                o.product_link,
-                o.details,
-                o.created_at,
-                u.username
-             FROM orders o
-             LEFT JOIN users u ON o.user_id = u.id
-             ORDER BY o.created_at DESC
-             LIMIT 100`
-        );
-        res.json(result.rows);
+        // Sales views cover products and boosts; SMS numbers have their own pages
+        const sales = await getCollection('orders').find({ type: { $ne: orders.ORDER_TYPES.SMS } }).toArray();
+        res.json(sales || []);
     } catch (err) {
-        console.error("Get All Orders Error:", err.message);
-        res.status(500).json({ error: "Failed to fetch orders" });
+        console.error('Get orders error:', err);
+        res.status(500).json({ error: err.message });
     }
 });
 
-// ============================================
-// 5. DELETE PRODUCT
-// ============================================
-router.delete('/delete/:id', async (req, res) => {
+router.post('/add', authenticate, requirePermission(PERMISSIONS.INVENTORY), validate(schemas.add), async (req, res) => {
     try {
-        const result = await pool.query(
-            'DELETE FROM products WHERE id = $1 RETURNING id',
-            [req.params.id]
-        );
+        const { format, ...fields } = req.body;
+        const product = { ...fields, sold: 0, createdAt: new Date() };
+        const permanent = inventory.isPermanent(product);
 
-        if (result.rows.length === 0) {
-            return res.status(404).json({ error: "Product not found" });
+        // Non-permanent listings keep their credentials as individual units, not on the product
+        if (!permanent) {
+            delete product.credentials;
+            product.stock = 0;
         }
 
-        res.json({ message: "Product deleted successfully" });
+        const result = await getCollection('products').insertOne(product);
+
+        let stock = product.stock;
+        if (!permanent) {
+            ({ stock } = await inventory.addItems(result.insertedId, inventory.parseItems(fields.credentials, format)));
+        }
+
+        await audit.record(req, {
+            action: audit.AUDIT_ACTIONS.PRODUCT_CREATE,
+            target: { type: 'product', id: result.insertedId, label: product.name },
+            after: { ...product, stock }
+        });
+
+        res.json({ message: "Product added", id: result.insertedId, stock });
     } catch (err) {
-        console.error("Delete Product Error:", err.message);
         res.status(500).json({ error: err.message });
     }
 });
 
-// ============================================
-// 6. UPDATE PRODUCT
-// ============================================
-router.put('/update/:id', async (req, res) => {
-    const { name, price, stock, description } = req.body;
+// Stock is never edited directly: per-unit listings count their items and
+// Tools/Format listings keep whatever stock they were created with
+router.put('/update/:id', authenticate, requirePermission(PERMISSIONS.INVENTORY), validate(schemas.update), async (req, res) => {
+    try {
+        const product = await getCollection('products').findOne({ _id: toObjectId(req.params.id) });
+        if (!product) {
+            return res.status(404).json({ error: "Product not found" });
+        }
+
+        const changes = req.body;
+        const updated = { ...product, ...changes };
+        const update = { $set: { updated_at: new Date() } };
+
+        if (inventory.isPermanent(updated)) {
+            Object.assign(update.$set, changes);
+        } else {
+            if (changes.credentials && changes.credentials.trim()) {
+                return res.status(400).json({ error: `${updated.category} listings are stocked per unit - upload credentials as items` });
+            }
+            const { credentials, ...rest } = changes;
+            Object.assign(update.$set, rest);
+            update.$unset = { credentials: '' };
+        }
+
+        await getCollection('products').updateOne({ _id: product._id }, update);
 
+        // Moving a listing onto per-unit stock starts its count from the units it has
+        const stock = inventory.isPermanent(updated) ? product.stock
+            : inventory.isPermanent(product) ? await inventory.syncStock(product._id)
+            : (await getCollection('products').findOne({ _id: product._id })).stock;
+
+        await audit.record(req, {
+            action: audit.AUDIT_ACTIONS.PRODUCT_UPDATE,
+            target: { type: 'product', id: product._id, label: updated.name },
+            before: product,
+            after: await getCollection('products').findOne({ _id: product._id })
+        });
+
+        console.log(`✏️ Product updated: ${updated.name}`);
+
+        res.json({ message: "Product updated successfully", stock });
+    } catch (err) {
+        console.error('Update product error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+router.delete('/delete/:id', authenticate, requirePermission(PERMISSIONS.INVENTORY), async (req, res) => {
     try {
-        const result = await pool.query(
-            `UPDATE products 
-             SET name = $1, price = $2, stock = $3, description = $4 
-             WHERE id = $5
-             RETURNING id`,
-            [name, price, stock, description, req.params.id]
-        );
-
-        if (result.rows.length === 0) {
+        const idObj = toObjectId(req.params.id);
+        const product = await getCollection('products').findOne({ _id: idObj });
+        if (!product) {
             return res.status(404).json({ error: "Product not found" });
         }
 
-        res.json({ message: "Product updated successfully" });
+        await getCollection('products').deleteOne({ _id: idObj });
+        // Sold units stay behind as the record of what each order delivered
+        const { deletedCount } = await getCollection('product_items').deleteMany({ product_id: req.params.id, status: inventory.ITEM_STATUS.AVAILABLE });
+
+        await audit.record(req, {
+            action: audit.AUDIT_ACTIONS.PRODUCT_DELETE,
+            target: { type: 'product', id: product._id, label: product.name },
+            before: { ...product, unsold_units_removed: deletedCount }
+        });
+
+        res.json({ message: "Product deleted" });
     } catch (err) {
-        console.error("Update Product Error:", err.message);
         res.status(500).json({ error: err.message });
     }
 });
 
 // ============================================
-// 7. PURCHASE PRODUCT
+// 📦 PRODUCT ITEMS (PER-UNIT CREDENTIALS)
 // ============================================
-router.post('/purchase', async (req, res) => {
-    const { userId, productId } = req.body;
-    const client = await pool.connect();
 
+router.get('/:id/items', authenticate, requirePermission(PERMISSIONS.INVENTORY), async (req, res) => {
     try {
-        await client.query('BEGIN');
+        const items = await inventory.listItems(req.params.id);
+        res.json(items);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
 
-        // Get user
-        const userResult = await client.query(
-            'SELECT balance FROM users WHERE id = $1',
-            [userId]
-        );
+router.post('/:id/items', authenticate, requirePermission(PERMISSIONS.INVENTORY), validate(schemas.addItems), async (req, res) => {
+    try {
+        const { items, format } = req.body;
 
-        if (userResult.rows.length === 0) {
-            await client.query('ROLLBACK');
-            return res.status(404).json({ error: "User not found" });
+        const product = await getCollection('products').findOne({ _id: toObjectId(req.params.id) });
+        if (!product) {
+            return res.status(404).json({ error: "Product not found" });
         }
 
-        // Get product
-        const productResult = await client.query(
-            'SELECT * FROM products WHERE id = $1',
-            [productId]
-        );
+        if (inventory.isPermanent(product)) {
+            return res.status(400).json({ error: `${product.category} listings share one set of credentials` });
+        }
 
-        if (productResult.rows.length === 0) {
-            await client.query('ROLLBACK');
-            return res.status(404).json({ error: "Product not found" });
+        const parsed = inventory.parseItems(items, format);
+        if (parsed.length === 0) {
+            return res.status(400).json({ error: "No credentials found in upload" });
         }
 
-        const user = userResult.rows[0];
-        const product = productResult.rows[0];
+        const result = await inventory.addItems(product._id, parsed);
+        console.log(`📦 ${result.added} units added to ${product.name}`);
 
-        // Validations
-        if (product.stock <= 0) {
-            await client.query('ROLLBACK');
-            return res.status(400).json({ error: "Item out of stock" });
-        }
+        await audit.record(req, {
+            action: audit.AUDIT_ACTIONS.PRODUCT_ITEMS_ADD,
+            target: { type: 'product', id: product._id, label: product.name },
+            before: { stock: product.stock },
+            after: { stock: result.stock, added: result.added }
+        });
 
-        if (parseFloat(user.balance) < parseFloat(product.price)) {
-            await client.query('ROLLBACK');
-            return res.status(400).json({ error: "Insufficient balance" });
+        res.json({ message: `${result.added} units added`, ...result });
+    } catch (err) {
+        console.error('Add items error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+router.delete('/:id/items/:itemId', authenticate, requirePermission(PERMISSIONS.INVENTORY), async (req, res) => {
+    try {
+        const removed = await inventory.removeItem(req.params.id, req.params.itemId);
+        if (!removed) {
+            return res.status(404).json({ error: "Unsold item not found" });
         }
 
-        // Deduct balance
-        await client.query(
-            'UPDATE users SET balance = balance - $1 WHERE id = $2',
-            [product.price, userId]
-        );
-
-        // Reduce stock
-        await client.query(
-            'UPDATE products SET stock = stock - 1 WHERE id = $1',
-            [productId]
-        );
-
-        // Create order details
-        const orderDetails = `LOGIN: ${product.credentials}\nLINK: ${product.public_link}`;
-
-        // Record order
-        await client.query(
-            `INSERT INTO orders (user_id, product_name, price, product_link, details, created_at) 
-             VALUES ($1, $2, $3, $4, $5, NOW())`,
-            [userId, product.name, product.price, product.public_link, orderDetails]
-        );
-
-        await client.query('COMMIT');
-        res.json({ message: "Purchase successful", details: orderDetails });
+        await audit.record(req, {
+            action: audit.AUDIT_ACTIONS.PRODUCT_ITEM_DELETE,
+            target: { type: 'product_item', id: req.params.itemId, label: `product ${req.params.id}` }
+        });
 
+        res.json({ message: "Item removed" });
     } catch (err) {
-        await client.query('ROLLBACK');
-        console.error("Purchase Error:", err.message);
-        res.status(500).json({ error: "Processing error" });
-    } finally {
-        client.release();
+        res.status(500).json({ error: err.message });
     }
 });
 
 // ============================================
-// 8. GET USER ORDERS (My Purchases)
+// 🛍 PRODUCT PURCHASE
 // ============================================
-router.get('/my-orders/:userId', async (req, res) => {
+
+router.post('/purchase', authenticate, requireActiveAccount, validate(schemas.purchase), async (req, res) => {
     try {
-        const result = await pool.query(
-            `SELECT * FROM orders 
-             WHERE user_id = $1 
-             ORDER BY created_at DESC`,
-            [req.params.userId]
-        );
-        res.json(result.rows);
+        const userId = req.user.id;
+        const { productId } = req.body;
+
+        console.log('🛍 Purchase attempt:', { userId, productId });
+
+        const userIdObj = toObjectId(userId);
+        const productIdObj = toObjectId(productId);
+
+        console.log('🔍 Looking for product:', productIdObj);
+
+        const product = await getCollection('products').findOne({ _id: productIdObj });
+
+        if (!product) {
+            console.log('❌ Product not found. Trying with string ID...');
+            const productStr = await getCollection('products').findOne({ _id: productId });
+            if (!productStr) {
+                console.log('❌ Product not found in any format');
+                return res.status(404).json({ error: "Product not found" });
+            }
+            if (needsStepUp(req, Number(productStr.price))) return sendStepUpRequired(res);
+            return purchaseProduct(userIdObj, userId, productStr, res);
+        }
+
+        if (needsStepUp(req, Number(product.price))) return sendStepUpRequired(res);
+        return purchaseProduct(userIdObj, userId, product, res);
+
     } catch (err) {
-        console.error("Get My Orders Error:", err.message);
-        res.status(500).json({ error: "Failed to fetch your history" });
+        console.error('❌ Purchase error:', err);
+        res.status(500).json({ error: err.message });
     }
 });
 
-module.exports = router;
\ No newline at end of file
+async function purchaseProduct(userIdObj, userIdStr, product, res) {
+    try {
+        console.log('🔍 Looking for user:', userIdObj);
+
+        const user = await getCollection('users').findOne({ _id: userIdObj });
+
+        if (!user) {
+            console.log('❌ User not found. Trying with string ID...');
+            const userStr = await getCollection('users').findOne({ _id: userIdStr });
+            if (!userStr) {
+                console.log('❌ User not found in any format');
+                return res.status(404).json({ error: "User not found" });
+            }
+            return processPurchase(userIdObj, userStr, product, res);
+        }
+
+        return processPurchase(userIdObj, user, product, res);
+
+    } catch (err) {
+        console.error('❌ User lookup error:', err);
+        res.status(500).json({ error: err.message });
+    }
+}
+
+async function processPurchase(userId, user, product, res) {
+    try {
+        console.log('💰 User balance:', user.balance, 'Product price:', product.price);
+
+        const orderId = new ObjectId();
+
+        // Claim a unit first - each unit can only be claimed once, so two buyers can't both take the last one
+        let item = null;
+        if (!inventory.isPermanent(product)) {
+            item = await inventory.claimItem(product._id, { orderId, userId });
+            if (!item) {
+                return res.status(400).json({ error: "Product out of stock" });
+            }
+            console.log('✅ Unit claimed:', item._id);
+        } else {
+            console.log('🔄 Permanent service - stock not reduced');
+        }
+
+        const releaseStock = async () => {
+            if (item) await inventory.releaseItem(item);
+        };
+
+        const debitEntry = {
+            type: wallet.ENTRY_TYPES.PURCHASE,
+            account: wallet.ACCOUNTS.PRODUCT_SALES,
+            reference: { kind: 'order', id: String(orderId) },
+            actor: { type: 'user', id: String(userId) },
+            description: `Purchase: ${product.name}`
+        };
+
+        // Deduct balance
+        try {
+            await wallet.debit(userId, product.price, debitEntry);
+        } catch (err) {
+            await releaseStock();
+            if (err instanceof wallet.InsufficientBalanceError) {
+                return res.status(400).json({ error: err.message });
+            }
+            throw err;
+        }
+        console.log('✅ Balance deducted');
+
+        // Create order record
+        const credentials = item ? item.credentials : product.credentials;
+        const orderDetails = `LOGIN: ${credentials}\nLINK: ${product.public_link}`;
+        try {
+            await orders.createOrder({
+                _id: orderId,
+                type: orders.ORDER_TYPES.PRODUCT,
+                userId,
+                username: user.username,
+                product_id: String(product._id),
+                item_id: item ? String(item._id) : null,
+                product_name: product.name,
+                price: product.price,
+                product_link: product.public_link,
+                details: orderDetails
+            });
+        } catch (err) {
+            console.error('❌ Order insert failed, rolling back purchase:', err);
+            await wallet.reverseDebit(userId, product.price, debitEntry);
+            await releaseStock();
+            throw err;
+        }
+        console.log('✅ Order created');
+
+        catalogue.recordSale(product._id)
+            .catch(err => console.error('❌ Sales count update failed:', err.message));
+
+        res.json({
+            message: "Success",
+            details: orderDetails
+        });
+
+    } catch (err) {
+        console.error('❌ Purchase processing error:', err);
+        res.status(500).json({ error: err.message });
+    }
+}
+
+module.exports = router;
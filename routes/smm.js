@@ -0,0 +1,158 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const { getCollection, toObjectId } = require('../config/db');
+const { authenticate, requireActiveAccount, needsStepUp, sendStepUpRequired } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const wallet = require('../services/wallet');
+const pricing = require('../services/pricing');
+const { getSmmClient, SmmApiError } = require('../services/smm');
+const smmCatalogue = require('../services/smmCatalogue');
+const smmReconciliation = require('../services/smmReconciliation');
+const orders = require('../services/orders');
+
+const router = express.Router();
+
+// Per-service quantity limits and link formats are checked against the catalogue
+const schemas = {
+    order: {
+        body: {
+            service: { type: 'id', required: true },
+            link: { type: 'string', required: true, minLength: 1, maxLength: 500 },
+            quantity: { type: 'integer', required: true, min: 1 }
+        }
+    }
+};
+
+// ============================================
+// 🎉 SMM SERVICES
+// ============================================
+
+// Served from the cached catalogue; hidden and withdrawn services are left out
+router.get('/live-services', async (req, res) => {
+    try {
+        res.json(await smmCatalogue.listForSale());
+    } catch (error) {
+        console.error('SMM error:', error);
+        res.json([]);
+    }
+});
+
+router.post('/order', authenticate, requireActiveAccount, validate(schemas.order), async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { service, link, quantity } = req.body;
+
+        const serviceData = await smmCatalogue.getForOrder(service);
+        if (!serviceData) return res.status(400).json({ error: 'Service not found' });
+
+        const invalid = smmCatalogue.validateQuantity(serviceData, quantity) || smmCatalogue.validateLink(serviceData, link);
+        if (invalid) return res.status(400).json({ error: invalid });
+
+        const client = getSmmClient();
+        const serviceName = smmCatalogue.displayName(serviceData);
+        const price = smmCatalogue.priceOrder(await pricing.getSettings(), serviceData, quantity);
+        // Cheap services can round a small order down to nothing
+        if (!(price > 0)) return res.status(400).json({ error: 'Quantity is too low for this service' });
+        if (needsStepUp(req, price)) return sendStepUpRequired(res);
+
+        const user = await getCollection('users').findOne({ _id: toObjectId(userId) });
+        if (!user) return res.status(404).json({ error: 'User not found' });
+
+        const orderId = new ObjectId();
+        const debitEntry = {
+            type: wallet.ENTRY_TYPES.PURCHASE,
+            account: wallet.ACCOUNTS.SMM_SALES,
+            reference: { kind: 'order', id: String(orderId) },
+            actor: { type: 'user', id: userId },
+            description: `Boost: ${serviceName}`
+        };
+
+        try {
+            await wallet.debit(userId, price, debitEntry);
+        } catch (err) {
+            if (err instanceof wallet.InsufficientBalanceError) {
+                return res.status(400).json({ error: 'Insufficient balance' });
+            }
+            throw err;
+        }
+
+        let providerOrderId;
+        try {
+            providerOrderId = await client.add({ service: serviceData.service_id, link, quantity });
+        } catch (err) {
+            await wallet.reverseDebit(userId, price, debitEntry);
+            throw err;
+        }
+
+        try {
+            await orders.createOrder({
+                _id: orderId,
+                type: orders.ORDER_TYPES.SMM,
+                userId,
+                username: user.username,
+                product_name: serviceName,
+                price,
+                product_link: link,
+                details: `Order ID: ${providerOrderId}`,
+                provider_order_id: String(providerOrderId),
+                service_id: serviceData.service_id,
+                quantity,
+                refill_supported: Boolean(serviceData.refill),
+                start_count: null,
+                remains: null
+            });
+        } catch (err) {
+            // Refunded straight away; the panel order is left for an admin
+            console.error(`❌ SMM order insert failed, refunding (provider order ${providerOrderId}):`, err);
+            await smmReconciliation.recordUnrecordedOrder({ orderId, userId, providerOrderId, serviceId: serviceData.service_id, price }, err)
+                .catch(queueErr => console.error(`❌ Could not queue provider order ${providerOrderId} for reconciliation:`, queueErr.message));
+            await wallet.reverseDebit(userId, price, debitEntry);
+            throw err;
+        }
+
+        // orderId is ours, the one /refill and the order history take
+        res.json({ orderId, providerOrderId: String(providerOrderId), message: 'Order placed successfully!' });
+    } catch (err) {
+        console.error('SMM order error:', err);
+        if (err instanceof SmmApiError) {
+            return res.status(400).json({ error: err.message });
+        }
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Asks the panel to top a finished boost back up (drops after delivery)
+router.post('/refill/:orderId', authenticate, requireActiveAccount, async (req, res) => {
+    try {
+        const order = await orders.findForUser(req.user.id, req.params.orderId, orders.ORDER_TYPES.SMM);
+
+        if (!order) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+
+        if (!order.refill_supported) {
+            return res.status(400).json({ error: 'This service does not offer refills' });
+        }
+
+        if (!['COMPLETED', 'PARTIAL'].includes(order.status)) {
+            return res.status(400).json({ error: 'Refills are only available once an order has been delivered' });
+        }
+
+        const refillId = await getSmmClient().refill(order.provider_order_id);
+
+        await getCollection('orders').updateOne(
+            { _id: order._id },
+            { $push: { refills: { refill_id: String(refillId), requested_at: new Date() } } }
+        );
+
+        res.json({ refillId, message: 'Refill requested' });
+    } catch (err) {
+        console.error('SMM refill error:', err);
+        if (err instanceof SmmApiError) {
+            return res.status(400).json({ error: err.message });
+        }
+        res.status(500).json({ error: err.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,451 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const { getCollection, toObjectId } = require('../config/db');
+const { authenticate, requirePermission, requireActiveAccount, authorizeUserParam, needsStepUp, sendStepUpRequired } = require('../middleware/auth');
+const { PERMISSIONS } = require('../services/staff');
+const audit = require('../services/audit');
+const { validate } = require('../middleware/validate');
+const wallet = require('../services/wallet');
+const { getSmsProvider, SMS_ERROR_CODES, SmsProviderError } = require('../services/sms');
+const smsReconciliation = require('../services/sms/reconciliation');
+const pricing = require('../services/pricing');
+const smsQuotes = require('../services/sms/quotes');
+const orders = require('../services/orders');
+
+const router = express.Router();
+
+const selectionField = { type: 'string', maxLength: 50 };
+
+const schemas = {
+    addAllowed: {
+        body: {
+            service_name: { type: 'string', required: true, lowercase: true, minLength: 1, maxLength: 50, pattern: /^[a-z0-9_-]+$/, message: 'service_name must be the provider\'s service code, e.g. whatsapp' },
+            display_name: { type: 'string', required: true, minLength: 1, maxLength: 80 }
+        }
+    },
+    order: {
+        body: {
+            quoteId: { type: 'string', required: true, maxLength: 1000, message: 'Missing quoteId. Load prices and pick a number first.' },
+            // Sent by older clients alongside the quote
+            service: selectionField,
+            country: selectionField,
+            operator: selectionField
+        }
+    }
+};
+
+// ============================================
+// 📱 SMS ROUTES
+// ============================================
+
+router.get('/available-services', async (req, res) => {
+    try {
+        const services = await getCollection('allowed_services').find({}).toArray();
+        res.json(services || []);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+router.get('/history/:userId?', authenticate, authorizeUserParam, async (req, res) => {
+    try {
+        const userId = req.params.userId || req.user.id;
+        const history = await getCollection('orders')
+            .find({ user_id: userId, type: orders.ORDER_TYPES.SMS })
+            .toArray();
+        res.json(history.map(orders.toView));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+router.post('/add-allowed', authenticate, requirePermission(PERMISSIONS.SMS), validate(schemas.addAllowed), async (req, res) => {
+    try {
+        const { service_name, display_name } = req.body;
+
+        const existing = await getCollection('allowed_services').findOne({ service_name });
+        if (existing) {
+            return res.status(400).json({ error: "Service already exists" });
+        }
+
+        const service = { service_name, display_name, createdAt: new Date() };
+        const result = await getCollection('allowed_services').insertOne(service);
+
+        await audit.record(req, {
+            action: audit.AUDIT_ACTIONS.SMS_SERVICE_ADD,
+            target: { type: 'sms_service', id: result.insertedId, label: service_name },
+            after: service
+        });
+
+        res.json({ message: "Service added successfully!" });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+router.delete('/delete-allowed/:id', authenticate, requirePermission(PERMISSIONS.SMS), async (req, res) => {
+    try {
+        const idObj = toObjectId(req.params.id);
+        const service = await getCollection('allowed_services').findOne({ _id: idObj });
+        const { deletedCount } = await getCollection('allowed_services').deleteOne({ _id: idObj });
+
+        if (deletedCount > 0) {
+            await audit.record(req, {
+                action: audit.AUDIT_ACTIONS.SMS_SERVICE_DELETE,
+                target: { type: 'sms_service', id: req.params.id, label: service.service_name },
+                before: service
+            });
+        }
+
+        res.json({ message: "Service deleted" });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+router.get('/admin-all-prices', authenticate, requirePermission(PERMISSIONS.SMS), async (req, res) => {
+    try {
+        const services = await getCollection('allowed_services').find({}).toArray();
+        res.json(services || []);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ============================================
+// 📱 SMS LIVE CONFIG
+// ============================================
+
+router.get('/live-config/:service', async (req, res) => {
+    const service = req.params.service;
+
+    try {
+        const offers = await getSmsProvider().getPrices(service);
+        const settings = await pricing.getSettings();
+
+        const results = [];
+        for (const info of offers) {
+            if (info.count > 0 && info.cost > 0) {
+                const { price } = pricing.priceSms(settings, { service, country: info.country, cost: info.cost });
+
+                results.push({
+                    country: info.country,
+                    operator: info.operator,
+                    price,
+                    quoteId: smsQuotes.createQuote({ service, country: info.country, operator: info.operator, cost: info.cost, price }),
+                    stock: info.count
+                });
+            }
+        }
+
+        console.log(`✅ SMS prices loaded for ${service}:`, results.slice(0, 2));
+        res.json(results);
+    } catch (err) {
+        console.error('SMS config error:', err);
+        res.json([]);
+    }
+});
+
+// ============================================
+// 📱 SMS ORDER WITH CANCELLATION & TIMER
+// ============================================
+
+const AUTO_REFUND_TIMEOUT = 25 * 60 * 1000;
+
+const SMS_ERROR_RESPONSES = {
+    [SMS_ERROR_CODES.NO_NUMBERS]: [400, 'No numbers available for this country/operator. Try another.'],
+    [SMS_ERROR_CODES.NOT_AVAILABLE]: [400, 'Service/Country/Operator not available'],
+    [SMS_ERROR_CODES.PROVIDER_BALANCE]: [503, 'SMS service temporarily unavailable. Contact admin.'],
+    [SMS_ERROR_CODES.UNAVAILABLE]: [503, 'SMS provider temporarily unavailable. Try again in 5 minutes.'],
+    [SMS_ERROR_CODES.NOT_CONFIGURED]: [500, 'SMS service not configured. Contact admin.'],
+    [SMS_ERROR_CODES.NOT_FOUND]: [404, 'Activation not found at provider']
+};
+
+function sendSmsProviderError(res, err) {
+    const [status, message] = SMS_ERROR_RESPONSES[err.code] || [500, err.message];
+    return res.status(status).json({ error: message });
+}
+
+// Expired or moved quotes are 409s the client answers by re-quoting;
+// when the offer still exists a fresh quote comes back with the error
+function sendQuoteError(res, err, freshQuote) {
+    const status = err.code === smsQuotes.QUOTE_ERROR_CODES.INVALID ? 400 : 409;
+    return res.status(status).json({
+        error: err.message,
+        code: err.code,
+        requote: status === 409,
+        ...(freshQuote ? { quote: freshQuote } : {})
+    });
+}
+
+router.post('/order', authenticate, requireActiveAccount, validate(schemas.order), async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { quoteId } = req.body;
+
+        let quote;
+        try {
+            quote = smsQuotes.verifyQuote(quoteId);
+        } catch (err) {
+            if (err instanceof smsQuotes.QuoteError) return sendQuoteError(res, err);
+            throw err;
+        }
+
+        const { service, country, operator } = quote;
+
+        // Older clients also send the selection; it has to be the quoted one
+        const mismatch = ['service', 'country', 'operator'].find(f => req.body[f] !== undefined && req.body[f] !== quote[f]);
+        if (mismatch) {
+            return res.status(400).json({ error: `Quote does not match the selected ${mismatch}` });
+        }
+
+        if (needsStepUp(req, quote.price)) return sendStepUpRequired(res);
+
+        console.log('🔱 SMS Order Request:', { userId, service, country, operator, quotedPrice: quote.price });
+
+        const provider = getSmsProvider();
+
+        // Get prices
+        let offers;
+        try {
+            offers = await provider.getPrices(service);
+        } catch (err) {
+            console.error('❌ Price lookup failed:', err.message);
+            return res.status(400).json({ error: 'Failed to fetch prices' });
+        }
+
+        const offer = offers.find(o => o.country === country && o.operator === operator);
+        if (!offer) {
+            return res.status(400).json({ error: 'Service/Country/Operator not available' });
+        }
+
+        const apiPrice = offer.cost;
+
+        try {
+            smsQuotes.assertCostWithinTolerance(quote, apiPrice);
+        } catch (err) {
+            if (!(err instanceof smsQuotes.QuoteError)) throw err;
+            const { price } = pricing.priceSms(await pricing.getSettings(), { service, country, cost: apiPrice });
+            const freshQuote = { price, quoteId: smsQuotes.createQuote({ service, country, operator, cost: apiPrice, price }) };
+            return sendQuoteError(res, err, freshQuote);
+        }
+
+        // The buyer pays what they were shown
+        const finalPrice = quote.price;
+
+        console.log(`💰 Pricing:`, { quotedCost: quote.cost, apiPrice, finalPrice });
+
+        const smsOrderId = new ObjectId();
+        const debitEntry = {
+            type: wallet.ENTRY_TYPES.PURCHASE,
+            account: wallet.ACCOUNTS.SMS_SALES,
+            reference: { kind: 'sms_order', id: String(smsOrderId) },
+            actor: { type: 'user', id: userId },
+            description: `SMS number: ${service} (${country})`
+        };
+
+        // Take the money before buying upstream; every failure below gives it back
+        try {
+            await wallet.debit(userId, finalPrice, debitEntry);
+        } catch (err) {
+            if (err instanceof wallet.InsufficientBalanceError) {
+                return res.status(400).json({ error: err.message });
+            }
+            if (err instanceof wallet.WalletNotFoundError) {
+                return res.status(404).json({ error: err.message });
+            }
+            throw err;
+        }
+
+        const refundHold = () => wallet.reverseDebit(userId, finalPrice, debitEntry);
+
+        console.log(`📞 Buying number from ${provider.name}...`);
+
+        let activation;
+        try {
+            activation = await provider.buy({ service, country, operator });
+            console.log('✅ Success! Phone:', activation.phone);
+        } catch (err) {
+            console.error('❌ Buy failed:', err.message);
+            await refundHold();
+
+            if (err instanceof SmsProviderError) {
+                return sendSmsProviderError(res, err);
+            }
+            return res.status(500).json({ error: err.message });
+        }
+
+        // Create order record
+        try {
+            await orders.createOrder({
+                _id: smsOrderId,
+                type: orders.ORDER_TYPES.SMS,
+                userId,
+                product_name: `${service} number (${country})`,
+                provider: provider.name,
+                service,
+                country,
+                operator,
+                phone: activation.phone,
+                price: finalPrice,
+                provider_cost: activation.cost,
+                quoted_cost: quote.cost,
+                activation_id: activation.id,
+                sms_code: null,
+                expires_at: new Date(Date.now() + AUTO_REFUND_TIMEOUT)
+            });
+        } catch (err) {
+            console.error(`❌ SMS order insert failed, cancelling activation ${activation.id} and refunding:`, err);
+            // Nobody can use a number without an order, so let it go upstream;
+            // if the provider won't confirm, it's queued for reconciliation
+            await smsReconciliation.cancelUpstream({ _id: smsOrderId, user_id: userId, provider: provider.name, activation_id: activation.id })
+                .catch(cancelErr => console.error(`❌ Could not cancel or queue activation ${activation.id}:`, cancelErr.message));
+            await refundHold();
+            throw err;
+        }
+
+        console.log('✅ SMS order created:', smsOrderId);
+
+        // Refund after expires_at is handled by the SMS expiry worker
+
+        return res.json({
+            orderId: smsOrderId,
+            phone: activation.phone,
+            price: finalPrice,
+            timeoutSeconds: 1500,
+            message: 'SMS number purchased successfully'
+        });
+
+    } catch (err) {
+        console.error('❌ SMS order error:', err);
+        return res.status(500).json({ error: err.message || 'Internal server error' });
+    }
+});
+
+// ============================================
+// 📱 SMS CHECK ENDPOINT
+// ============================================
+
+// Stores the received code and closes the activation at the provider.
+// Returns null when the order was expired or cancelled in the meantime.
+async function completeSmsOrder(order, code) {
+    const completed = await orders.transition(order, orders.ORDER_STATUS.COMPLETED, {
+        sms_code: code,
+        completed_at: new Date()
+    });
+
+    if (!completed) return null;
+
+    const finished = await smsReconciliation.finishUpstream(order);
+    if (!finished.confirmed) {
+        await orders.setFields(order._id, { upstream_error: finished.error });
+    }
+
+    return { code, status: 'COMPLETED' };
+}
+
+router.get('/check/:orderId', authenticate, async (req, res) => {
+    try {
+        const order = await orders.findForUser(req.user.id, req.params.orderId, orders.ORDER_TYPES.SMS);
+
+        if (!order) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+
+        if (order.status !== orders.ORDER_STATUS.WAITING) {
+            return res.json({ code: order.sms_code, status: order.status });
+        }
+
+        let activation;
+        try {
+            activation = await getSmsProvider(order.provider).check(order.activation_id);
+        } catch (err) {
+            console.error('SMS check provider error:', err.message);
+            return res.json({ code: null, status: order.status });
+        }
+
+        if (activation.code) {
+            const completed = await completeSmsOrder(order, activation.code);
+
+            if (!completed) {
+                // Expired or cancelled (and refunded) in the meantime
+                const latest = await orders.findById(order._id);
+                return res.json({ code: latest.sms_code, status: latest.status });
+            }
+
+            return res.json(completed);
+        }
+
+        res.json({ code: null, status: order.status });
+
+    } catch (err) {
+        console.error('SMS check error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ============================================
+// 📱 SMS CANCEL ENDPOINT
+// ============================================
+
+router.post('/cancel/:orderId', authenticate, async (req, res) => {
+    try {
+        const order = await orders.findForUser(req.user.id, req.params.orderId, orders.ORDER_TYPES.SMS);
+
+        if (!order) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+
+        if (order.status !== orders.ORDER_STATUS.WAITING) {
+            return res.status(400).json({ error: 'Cannot cancel this order' });
+        }
+
+        // Only refund once the provider has let go of the number
+        const upstream = await smsReconciliation.cancelUpstream(order);
+
+        if (upstream.hasSms) {
+            const completed = upstream.code ? await completeSmsOrder(order, upstream.code) : null;
+            return res.status(409).json({
+                error: 'An SMS has already been received for this number, so it cannot be cancelled',
+                code: completed ? completed.code : null
+            });
+        }
+
+        if (!upstream.confirmed) {
+            return res.status(502).json({
+                error: 'The SMS provider could not confirm the cancellation. Please try again shortly.'
+            });
+        }
+
+        // Guarded so a cancel can't race the expiry worker into a second refund
+        const cancelled = await orders.transition(order, orders.ORDER_STATUS.CANCELLED, {
+            cancelled_at: new Date(),
+            provider_status: upstream.status
+        });
+
+        if (!cancelled) {
+            return res.status(400).json({ error: 'Cannot cancel this order' });
+        }
+
+        await wallet.credit(order.user_id, order.price, {
+            type: wallet.ENTRY_TYPES.REFUND,
+            account: wallet.ACCOUNTS.SMS_SALES,
+            reference: { kind: 'sms_order', id: String(order._id) },
+            actor: { type: 'user', id: req.user.id },
+            description: `Cancelled SMS order for ${order.service}`
+        });
+
+        console.log(`✅ Order cancelled: ${order._id}`);
+
+        res.json({
+            message: 'Order cancelled and balance refunded',
+            refundAmount: order.price
+        });
+
+    } catch (err) {
+        console.error('SMS cancel error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+module.exports = router;
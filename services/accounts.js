@@ -0,0 +1,202 @@
+const { getCollection, toObjectId } = require('../config/db');
+const { ROLES } = require('./staff');
+const { ORDER_STATUS, ORDER_TYPES } = require('./orders');
+const wallet = require('./wallet');
+const sessions = require('./sessions');
+
+// ============================================
+// 🚦 ACCOUNT STATUS & DELETION
+// ============================================
+//
+// users.status is 'active' (or missing, for accounts older than this field),
+// 'suspended', 'banned' or 'deleted'. Suspended and banned accounts keep
+// their history but can't sign in, buy, or top up; a suspension may carry an
+// end date, after which the account is active again without anyone touching
+// it. Deletion anonymises the user in place so that the ledger, orders and
+// payments still add up for accounting. The only rows removed are the
+// user's one-time tokens. Audit entries are all kept, but the labels and
+// actor emails that name the user are switched to the alias.
+
+const ACCOUNT_STATUS = {
+    ACTIVE: 'active',
+    SUSPENDED: 'suspended',
+    BANNED: 'banned',
+    DELETED: 'deleted'
+};
+
+// Orders that can still move money back into the wallet
+const OPEN_ORDER_STATUSES = [ORDER_STATUS.WAITING, ORDER_STATUS.PENDING, ORDER_STATUS.IN_PROGRESS];
+
+const DELETED_EMAIL_DOMAIN = 'deleted.invalid';
+
+class AccountError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'AccountError';
+    }
+}
+
+// The status that applies right now, with expired suspensions counted as active
+function statusOf(user) {
+    const status = (user && user.status) || ACCOUNT_STATUS.ACTIVE;
+    if (status === ACCOUNT_STATUS.SUSPENDED && user.suspended_until && new Date(user.suspended_until) <= new Date()) {
+        return ACCOUNT_STATUS.ACTIVE;
+    }
+    return status;
+}
+
+const isActive = (user) => statusOf(user) === ACCOUNT_STATUS.ACTIVE;
+
+// What a blocked user is told; null for active accounts
+function blockedMessage(user) {
+    switch (statusOf(user)) {
+        case ACCOUNT_STATUS.SUSPENDED:
+            return user.suspended_until
+                ? `Account suspended until ${new Date(user.suspended_until).toISOString()}`
+                : 'Account suspended';
+        case ACCOUNT_STATUS.BANNED:
+            return 'Account banned';
+        case ACCOUNT_STATUS.DELETED:
+            return 'Account deleted';
+        default:
+            return null;
+    }
+}
+
+// Staff with the users permission manage customers only; an admin has to
+// remove someone's staff access first
+async function findManageableUser(userId, verb) {
+    const user = await getCollection('users').findOne({ _id: toObjectId(userId) });
+    if (!user || user.status === ACCOUNT_STATUS.DELETED) return null;
+    if (user.role && user.role !== ROLES.USER) {
+        throw new AccountError(`Remove their staff access before ${verb} this account`);
+    }
+    return user;
+}
+
+// Suspends, bans or reinstates `userId`. Returns { before, after } as
+// { status, reason, until } pairs, or null when the user doesn't exist.
+async function setStatus(userId, { status, reason, until = null }, actor) {
+    if (![ACCOUNT_STATUS.ACTIVE, ACCOUNT_STATUS.SUSPENDED, ACCOUNT_STATUS.BANNED].includes(status)) {
+        throw new AccountError(`Unknown status: ${status}`);
+    }
+    if (until && status !== ACCOUNT_STATUS.SUSPENDED) {
+        throw new AccountError('Only suspensions take an end date');
+    }
+    if (until && new Date(until) <= new Date()) {
+        throw new AccountError('The suspension must end in the future');
+    }
+    if (actor && String(actor.id) === String(userId)) {
+        throw new AccountError('You cannot change the status of your own account');
+    }
+
+    const user = await findManageableUser(userId, 'suspending');
+    if (!user) return null;
+
+    const changes = { $set: { status, status_changed_at: new Date(), status_changed_by: actor ? String(actor.id) : null } };
+    if (status === ACCOUNT_STATUS.ACTIVE) {
+        changes.$unset = { status_reason: '', suspended_until: '' };
+    } else {
+        changes.$set.status_reason = reason;
+        if (until) {
+            changes.$set.suspended_until = new Date(until);
+        } else {
+            changes.$unset = { suspended_until: '' };
+        }
+    }
+
+    await getCollection('users').updateOne({ _id: user._id }, changes);
+    const updated = await getCollection('users').findOne({ _id: user._id });
+
+    const view = (u) => ({ status: statusOf(u), reason: u.status_reason || null, until: u.suspended_until || null });
+    return { user: updated, before: view(user), after: view(updated) };
+}
+
+// Anonymises `userId` in place and returns a summary of what was changed
+// and what was kept, or null when the user doesn't exist. Refuses while the
+// wallet holds money or an order could still refund into it.
+async function deleteAccount(userId, actor) {
+    const user = await findManageableUser(userId, 'deleting');
+    if (!user) return null;
+
+    const balance = Math.round((user.balance || 0) * 100) / 100;
+    if (balance > 0) {
+        throw new AccountError(`Settle the remaining balance of ₦${balance} before deleting this account`);
+    }
+
+    const id = String(user._id);
+    const openOrders = await getCollection('orders').countDocuments({ user_id: id, status: { $in: OPEN_ORDER_STATUSES } });
+    if (openOrders > 0) {
+        throw new AccountError(`${openOrders} order(s) are still in progress; wait for them to finish before deleting this account`);
+    }
+
+    const alias = `deleted_${id.slice(-8)}`;
+    const aliasEmail = `${alias}_${id}@${DELETED_EMAIL_DOMAIN}`;
+
+    // Guarded on the balance we checked, so a top-up landing mid-delete
+    // isn't anonymised away with the account
+    const result = await getCollection('users').updateOne(
+        { _id: user._id, balance: user.balance === undefined ? null : user.balance, status: { $ne: ACCOUNT_STATUS.DELETED } },
+        {
+            $set: {
+                username: alias,
+                email: aliasEmail,
+                password: null,
+                status: ACCOUNT_STATUS.DELETED,
+                deleted_at: new Date(),
+                deleted_by: actor ? String(actor.id) : null
+            },
+            $unset: { permissions: '', status_reason: '', suspended_until: '', two_factor: '' }
+        }
+    );
+    if (result.modifiedCount === 0) {
+        throw new AccountError('The account changed while it was being deleted; try again');
+    }
+
+    // Legacy rows may hold the id as an ObjectId
+    const owned = { user_id: { $in: [id, user._id] } };
+    const orders = await getCollection('orders').updateMany(owned, { $set: { username: alias } });
+    // SMM links point at the customer's own profiles and posts
+    await getCollection('orders').updateMany({ ...owned, type: ORDER_TYPES.SMM }, { $set: { product_link: null } });
+    const legacySms = await getCollection('sms_orders').updateMany(owned, { $set: { username: alias } });
+    const payments = await getCollection('transactions').updateMany(owned, { $set: { email: aliasEmail } });
+    const ledgerEntries = await getCollection('ledger').countDocuments({ account: wallet.walletAccount(id) });
+    const signedOut = await sessions.removeAll(id);
+    // Reset and verification tokens carry the address they were sent to
+    const tokens = await getCollection('auth_tokens').deleteMany({ user_id: id });
+    const auditLabels = await getCollection('audit_log').updateMany(
+        { 'target.type': 'user', 'target.id': id },
+        { $set: { 'target.label': alias } }
+    );
+    const auditActor = await getCollection('audit_log').updateMany({ 'actor.id': id }, { $set: { 'actor.email': aliasEmail } });
+
+    console.log(`🗑️ Account ${id} anonymised as ${alias}`);
+
+    return {
+        userId: id,
+        anonymisedAs: alias,
+        cleared: ['username', 'email', 'password'],
+        anonymised: {
+            orders: orders.modifiedCount + legacySms.modifiedCount,
+            payments: payments.modifiedCount
+        },
+        sessionsRemoved: signedOut,
+        tokensRemoved: tokens.deletedCount,
+        auditEntriesRelabelled: auditLabels.modifiedCount + auditActor.modifiedCount,
+        kept: {
+            orders: orders.matchedCount + legacySms.matchedCount,
+            payments: payments.matchedCount,
+            ledgerEntries
+        }
+    };
+}
+
+module.exports = {
+    ACCOUNT_STATUS,
+    AccountError,
+    statusOf,
+    isActive,
+    blockedMessage,
+    setStatus,
+    deleteAccount
+};
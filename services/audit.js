@@ -0,0 +1,157 @@
+const { getCollection, toObjectId } = require('../config/db');
+
+// ============================================
+// 🧾 ADMIN AUDIT LOG
+// ============================================
+//
+// Append-only record of what staff did: who (actor), what (action), to what
+// (target), the values before and after, their IP and the reason they gave.
+// Nothing in the app deletes audit_log rows, and the only update is account
+// deletion swapping the user's email for their alias. Secrets (password
+// hashes, account credentials, two-factor secrets) are replaced before a
+// snapshot is stored.
+
+const AUDIT_ACTIONS = {
+    BALANCE_ADJUST: 'balance.adjust',
+    USER_DELETE: 'user.delete',
+    USER_ROLE: 'user.role',
+    USER_STATUS: 'user.status',
+    USER_FORCE_LOGOUT: 'user.force_logout',
+    USER_2FA_RESET: 'user.two_factor_reset',
+    PRODUCT_CREATE: 'product.create',
+    PRODUCT_UPDATE: 'product.update',
+    PRODUCT_DELETE: 'product.delete',
+    PRODUCT_ITEMS_ADD: 'product.items.add',
+    PRODUCT_ITEM_DELETE: 'product.items.delete',
+    SMS_SERVICE_ADD: 'sms_service.add',
+    SMS_SERVICE_DELETE: 'sms_service.delete',
+    SMS_ISSUE_RESOLVE: 'sms_issue.resolve',
+    SMM_SERVICE_CURATE: 'smm_service.curate',
+    SMM_ISSUE_RESOLVE: 'smm_issue.resolve',
+    ANNOUNCEMENT_PUBLISH: 'announcement.publish',
+    ANNOUNCEMENT_REMOVE: 'announcement.remove',
+    PRICING_UPDATE: 'pricing.update',
+    INVENTORY_MIGRATE: 'inventory.migrate',
+    ORDERS_MIGRATE: 'orders.migrate',
+    CATALOGUE_BACKFILL: 'catalogue.backfill_sales',
+    OPENING_BALANCES: 'wallet.opening_balances'
+};
+
+const SECRET_FIELDS = ['password', 'credentials', 'two_factor'];
+const MAX_PAGE_SIZE = 100;
+const DEFAULT_PAGE_SIZE = 50;
+
+class AuditQueryError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'AuditQueryError';
+    }
+}
+
+// Copies a document for the log with secrets masked
+function snapshot(doc) {
+    if (!doc) return null;
+    const copy = { ...doc };
+    SECRET_FIELDS.forEach(field => {
+        if (copy[field] !== undefined) copy[field] = '[redacted]';
+    });
+    return copy;
+}
+
+// The actor and IP of the staff member making the request
+const fromRequest = (req) => ({
+    actor: { id: req.user.id, email: req.user.email || null, role: req.user.role || null },
+    ip: req.ip
+});
+
+// Audit failures are logged, not thrown: the change they describe has
+// already been made by the time it's recorded
+async function record(req, { action, target, before = null, after = null, reason = null }) {
+    if (!Object.values(AUDIT_ACTIONS).includes(action)) {
+        throw new Error(`Unknown audit action: ${action}`);
+    }
+
+    const entry = {
+        ...fromRequest(req),
+        action,
+        target: {
+            type: target.type,
+            id: target.id !== undefined && target.id !== null ? String(target.id) : null,
+            label: target.label || null
+        },
+        before: snapshot(before),
+        after: snapshot(after),
+        reason: reason || null,
+        created_at: new Date()
+    };
+
+    try {
+        await getCollection('audit_log').insertOne(entry);
+    } catch (err) {
+        console.error(`❌ Audit write failed for ${action} on ${entry.target.type}:${entry.target.id}:`, err.message, entry);
+    }
+    return entry;
+}
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+function parseDate(value, field) {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) throw new AuditQueryError(`${field} is not a valid date`);
+    return date;
+}
+
+// Newest first, paged by _id like the order history. `q` matches the
+// actor's email, the target label or id, and the reason.
+async function search({ action, actorId, targetType, targetId, q, from, to, cursor, limit } = {}) {
+    const query = {};
+
+    if (action) {
+        const actions = String(action).split(',').map(a => a.trim()).filter(Boolean);
+        const unknown = actions.find(a => !Object.values(AUDIT_ACTIONS).includes(a));
+        if (unknown) throw new AuditQueryError(`Unknown action: ${unknown}`);
+        query.action = { $in: actions };
+    }
+    if (actorId) query['actor.id'] = String(actorId);
+    if (targetType) query['target.type'] = targetType;
+    if (targetId) query['target.id'] = String(targetId);
+
+    if (from || to) {
+        query.created_at = {};
+        if (from) query.created_at.$gte = parseDate(from, 'from');
+        if (to) query.created_at.$lte = parseDate(to, 'to');
+    }
+
+    if (q) {
+        const pattern = new RegExp(escapeRegex(String(q)), 'i');
+        query.$or = [
+            { 'actor.email': pattern },
+            { 'target.label': pattern },
+            { 'target.id': pattern },
+            { reason: pattern }
+        ];
+    }
+
+    if (cursor) query._id = { $lt: toObjectId(cursor) };
+
+    const pageSize = Math.min(limit || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+    const rows = await getCollection('audit_log')
+        .find(query)
+        .sort({ _id: -1 })
+        .limit(pageSize + 1)
+        .toArray();
+
+    const page = rows.slice(0, pageSize);
+    return {
+        entries: page,
+        nextCursor: rows.length > pageSize ? String(page[page.length - 1]._id) : null
+    };
+}
+
+module.exports = {
+    AUDIT_ACTIONS,
+    AuditQueryError,
+    snapshot,
+    record,
+    search
+};
@@ -0,0 +1,81 @@
+const crypto = require('crypto');
+const { getCollection } = require('../config/db');
+
+// ============================================
+// 🔑 ONE-TIME ACCOUNT TOKENS
+// ============================================
+//
+// Password reset and email verification links, and the second step of a
+// two-factor login, carry a random token. Only its SHA-256 hash is stored
+// (auth_tokens), so a leaked database can't be used to take over accounts.
+// A token works once: consume() marks it used in the same atomic update
+// that finds it, and issuing a new one for the same purpose retires any the
+// user still had outstanding.
+
+const TOKEN_PURPOSES = {
+    PASSWORD_RESET: 'password_reset',
+    EMAIL_VERIFICATION: 'email_verification',
+    TWO_FACTOR_LOGIN: 'two_factor_login'
+};
+
+const TOKEN_TTL_MS = {
+    [TOKEN_PURPOSES.PASSWORD_RESET]: 60 * 60 * 1000,
+    [TOKEN_PURPOSES.EMAIL_VERIFICATION]: 24 * 60 * 60 * 1000,
+    [TOKEN_PURPOSES.TWO_FACTOR_LOGIN]: 5 * 60 * 1000
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Returns the raw token; it's only ever in the email, never in the database
+async function issue(user, purpose) {
+    if (!TOKEN_TTL_MS[purpose]) throw new Error(`Unknown token purpose: ${purpose}`);
+
+    const tokens = getCollection('auth_tokens');
+    const now = new Date();
+    await tokens.updateMany(
+        { user_id: String(user._id), purpose, used_at: null },
+        { $set: { used_at: now, superseded: true } }
+    );
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    await tokens.insertOne({
+        user_id: String(user._id),
+        purpose,
+        token_hash: hashToken(token),
+        // Verification is for the address the link was sent to, not whatever
+        // the account holds when it's clicked
+        email: user.email,
+        created_at: now,
+        expires_at: new Date(now.getTime() + TOKEN_TTL_MS[purpose]),
+        used_at: null
+    });
+    return token;
+}
+
+// The token's record if it could still be consumed, without using it up
+async function peek(token, purpose) {
+    if (typeof token !== 'string' || token === '') return null;
+    return getCollection('auth_tokens').findOne({ token_hash: hashToken(token), purpose, used_at: null, expires_at: { $gt: new Date() } });
+}
+
+// Marks the token used and returns its record, or null if it's unknown,
+// expired, already used or for a different purpose
+async function consume(token, purpose) {
+    if (typeof token !== 'string' || token === '') return null;
+
+    const now = new Date();
+    return getCollection('auth_tokens').findOneAndUpdate(
+        { token_hash: hashToken(token), purpose, used_at: null, expires_at: { $gt: now } },
+        { $set: { used_at: now } },
+        { returnDocument: 'after', includeResultMetadata: false }
+    );
+}
+
+module.exports = {
+    TOKEN_PURPOSES,
+    TOKEN_TTL_MS,
+    hashToken,
+    issue,
+    peek,
+    consume
+};
@@ -0,0 +1,196 @@
+const { getCollection, toObjectId } = require('../config/db');
+
+// ============================================
+// 📦 PRODUCT ITEM INVENTORY
+// ============================================
+//
+// Accounts can't be shared, so each unit a listing sells is its own
+// product_items row holding one set of credentials. A purchase claims exactly
+// one AVAILABLE row; products.stock is only a cached count of those rows,
+// moved with $inc alongside every change to them so concurrent claims and
+// releases can't leave a stale count behind.
+// Tools and Format listings are the exception: every buyer gets the same
+// credentials stored on the product itself.
+
+// Listing categories the storefront shows; admin.html offers the same list
+const PRODUCT_CATEGORIES = ['Facebook', 'Instagram', 'TikTok', 'Twitter', 'Netflix', 'VPN', 'Pictures', 'Tools', 'Format'];
+
+const PERMANENT_CATEGORIES = ['Tools', 'Format'];
+
+const ITEM_STATUS = {
+    AVAILABLE: 'AVAILABLE',
+    SOLD: 'SOLD'
+};
+
+const isPermanent = (product) => PERMANENT_CATEGORIES.includes(product.category);
+
+// Splits one CSV line, honouring double-quoted fields
+function parseCsvLine(line) {
+    const fields = [];
+    let current = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const ch = line[i];
+        if (quoted) {
+            if (ch === '"' && line[i + 1] === '"') {
+                current += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                current += ch;
+            }
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === ',') {
+            fields.push(current.trim());
+            current = '';
+        } else {
+            current += ch;
+        }
+    }
+    fields.push(current.trim());
+    return fields;
+}
+
+// Turns an admin upload into one credentials string per unit.
+// 'lines': every non-empty line is a unit.
+// 'csv': the first row names the columns, e.g. "email,password,recovery".
+function parseItems(text, format = 'lines') {
+    const lines = String(text || '')
+        .split(/\r?\n/)
+        .map(l => l.trim())
+        .filter(Boolean);
+
+    if (format !== 'csv') return lines;
+
+    const [headerLine, ...rows] = lines;
+    if (!headerLine) return [];
+    const headers = parseCsvLine(headerLine);
+
+    return rows
+        .map(row => parseCsvLine(row)
+            .map((value, i) => (value ? `${headers[i] || `field${i + 1}`}: ${value}` : null))
+            .filter(Boolean)
+            .join(' | '))
+        .filter(Boolean);
+}
+
+// Recounts from the rows. Not safe alongside purchases - only for repairs
+// and migrations, where the count may never have been kept.
+async function syncStock(productId) {
+    const stock = await getCollection('product_items').countDocuments({
+        product_id: String(productId),
+        status: ITEM_STATUS.AVAILABLE
+    });
+    await getCollection('products').updateOne(
+        { _id: toObjectId(productId) },
+        { $set: { stock } }
+    );
+    return stock;
+}
+
+// Resolves the new stock
+async function adjustStock(productId, delta) {
+    const product = await getCollection('products').findOneAndUpdate(
+        { _id: toObjectId(productId) },
+        { $inc: { stock: delta } },
+        { returnDocument: 'after', includeResultMetadata: false }
+    );
+    return product ? product.stock : 0;
+}
+
+async function addItems(productId, credentialsList) {
+    if (credentialsList.length === 0) {
+        const product = await getCollection('products').findOne({ _id: toObjectId(productId) });
+        return { added: 0, stock: product ? product.stock || 0 : 0 };
+    }
+
+    const now = new Date();
+    await getCollection('product_items').insertMany(credentialsList.map(credentials => ({
+        product_id: String(productId),
+        credentials,
+        status: ITEM_STATUS.AVAILABLE,
+        order_id: null,
+        sold_to: null,
+        sold_at: null,
+        created_at: now
+    })));
+
+    return { added: credentialsList.length, stock: await adjustStock(productId, credentialsList.length) };
+}
+
+// Atomically takes the oldest unsold unit; null means the listing is sold out
+async function claimItem(productId, { orderId, userId }) {
+    const item = await getCollection('product_items').findOneAndUpdate(
+        { product_id: String(productId), status: ITEM_STATUS.AVAILABLE },
+        { $set: { status: ITEM_STATUS.SOLD, order_id: String(orderId), sold_to: String(userId), sold_at: new Date() } },
+        { sort: { created_at: 1 }, returnDocument: 'after', includeResultMetadata: false }
+    );
+
+    if (item) await adjustStock(productId, -1);
+    return item;
+}
+
+// Puts a claimed unit back on sale when the rest of the purchase fails
+async function releaseItem(item) {
+    const result = await getCollection('product_items').updateOne(
+        { _id: item._id, status: ITEM_STATUS.SOLD, order_id: item.order_id },
+        { $set: { status: ITEM_STATUS.AVAILABLE, order_id: null, sold_to: null, sold_at: null } }
+    );
+    if (result.modifiedCount > 0) await adjustStock(item.product_id, 1);
+}
+
+async function listItems(productId) {
+    return getCollection('product_items')
+        .find({ product_id: String(productId) })
+        .sort({ created_at: 1 })
+        .toArray();
+}
+
+async function removeItem(productId, itemId) {
+    const result = await getCollection('product_items').deleteOne({
+        _id: toObjectId(itemId),
+        product_id: String(productId),
+        status: ITEM_STATUS.AVAILABLE
+    });
+    if (result.deletedCount > 0) await adjustStock(productId, -1);
+    return result.deletedCount > 0;
+}
+
+// Moves the single credentials string of pre-inventory listings into one
+// unit each. Listings that already have units are left alone.
+async function migrateLegacyCredentials() {
+    const products = await getCollection('products').find({ credentials: { $exists: true } }).toArray();
+    let migrated = 0;
+
+    for (const product of products) {
+        if (isPermanent(product) || !product.credentials) continue;
+
+        const existing = await getCollection('product_items').findOne({ product_id: String(product._id) });
+        if (!existing) {
+            await addItems(product._id, [product.credentials]);
+        }
+        // The old stock field was typed in by hand
+        await syncStock(product._id);
+        await getCollection('products').updateOne({ _id: product._id }, { $unset: { credentials: '' } });
+        migrated++;
+    }
+
+    return { migrated };
+}
+
+module.exports = {
+    PRODUCT_CATEGORIES,
+    ITEM_STATUS,
+    isPermanent,
+    parseItems,
+    syncStock,
+    addItems,
+    claimItem,
+    releaseItem,
+    listItems,
+    removeItem,
+    migrateLegacyCredentials
+};
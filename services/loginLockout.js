@@ -0,0 +1,55 @@
+const { getRateLimitStore } = require('./rateLimit');
+
+// ============================================
+// 🔒 LOGIN LOCKOUT
+// ============================================
+//
+// Wrong passwords are counted per email address and client IP for a day. The
+// fifth locks password login for that email from that IP for a minute, and
+// every failure after it doubles the lock (2, 4, 8 ... minutes, at most an
+// hour). A successful login clears the count. Keying on the IP as well means
+// someone who only knows an address can't lock its owner out; guessing from
+// many IPs is held back by the per-account login limit instead. Emails that
+// don't belong to anyone are counted the same way, so a lockout reveals nothing.
+
+const LOCK_AFTER_FAILURES = 5;
+const BASE_LOCK_MS = 60 * 1000;
+const MAX_LOCK_MS = 60 * 60 * 1000;
+const FAILURE_MEMORY_MS = 24 * 60 * 60 * 1000;
+
+const failuresKey = (email, ip) => `login-failures:${email}:${ip}`;
+const lockKey = (email, ip) => `login-lock:${email}:${ip}`;
+
+const lockDuration = (failures) => Math.min(BASE_LOCK_MS * 2 ** (failures - LOCK_AFTER_FAILURES), MAX_LOCK_MS);
+
+// Milliseconds until `email` may try a password again from `ip`, or 0
+async function lockedFor(email, ip) {
+    const lock = await getRateLimitStore().get(lockKey(email, ip));
+    return lock ? Math.max(0, lock.resetAt - Date.now()) : 0;
+}
+
+// Returns how long the account is now locked for (0 if not yet)
+async function recordFailure(email, ip) {
+    const store = getRateLimitStore();
+    const { count } = await store.increment(failuresKey(email, ip), FAILURE_MEMORY_MS);
+    if (count < LOCK_AFTER_FAILURES) return 0;
+
+    const duration = lockDuration(count);
+    await store.set(lockKey(email, ip), count, duration);
+    console.log(`🔒 Password login locked for ${email} from ${ip} for ${duration / 60000} minute(s) after ${count} failures`);
+    return duration;
+}
+
+async function recordSuccess(email, ip) {
+    const store = getRateLimitStore();
+    await Promise.all([store.delete(failuresKey(email, ip)), store.delete(lockKey(email, ip))]);
+}
+
+module.exports = {
+    LOCK_AFTER_FAILURES,
+    MAX_LOCK_MS,
+    lockDuration,
+    lockedFor,
+    recordFailure,
+    recordSuccess
+};
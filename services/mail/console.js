@@ -0,0 +1,22 @@
+// ============================================
+// CONSOLE TRANSPORT
+// ============================================
+//
+// Prints messages to the log instead of sending them. The default outside
+// production when no SMTP server is configured, so reset and verification
+// links still show up somewhere during development.
+
+class ConsoleTransport {
+    constructor({ from }) {
+        this.name = 'console';
+        this.from = from;
+    }
+
+    async send({ to, subject, text }) {
+        const recipient = Array.isArray(to) ? to.join(', ') : to;
+        console.log(`📧 Mail to ${recipient} - ${subject}\n${text}`);
+        return { transport: this.name, accepted: [recipient] };
+    }
+}
+
+module.exports = { ConsoleTransport };
@@ -0,0 +1,13 @@
+// ============================================
+// MAIL TRANSPORT ERRORS
+// ============================================
+
+class MailError extends Error {
+    constructor(message, details) {
+        super(message);
+        this.name = 'MailError';
+        this.details = details;
+    }
+}
+
+module.exports = { MailError };
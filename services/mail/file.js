@@ -0,0 +1,33 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { formatMessage } = require('./format');
+
+// ============================================
+// FILE TRANSPORT
+// ============================================
+//
+// Writes each message to MAIL_DIR as an .eml file instead of sending it, for
+// local development (MAIL_TRANSPORT=file). Open the file in any mail client,
+// or copy the link out of it.
+
+class FileTransport {
+    constructor({ dir, from }) {
+        this.name = 'file';
+        this.dir = dir;
+        this.from = from;
+    }
+
+    async send({ to, subject, text }) {
+        await fs.mkdir(this.dir, { recursive: true });
+
+        const recipient = Array.isArray(to) ? to.join(', ') : to;
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const file = path.join(this.dir, `${stamp}-${recipient.replace(/[^A-Za-z0-9@._-]/g, '_')}.eml`);
+
+        await fs.writeFile(file, formatMessage({ from: this.from, to: recipient, subject, text }));
+        console.log(`📧 Mail to ${recipient} saved to ${file}`);
+        return { transport: this.name, accepted: [recipient], file };
+    }
+}
+
+module.exports = { FileTransport };
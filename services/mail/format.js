@@ -0,0 +1,36 @@
+const crypto = require('crypto');
+
+// ============================================
+// MESSAGE FORMATTING
+// ============================================
+//
+// Builds the raw RFC 5322 text of a plain-text message. The SMTP transport
+// sends it as-is and the file transport writes it to disk, so a saved .eml
+// is exactly what would have gone out.
+
+// Non-ASCII header values go out as RFC 2047 encoded words
+const encodeHeader = (value) => (/^[\x20-\x7e]*$/.test(value)
+    ? value
+    : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`);
+
+// Header values must not smuggle in extra headers
+const singleLine = (value) => String(value).replace(/[\r\n]+/g, ' ').trim();
+
+const domainOf = (address) => address.split('@').pop().replace(/>$/, '') || 'localhost';
+
+function formatMessage({ from, to, subject, text, date = new Date() }) {
+    const headers = [
+        `From: ${singleLine(from)}`,
+        `To: ${singleLine(to)}`,
+        `Subject: ${encodeHeader(singleLine(subject))}`,
+        `Date: ${date.toUTCString()}`,
+        `Message-ID: <${crypto.randomBytes(12).toString('hex')}@${domainOf(singleLine(from))}>`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: 8bit'
+    ];
+    const body = String(text).replace(/\r?\n/g, '\r\n');
+    return `${headers.join('\r\n')}\r\n\r\n${body}\r\n`;
+}
+
+module.exports = { formatMessage };
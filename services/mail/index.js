@@ -0,0 +1,53 @@
+const path = require('path');
+const { SmtpTransport } = require('./smtp');
+const { FileTransport } = require('./file');
+const { ConsoleTransport } = require('./console');
+const { MailError } = require('./errors');
+const { createRegistry } = require('../registry');
+
+// ============================================
+// 📧 MAIL TRANSPORTS
+// ============================================
+//
+// Every transport implements send({ to, subject, text }) and resolves once
+// the message has been handed off. MAIL_TRANSPORT picks one: 'smtp' (SMTP_HOST,
+// SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS, SMTP_ALLOW_INSECURE_AUTH),
+// 'file' (MAIL_DIR) or 'console'. Without it, SMTP is used when SMTP_HOST is set and the console
+// otherwise - except in production, where mail must really go out.
+
+const DEFAULT_FROM = 'Mublog <no-reply@mublogmarketplace.name.ng>';
+
+const from = () => process.env.MAIL_FROM || DEFAULT_FROM;
+
+const transports = createRegistry('mail transport', {
+    smtp: () => new SmtpTransport({
+        host: process.env.SMTP_HOST,
+        port: process.env.SMTP_PORT,
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS,
+        allowInsecureAuth: process.env.SMTP_ALLOW_INSECURE_AUTH === 'true',
+        from: from()
+    }),
+    file: () => new FileTransport({ dir: process.env.MAIL_DIR || path.join(process.cwd(), 'mail'), from: from() }),
+    console: () => new ConsoleTransport({ from: from() })
+});
+
+function defaultTransportName() {
+    if (process.env.MAIL_TRANSPORT) return process.env.MAIL_TRANSPORT;
+    if (process.env.SMTP_HOST || process.env.NODE_ENV === 'production') return 'smtp';
+    return 'console';
+}
+
+const getMailTransport = (name = defaultTransportName()) => transports.get(name);
+
+const registerMailTransport = transports.register;
+
+const sendMail = (message) => getMailTransport().send(message);
+
+module.exports = {
+    getMailTransport,
+    registerMailTransport,
+    sendMail,
+    MailError
+};
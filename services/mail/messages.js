@@ -0,0 +1,56 @@
+// ============================================
+// ACCOUNT EMAILS
+// ============================================
+//
+// Plain-text bodies for the account emails. Each returns { subject, text }.
+
+const APP_NAME = 'Mublog';
+
+function passwordReset({ username, link, expiresInMinutes }) {
+    return {
+        subject: `Reset your ${APP_NAME} password`,
+        text: [
+            `Hi ${username},`,
+            '',
+            'Someone asked to reset the password for your account. If it was you, open this link to choose a new one:',
+            '',
+            link,
+            '',
+            `The link works once and expires in ${expiresInMinutes} minutes.`,
+            'If you didn\'t ask for this, ignore this email - your password stays the same.'
+        ].join('\n')
+    };
+}
+
+function emailVerification({ username, link, expiresInHours }) {
+    return {
+        subject: `Confirm your ${APP_NAME} email address`,
+        text: [
+            `Hi ${username},`,
+            '',
+            'Please confirm this is your email address by opening the link below:',
+            '',
+            link,
+            '',
+            `The link expires in ${expiresInHours} hours.`
+        ].join('\n')
+    };
+}
+
+function passwordChanged({ username }) {
+    return {
+        subject: `Your ${APP_NAME} password was changed`,
+        text: [
+            `Hi ${username},`,
+            '',
+            'The password for your account was just changed and every device was signed out.',
+            'If this wasn\'t you, reset your password straight away and contact support.'
+        ].join('\n')
+    };
+}
+
+module.exports = {
+    passwordReset,
+    emailVerification,
+    passwordChanged
+};
@@ -0,0 +1,191 @@
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const { MailError } = require('./errors');
+const { formatMessage } = require('./format');
+
+// ============================================
+// SMTP TRANSPORT
+// ============================================
+//
+// Minimal SMTP client: one connection per message, EHLO, STARTTLS when the
+// server offers it (or implicit TLS with secure: true, port 465), AUTH PLAIN
+// or LOGIN when credentials are set, then MAIL/RCPT/DATA. Enough for any
+// relay (SES, Mailgun, Postmark, Gmail) without a mail library.
+//
+// Credentials only go over an encrypted connection. A server that offers no
+// STARTTLS gets no AUTH unless allowInsecureAuth is set (a local relay).
+
+const DEFAULT_TIMEOUT_MS = 15000;
+
+// "Mublog <no-reply@example.com>" -> "no-reply@example.com"
+const addressOf = (value) => {
+    const match = /<([^>]+)>/.exec(value);
+    return (match ? match[1] : value).trim();
+};
+
+// Reads complete (possibly multi-line) replies off a socket
+class ReplyReader {
+    constructor() {
+        this.buffer = '';
+        this.lines = [];
+        this.queued = null;
+        this.waiting = null;
+        this.failure = null;
+    }
+
+    attach(socket) {
+        socket.on('data', chunk => {
+            this.buffer += chunk.toString('utf8');
+            this.flush();
+        });
+    }
+
+    fail(err) {
+        this.failure = err;
+        if (this.waiting) this.waiting.reject(err);
+        this.waiting = null;
+    }
+
+    flush() {
+        let index;
+        while ((index = this.buffer.indexOf('\r\n')) !== -1) {
+            const line = this.buffer.slice(0, index);
+            this.buffer = this.buffer.slice(index + 2);
+            this.lines.push(line);
+
+            // "250-..." continues, "250 ..." ends the reply
+            if (line.length < 4 || line[3] !== '-') {
+                const reply = { code: parseInt(line.slice(0, 3), 10), lines: this.lines.map(l => l.slice(4)) };
+                this.lines = [];
+                if (this.waiting) {
+                    this.waiting.resolve(reply);
+                    this.waiting = null;
+                } else {
+                    this.queued = reply;
+                }
+            }
+        }
+    }
+
+    next() {
+        if (this.failure) return Promise.reject(this.failure);
+        if (this.queued) {
+            const reply = this.queued;
+            this.queued = null;
+            return Promise.resolve(reply);
+        }
+        return new Promise((resolve, reject) => {
+            this.waiting = { resolve, reject };
+        });
+    }
+}
+
+class SmtpTransport {
+    constructor({ host, port, secure = false, user, pass, from, name = os.hostname(), timeoutMs = DEFAULT_TIMEOUT_MS, rejectUnauthorized = true, allowInsecureAuth = false } = {}) {
+        this.name = 'smtp';
+        this.host = host;
+        this.port = Number(port) || (secure ? 465 : 587);
+        this.secure = secure;
+        this.user = user;
+        this.pass = pass;
+        this.from = from;
+        this.clientName = name;
+        this.timeoutMs = timeoutMs;
+        this.rejectUnauthorized = rejectUnauthorized;
+        this.allowInsecureAuth = allowInsecureAuth;
+    }
+
+    connect() {
+        return new Promise((resolve, reject) => {
+            const options = { host: this.host, port: this.port };
+            const socket = this.secure
+                ? tls.connect({ ...options, servername: this.host, rejectUnauthorized: this.rejectUnauthorized }, () => resolve(socket))
+                : net.connect(options, () => resolve(socket));
+            socket.once('error', reject);
+        });
+    }
+
+    async send({ to, subject, text }) {
+        if (!this.host) throw new MailError('SMTP is not configured (SMTP_HOST missing)');
+        if (!this.from) throw new MailError('MAIL_FROM is not configured');
+
+        let socket = await this.connect();
+        let reader = new ReplyReader();
+
+        const watch = (s) => {
+            reader.attach(s);
+            s.setTimeout(this.timeoutMs, () => s.destroy(new MailError(`SMTP server ${this.host} timed out`)));
+            s.on('error', err => reader.fail(err instanceof MailError ? err : new MailError(`SMTP connection failed: ${err.message}`)));
+            s.on('close', () => reader.fail(new MailError('SMTP server closed the connection')));
+        };
+
+        const expect = async (codes, step) => {
+            const reply = await reader.next();
+            if (!codes.includes(reply.code)) {
+                throw new MailError(`SMTP ${step} rejected: ${reply.code} ${reply.lines.join(' ')}`, reply);
+            }
+            return reply;
+        };
+
+        const command = (line, codes, step = line.split(' ')[0]) => {
+            socket.write(`${line}\r\n`);
+            return expect(codes, step);
+        };
+
+        watch(socket);
+
+        try {
+            await expect([220], 'greeting');
+            let ehlo = await command(`EHLO ${this.clientName}`, [250]);
+            let encrypted = this.secure;
+
+            if (!this.secure && ehlo.lines.some(l => /^STARTTLS\b/i.test(l))) {
+                await command('STARTTLS', [220]);
+                socket.removeAllListeners('data');
+                socket.removeAllListeners('close');
+                socket = await new Promise((resolve, reject) => {
+                    const secured = tls.connect({ socket, servername: this.host, rejectUnauthorized: this.rejectUnauthorized }, () => resolve(secured));
+                    secured.once('error', reject);
+                });
+                reader = new ReplyReader();
+                watch(socket);
+                ehlo = await command(`EHLO ${this.clientName}`, [250]);
+                encrypted = true;
+            }
+
+            if (this.user) {
+                if (!encrypted && !this.allowInsecureAuth) {
+                    throw new MailError(`SMTP server ${this.host} offers no STARTTLS - not sending credentials unencrypted (set SMTP_SECURE=true, or SMTP_ALLOW_INSECURE_AUTH=true for a trusted local relay)`);
+                }
+                const auth = ehlo.lines.find(l => /^AUTH\b/i.test(l)) || '';
+                if (/\bPLAIN\b/i.test(auth)) {
+                    const token = Buffer.from(`\u0000${this.user}\u0000${this.pass}`).toString('base64');
+                    await command(`AUTH PLAIN ${token}`, [235], 'AUTH');
+                } else {
+                    await command('AUTH LOGIN', [334], 'AUTH');
+                    await command(Buffer.from(this.user).toString('base64'), [334], 'AUTH');
+                    await command(Buffer.from(this.pass || '').toString('base64'), [235], 'AUTH');
+                }
+            }
+
+            const recipients = (Array.isArray(to) ? to : [to]).map(addressOf);
+            await command(`MAIL FROM:<${addressOf(this.from)}>`, [250]);
+            for (const recipient of recipients) {
+                await command(`RCPT TO:<${recipient}>`, [250, 251]);
+            }
+            await command('DATA', [354]);
+
+            // Lines starting with a dot are doubled so they can't end the message early
+            const raw = formatMessage({ from: this.from, to: recipients.join(', '), subject, text });
+            const reply = await command(`${raw.replace(/^\./gm, '..')}.`, [250], 'message');
+
+            socket.write('QUIT\r\n');
+            return { transport: this.name, accepted: recipients, response: reply.lines.join(' ') };
+        } finally {
+            socket.end();
+        }
+    }
+}
+
+module.exports = { SmtpTransport };
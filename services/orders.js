@@ -0,0 +1,324 @@
+const { ObjectId } = require('mongodb');
+const { getCollection, toObjectId } = require('../config/db');
+
+// ============================================
+// 🧾 ORDER SERVICE
+// ============================================
+//
+// Products, SMS numbers and SMM boosts all live in the orders collection with
+// one shared shape: user_id, type, status, product_name (what the buyer sees),
+// price, created_at, updated_at and a status_history trail. Type-specific
+// fields (phone, sms_code, quantity, remains, ...) sit alongside them.
+//
+// Status changes only go through transition(), which checks the move against
+// TRANSITIONS and applies it as a guarded update, so two writers racing on
+// the same order can never both win.
+
+const ORDER_TYPES = {
+    PRODUCT: 'PRODUCT',
+    SMS: 'SMS',
+    SMM: 'SMM'
+};
+
+const ORDER_STATUS = {
+    PENDING: 'PENDING',
+    WAITING: 'WAITING',
+    IN_PROGRESS: 'IN_PROGRESS',
+    COMPLETED: 'COMPLETED',
+    PARTIAL: 'PARTIAL',
+    CANCELLED: 'CANCELLED',
+    EXPIRED: 'EXPIRED'
+};
+
+const S = ORDER_STATUS;
+
+const INITIAL_STATUS = {
+    PRODUCT: S.COMPLETED,
+    SMS: S.WAITING,
+    SMM: S.PENDING
+};
+
+// Allowed moves per type; anything not listed is final
+const TRANSITIONS = {
+    PRODUCT: {},
+    SMS: {
+        [S.WAITING]: [S.COMPLETED, S.CANCELLED, S.EXPIRED],
+        // A code that reached the provider as the order expired
+        [S.EXPIRED]: [S.COMPLETED]
+    },
+    SMM: {
+        [S.PENDING]: [S.IN_PROGRESS, S.COMPLETED, S.PARTIAL, S.CANCELLED],
+        [S.IN_PROGRESS]: [S.COMPLETED, S.PARTIAL, S.CANCELLED]
+    }
+};
+
+// A refund claim older than this was left by a process that died mid-refund
+const REFUND_CLAIM_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Internal bookkeeping that never leaves the API
+const PRIVATE_FIELDS = [
+    'provider',
+    'provider_cost',
+    'quoted_cost',
+    'activation_id',
+    'upstream_error',
+    'refund_pending',
+    'refund_claimed_at',
+    'ignored_panel_status',
+    'item_id',
+    'last_synced_at'
+];
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+class OrderStateError extends Error {
+    constructor(order, to) {
+        super(`Cannot move ${order.type} order from ${order.status} to ${to}`);
+        this.name = 'OrderStateError';
+    }
+}
+
+class OrderQueryError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'OrderQueryError';
+    }
+}
+
+const canTransition = (type, from, to) => ((TRANSITIONS[type] || {})[from] || []).includes(to);
+
+async function createOrder({ _id, type, userId, ...fields }) {
+    if (!ORDER_TYPES[type]) throw new Error(`Unknown order type: ${type}`);
+
+    const now = new Date();
+    const status = fields.status || INITIAL_STATUS[type];
+    const order = {
+        ...fields,
+        _id: _id || new ObjectId(),
+        user_id: String(userId),
+        type,
+        status,
+        status_history: [{ status, at: now }],
+        created_at: now,
+        updated_at: now
+    };
+
+    await getCollection('orders').insertOne(order);
+    return order;
+}
+
+// Resolves true if this call made the move, false if the order had already
+// left `order.status` (another request or worker got there first)
+async function transition(order, to, fields = {}) {
+    if (!canTransition(order.type, order.status, to)) throw new OrderStateError(order, to);
+
+    const now = new Date();
+    const result = await getCollection('orders').updateOne(
+        { _id: order._id, status: order.status },
+        {
+            $set: { ...fields, status: to, updated_at: now },
+            $push: { status_history: { status: to, at: now } }
+        }
+    );
+    return result.modifiedCount > 0;
+}
+
+// Non-status bookkeeping (sync results, refund flags, ...)
+async function setFields(orderId, fields) {
+    await getCollection('orders').updateOne(
+        { _id: toObjectId(orderId) },
+        { $set: { ...fields, updated_at: new Date() } }
+    );
+}
+
+// Takes the right to refund an order flagged refund_pending, so however many
+// workers (or instances) see the flag, one at a time pays it out. The holder
+// clears refund_pending once the refund lands, or releaseRefund() on failure.
+async function claimRefund(orderId) {
+    const now = new Date();
+    const result = await getCollection('orders').updateOne(
+        {
+            _id: toObjectId(orderId),
+            refund_pending: true,
+            $or: [
+                { refund_claimed_at: null },
+                { refund_claimed_at: { $lt: new Date(now.getTime() - REFUND_CLAIM_TIMEOUT_MS) } }
+            ]
+        },
+        { $set: { refund_claimed_at: now, updated_at: now } }
+    );
+    return result.modifiedCount > 0;
+}
+
+const releaseRefund = (orderId) => setFields(orderId, { refund_claimed_at: null });
+
+async function findById(orderId) {
+    return getCollection('orders').findOne({ _id: toObjectId(orderId) });
+}
+
+async function findForUser(userId, orderId, type) {
+    const query = { _id: toObjectId(orderId), user_id: String(userId) };
+    if (type) query.type = type;
+    return getCollection('orders').findOne(query);
+}
+
+function toView(order) {
+    const view = { ...order };
+    PRIVATE_FIELDS.forEach(field => delete view[field]);
+    return view;
+}
+
+const parseList = (value) => String(value || '')
+    .split(',')
+    .map(v => v.trim().toUpperCase())
+    .filter(Boolean);
+
+function parseDate(value, field) {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) throw new OrderQueryError(`${field} is not a valid date`);
+    return date;
+}
+
+// Newest first. The cursor is the _id of the last order on the previous
+// page; ObjectIds grow with time, so _id order is creation order.
+async function listForUser(userId, { type, status, from, to, cursor, limit } = {}) {
+    const query = { user_id: String(userId) };
+
+    const types = parseList(type);
+    if (types.some(t => !ORDER_TYPES[t])) throw new OrderQueryError(`type must be one of ${Object.keys(ORDER_TYPES).join(', ')}`);
+    if (types.length > 0) query.type = { $in: types };
+
+    const statuses = parseList(status);
+    if (statuses.some(s => !ORDER_STATUS[s])) throw new OrderQueryError(`status must be one of ${Object.keys(ORDER_STATUS).join(', ')}`);
+    if (statuses.length > 0) query.status = { $in: statuses };
+
+    if (from || to) {
+        query.created_at = {};
+        if (from) query.created_at.$gte = parseDate(from, 'from');
+        if (to) query.created_at.$lte = parseDate(to, 'to');
+    }
+
+    if (cursor) {
+        if (!ObjectId.isValid(cursor)) throw new OrderQueryError('Invalid cursor');
+        query._id = { $lt: new ObjectId(cursor) };
+    }
+
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    // One extra row tells us whether another page exists
+    const rows = await getCollection('orders')
+        .find(query)
+        .sort({ _id: -1 })
+        .limit(pageSize + 1)
+        .toArray();
+
+    const page = rows.slice(0, pageSize);
+    return {
+        orders: page.map(toView),
+        nextCursor: rows.length > pageSize ? String(page[page.length - 1]._id) : null
+    };
+}
+
+async function summaryForUser(userId) {
+    const counts = {};
+    for (const type of Object.keys(ORDER_TYPES)) {
+        counts[type] = await getCollection('orders').countDocuments({ user_id: String(userId), type });
+    }
+    return {
+        total: Object.values(counts).reduce((sum, n) => sum + n, 0),
+        byType: counts
+    };
+}
+
+// ============================================
+// LEGACY MIGRATION
+// ============================================
+
+// Statuses written by older code paths and the mongoose models
+const LEGACY_STATUS = {
+    ACTIVE: S.WAITING,
+    FINISHED: S.COMPLETED,
+    TIMEOUT: S.EXPIRED,
+    CANCELED: S.CANCELLED
+};
+
+// Moves sms_orders into orders and fills in the shared fields on old rows.
+// Rows are matched by _id, so running it again changes nothing.
+async function migrateLegacyOrders() {
+    let moved = 0;
+    let normalized = 0;
+
+    const smsOrders = await getCollection('sms_orders').find({}).toArray();
+    for (const sms of smsOrders) {
+        const exists = await getCollection('orders').findOne({ _id: sms._id });
+        if (!exists) {
+            const createdAt = sms.created_at || sms.createdAt || new Date();
+            const { createdAt: _legacy, order_id_5sim, ...rest } = sms;
+            await getCollection('orders').insertOne({
+                ...rest,
+                user_id: String(sms.user_id),
+                type: ORDER_TYPES.SMS,
+                product_name: `${sms.service} number (${sms.country})`,
+                activation_id: sms.activation_id || order_id_5sim || null,
+                status: LEGACY_STATUS[sms.status] || sms.status || S.EXPIRED,
+                created_at: createdAt
+            });
+        }
+        await getCollection('sms_orders').deleteOne({ _id: sms._id });
+        moved++;
+    }
+
+    const orders = await getCollection('orders').find({}).toArray();
+    for (const order of orders) {
+        const type = order.type || ORDER_TYPES.PRODUCT;
+        const status = LEGACY_STATUS[order.status] || order.status || INITIAL_STATUS[type];
+        const createdAt = order.created_at || order.createdAt || new Date();
+
+        const needsUpdate = order.type !== type ||
+            order.status !== status ||
+            !order.created_at ||
+            order.createdAt !== undefined ||
+            typeof order.user_id !== 'string' ||
+            !order.updated_at ||
+            !Array.isArray(order.status_history);
+        if (!needsUpdate) continue;
+
+        await getCollection('orders').updateOne(
+            { _id: order._id },
+            {
+                $set: {
+                    type,
+                    status,
+                    user_id: String(order.user_id),
+                    created_at: createdAt,
+                    updated_at: order.updated_at || createdAt,
+                    status_history: Array.isArray(order.status_history) ? order.status_history : [{ status, at: createdAt }]
+                },
+                $unset: { createdAt: '' }
+            }
+        );
+        normalized++;
+    }
+
+    return { moved, normalized };
+}
+
+module.exports = {
+    ORDER_TYPES,
+    ORDER_STATUS,
+    OrderStateError,
+    OrderQueryError,
+    canTransition,
+    createOrder,
+    transition,
+    setFields,
+    claimRefund,
+    releaseRefund,
+    findById,
+    findForUser,
+    toView,
+    listForUser,
+    summaryForUser,
+    migrateLegacyOrders
+};
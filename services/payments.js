@@ -0,0 +1,149 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const { getCollection } = require('../config/db');
+const wallet = require('./wallet');
+
+// ============================================
+// 💳 FLUTTERWAVE PAYMENTS
+// ============================================
+
+const MIN_TOPUP_AMOUNT = 100;
+
+// A claim older than this belongs to a process that died mid-credit
+const CREDIT_CLAIM_TIMEOUT_MS = 5 * 60 * 1000;
+
+// FLUTTERWAVE_API_URL points verification at a local stub in tests
+const DEFAULT_API_URL = 'https://api.flutterwave.com/v3';
+
+async function fetchFlutterwaveTransaction(transactionId) {
+    const apiUrl = process.env.FLUTTERWAVE_API_URL || DEFAULT_API_URL;
+    const response = await axios.get(
+        `${apiUrl}/transactions/${encodeURIComponent(transactionId)}/verify`,
+        {
+            headers: {
+                Authorization: `Bearer ${process.env.FLUTTERWAVE_SECRET_KEY}`
+            }
+        }
+    );
+    return response.data.data;
+}
+
+// Records a pending top-up; the wallet is only credited once Flutterwave
+// confirms a payment carrying this tx_ref
+async function createTopup(user, amount) {
+    const txRef = `TXN_${Date.now()}_${crypto.randomBytes(6).toString('hex')}`;
+
+    await getCollection('transactions').insertOne({
+        user_id: String(user._id),
+        tx_ref: txRef,
+        amount,
+        currency: 'NGN',
+        email: user.email.toLowerCase(),
+        status: 'pending',
+        created_at: new Date()
+    });
+
+    return { tx_ref: txRef, amount, currency: 'NGN', email: user.email };
+}
+
+// Single credit path for both the webhook and verify-payment. The pending
+// top-up row is claimed ('crediting') with a guarded update, so however many
+// times a payment is reported, only the call that wins the claim credits the
+// wallet. It only becomes 'successful' once the credit is in; a failed credit
+// puts it back to 'pending' for the next report or verify to finish.
+async function creditFlutterwavePayment(data, expectedUserId) {
+    if (!data || !data.tx_ref) {
+        return { ok: false, error: 'Unknown payment' };
+    }
+
+    const transactions = getCollection('transactions');
+    const pending = await transactions.findOne({ tx_ref: data.tx_ref });
+
+    if (!pending) {
+        console.log(`⚠️ Payment with unknown tx_ref: ${data.tx_ref}`);
+        return { ok: false, error: 'Unknown payment reference' };
+    }
+
+    if (expectedUserId && pending.user_id !== String(expectedUserId)) {
+        return { ok: false, error: 'Payment does not belong to this account' };
+    }
+
+    if (pending.status === 'successful') {
+        return { ok: true, alreadyCredited: true, amount: pending.amount };
+    }
+
+    if (data.status !== 'successful') {
+        return { ok: false, error: 'Payment not successful' };
+    }
+
+    const duplicate = await transactions.findOne({ transaction_id: String(data.id), status: { $in: ['crediting', 'successful'] } });
+    if (duplicate) {
+        return { ok: true, alreadyCredited: true, amount: duplicate.amount };
+    }
+
+    const paidEmail = (data.customer && data.customer.email || '').toLowerCase();
+    let mismatch = null;
+    if (data.currency !== pending.currency) {
+        mismatch = `Currency mismatch: expected ${pending.currency}, got ${data.currency}`;
+    } else if (Number(data.amount) < pending.amount) {
+        mismatch = `Amount mismatch: expected ${pending.amount}, got ${data.amount}`;
+    } else if (paidEmail !== pending.email) {
+        mismatch = 'Customer mismatch';
+    }
+
+    if (mismatch) {
+        console.log(`⚠️ Payment ${data.tx_ref} rejected: ${mismatch}`);
+        await transactions.updateOne(
+            { tx_ref: data.tx_ref, status: 'pending' },
+            { $set: { status: 'flagged', failure_reason: mismatch, transaction_id: String(data.id) } }
+        );
+        return { ok: false, error: 'Payment details do not match the top-up request' };
+    }
+
+    const claimedAt = new Date();
+    const claim = await transactions.updateOne(
+        {
+            tx_ref: data.tx_ref,
+            $or: [
+                { status: 'pending' },
+                { status: 'crediting', crediting_at: { $lt: new Date(claimedAt.getTime() - CREDIT_CLAIM_TIMEOUT_MS) } }
+            ]
+        },
+        { $set: { status: 'crediting', transaction_id: String(data.id), crediting_at: claimedAt } }
+    );
+
+    if (claim.modifiedCount === 0) {
+        return { ok: true, alreadyCredited: true, amount: pending.amount };
+    }
+
+    const mine = { tx_ref: data.tx_ref, status: 'crediting', crediting_at: claimedAt };
+    try {
+        // A claim taken over from a dead process may already have credited
+        const credited = await wallet.findEntry(pending.user_id, wallet.ENTRY_TYPES.TOPUP, data.tx_ref);
+        if (!credited) {
+            await wallet.credit(pending.user_id, pending.amount, {
+                type: wallet.ENTRY_TYPES.TOPUP,
+                account: wallet.ACCOUNTS.FLUTTERWAVE,
+                reference: { kind: 'payment', id: data.tx_ref, transaction_id: String(data.id) },
+                actor: { type: 'user', id: pending.user_id },
+                description: 'Wallet top-up via Flutterwave'
+            });
+        }
+    } catch (err) {
+        await transactions.updateOne(mine, { $set: { status: 'pending' }, $unset: { crediting_at: '' } });
+        throw err;
+    }
+
+    await transactions.updateOne(mine, { $set: { status: 'successful', credited_at: new Date() }, $unset: { crediting_at: '' } });
+
+    console.log(`✅ Wallet credited: ${pending.user_id} +₦${pending.amount} (${data.tx_ref})`);
+
+    return { ok: true, alreadyCredited: false, amount: pending.amount };
+}
+
+module.exports = {
+    MIN_TOPUP_AMOUNT,
+    fetchFlutterwaveTransaction,
+    createTopup,
+    creditFlutterwavePayment
+};
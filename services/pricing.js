@@ -0,0 +1,243 @@
+const { getCollection } = require('../config/db');
+
+// ============================================
+// 🏷️ PRICING ENGINE
+// ============================================
+//
+// Every SMS quote/order and SMM listing/order is priced here from settings
+// admins edit at runtime (settings collection, key 'pricing'):
+//   provider cost x exchange rate -> + markup -> margin floor -> rounding.
+// The markup is the most specific override that exists: SMS service, then
+// SMS country, then the global markup; SMM uses its category override.
+// SMS floors are NGN of profit per number, SMM floors per 1000 units, so a
+// listed SMM rate always matches what an order of that size is charged.
+
+const SETTINGS_KEY = 'pricing';
+const CACHE_TTL_MS = 30 * 1000;
+const ROUNDING_MODES = ['ceil', 'floor', 'nearest', 'none'];
+const OVERRIDE_FIELDS = ['service_markups', 'country_markups', 'smm_category_markups'];
+
+// Matches the prices charged before settings were configurable
+const DEFAULT_SETTINGS = {
+    sms_exchange_rate: 30,
+    smm_exchange_rate: 1,
+    markup_percent: 20,
+    service_markups: {},
+    country_markups: {},
+    smm_category_markups: {},
+    sms_min_margin: 0,
+    smm_min_margin: 0,
+    sms_rounding: { mode: 'ceil', step: 1 },
+    smm_rounding: { mode: 'nearest', step: 0.01 }
+};
+
+class PricingSettingsError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PricingSettingsError';
+    }
+}
+
+let cached = null;
+let cachedAt = 0;
+
+const toMoney = (amount) => Math.round(amount * 100) / 100;
+
+function round(amount, { mode, step }) {
+    if (mode === 'none') return toMoney(amount);
+    const fn = mode === 'floor' ? Math.floor : mode === 'nearest' ? Math.round : Math.ceil;
+    // Divide first and nudge off float noise so 12.000000001 doesn't ceil to 13
+    const units = Math.round((amount / step) * 1e6) / 1e6;
+    return toMoney(fn(units) * step);
+}
+
+// The floor is applied after rounding and rounds up, so it always holds
+function applyFloor(price, floor, rounding) {
+    if (price >= floor) return price;
+    return round(floor, { mode: 'ceil', step: rounding.mode === 'none' ? 0.01 : rounding.step });
+}
+
+function finitePositive(value, field) {
+    const n = Number(value);
+    if (!Number.isFinite(n) || n <= 0) throw new PricingSettingsError(`${field} must be a number greater than 0`);
+    return n;
+}
+
+function markupValue(value, field) {
+    const n = Number(value);
+    if (!Number.isFinite(n) || n <= -100) throw new PricingSettingsError(`${field} must be a number greater than -100`);
+    return n;
+}
+
+function floorValue(value, field) {
+    const n = Number(value);
+    if (!Number.isFinite(n) || n < 0) throw new PricingSettingsError(`${field} must be 0 or more`);
+    return n;
+}
+
+function roundingValue(current, value, field) {
+    if (!value || typeof value !== 'object') throw new PricingSettingsError(`${field} must be an object`);
+    const merged = { ...current, ...value };
+    if (!ROUNDING_MODES.includes(merged.mode)) {
+        throw new PricingSettingsError(`${field}.mode must be one of ${ROUNDING_MODES.join(', ')}`);
+    }
+    return { mode: merged.mode, step: finitePositive(merged.step, `${field}.step`) };
+}
+
+// SMS services and countries are matched lower-case, SMM categories verbatim
+function overridesValue(current, value, field) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        throw new PricingSettingsError(`${field} must be an object of name: percent`);
+    }
+    const merged = { ...current };
+    for (const [rawKey, percent] of Object.entries(value)) {
+        const key = field === 'smm_category_markups' ? rawKey.trim() : rawKey.trim().toLowerCase();
+        if (!key) throw new PricingSettingsError(`${field} has an empty name`);
+        if (percent === null) {
+            delete merged[key];
+        } else {
+            merged[key] = markupValue(percent, `${field}.${key}`);
+        }
+    }
+    return merged;
+}
+
+// Applies an admin patch on top of the current settings. Override maps merge
+// key by key (null removes an override); every other field is replaced.
+function mergeSettings(current, patch) {
+    if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+        throw new PricingSettingsError('Settings must be an object');
+    }
+
+    const next = { ...current };
+
+    for (const [field, value] of Object.entries(patch)) {
+        switch (field) {
+            case 'sms_exchange_rate':
+            case 'smm_exchange_rate':
+                next[field] = finitePositive(value, field);
+                break;
+            case 'markup_percent':
+                next[field] = markupValue(value, field);
+                break;
+            case 'sms_min_margin':
+            case 'smm_min_margin':
+                next[field] = floorValue(value, field);
+                break;
+            case 'sms_rounding':
+            case 'smm_rounding':
+                next[field] = roundingValue(current[field], value, field);
+                break;
+            default:
+                if (!OVERRIDE_FIELDS.includes(field)) throw new PricingSettingsError(`Unknown pricing setting: ${field}`);
+                next[field] = overridesValue(current[field], value, field);
+        }
+    }
+
+    return next;
+}
+
+async function getSettings() {
+    if (cached && Date.now() - cachedAt < CACHE_TTL_MS) return cached;
+
+    const stored = await getCollection('settings').findOne({ key: SETTINGS_KEY });
+    const settings = { ...DEFAULT_SETTINGS };
+    for (const field of Object.keys(DEFAULT_SETTINGS)) {
+        if (stored && stored[field] !== undefined) settings[field] = stored[field];
+    }
+
+    cached = settings;
+    cachedAt = Date.now();
+    return settings;
+}
+
+async function updateSettings(patch, actor) {
+    const next = mergeSettings(await getSettings(), patch);
+
+    await getCollection('settings').updateOne(
+        { key: SETTINGS_KEY },
+        { $set: { ...next, updated_at: new Date(), updated_by: actor || null } },
+        { upsert: true }
+    );
+
+    cached = next;
+    cachedAt = Date.now();
+    return next;
+}
+
+function smsMarkup(settings, service, country) {
+    const byService = settings.service_markups[String(service || '').toLowerCase()];
+    if (byService !== undefined) return byService;
+    const byCountry = settings.country_markups[String(country || '').toLowerCase()];
+    if (byCountry !== undefined) return byCountry;
+    return settings.markup_percent;
+}
+
+// cost is in the SMS provider's currency; the result is the NGN sale price
+function priceSms(settings, { service, country, cost }) {
+    const costNgn = toMoney(cost * settings.sms_exchange_rate);
+    const markup = smsMarkup(settings, service, country);
+    const rounded = round(costNgn * (1 + markup / 100), settings.sms_rounding);
+    const price = applyFloor(rounded, costNgn + settings.sms_min_margin, settings.sms_rounding);
+
+    return { price, costNgn, markupPercent: markup, margin: toMoney(price - costNgn) };
+}
+
+// rate is the SMM provider's price per 1000 units
+function priceSmmRate(settings, { category, rate }) {
+    const costNgn = toMoney(parseFloat(rate) * settings.smm_exchange_rate);
+    const byCategory = settings.smm_category_markups[String(category || '').trim()];
+    const markup = byCategory !== undefined ? byCategory : settings.markup_percent;
+    const rounded = round(costNgn * (1 + markup / 100), settings.smm_rounding);
+    const ratePer1000 = applyFloor(rounded, costNgn + settings.smm_min_margin, settings.smm_rounding);
+
+    return { ratePer1000, costNgn, markupPercent: markup };
+}
+
+function priceSmmOrder(settings, { category, rate, quantity }) {
+    const quote = priceSmmRate(settings, { category, rate });
+    return { ...quote, price: toMoney((quote.ratePer1000 * quantity) / 1000) };
+}
+
+// Prices the same samples under the saved and the proposed settings, so an
+// admin can see the effect of a change before saving it
+async function previewSettings(patch, { smsOffers = [], smmServices = [] } = {}) {
+    const current = await getSettings();
+    const proposed = mergeSettings(current, patch);
+
+    const sms = smsOffers.map(offer => {
+        const before = priceSms(current, offer).price;
+        const after = priceSms(proposed, offer).price;
+        return { service: offer.service, country: offer.country, operator: offer.operator, cost: offer.cost, before, after, change: toMoney(after - before) };
+    });
+
+    const smm = smmServices.map(s => {
+        const before = priceSmmRate(current, s).ratePer1000;
+        const after = priceSmmRate(proposed, s).ratePer1000;
+        return { service: s.service, name: s.name, category: s.category, rate: s.rate, before, after, change: toMoney(after - before) };
+    });
+
+    const summarize = (rows) => ({
+        count: rows.length,
+        raised: rows.filter(r => r.change > 0).length,
+        lowered: rows.filter(r => r.change < 0).length
+    });
+
+    return {
+        current,
+        proposed,
+        sms: { ...summarize(sms), rows: sms },
+        smm: { ...summarize(smm), rows: smm }
+    };
+}
+
+module.exports = {
+    DEFAULT_SETTINGS,
+    PricingSettingsError,
+    getSettings,
+    updateSettings,
+    priceSms,
+    priceSmmRate,
+    priceSmmOrder,
+    previewSettings
+};
@@ -0,0 +1,175 @@
+const { ObjectId } = require('mongodb');
+const { getCollection } = require('../config/db');
+const { PRODUCT_CATEGORIES } = require('./inventory');
+const { ORDER_TYPES } = require('./orders');
+
+// ============================================
+// 🛍 PRODUCT CATALOGUE
+// ============================================
+//
+// What shoppers browse: search over listing names and descriptions, filters
+// for category, price and stock, a choice of sort order and cursor paging.
+// Listings leave here without their credentials - Tools and Format keep the
+// shared login on the product itself.
+//
+// Paging is keyset-based. The cursor carries the sort value and _id of the
+// last listing on the page, so a page never repeats or skips listings when
+// earlier ones sell out or change price in between.
+
+const SORTS = {
+    NEWEST: 'newest',
+    PRICE_ASC: 'price_asc',
+    PRICE_DESC: 'price_desc',
+    BEST_SELLING: 'best_selling'
+};
+
+// ObjectIds grow with time, so _id order is creation order
+const SORT_FIELDS = {
+    newest: { field: '_id', direction: -1 },
+    price_asc: { field: 'price', direction: 1 },
+    price_desc: { field: 'price', direction: -1 },
+    best_selling: { field: 'sold', direction: -1 }
+};
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+const MAX_SEARCH_TERMS = 5;
+
+class CatalogueQueryError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CatalogueQueryError';
+    }
+}
+
+function toListing(product) {
+    const { credentials, ...listing } = product;
+    return { ...listing, id: product._id };
+}
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Every word has to appear in the name or the description, in any order
+function searchClauses(q) {
+    return String(q || '')
+        .trim()
+        .split(/\s+/)
+        .filter(Boolean)
+        .slice(0, MAX_SEARCH_TERMS)
+        .map(term => {
+            const pattern = new RegExp(escapeRegex(term), 'i');
+            return { $or: [{ name: pattern }, { description: pattern }] };
+        });
+}
+
+// null for listings without the field (e.g. from before the sales counter)
+const sortValue = (product, field) => (field === '_id' || product[field] === undefined ? null : product[field]);
+
+function encodeCursor(sort, product) {
+    const { field } = SORT_FIELDS[sort];
+    return Buffer.from(JSON.stringify({ s: sort, v: sortValue(product, field), id: String(product._id) })).toString('base64url');
+}
+
+// The condition for "after this cursor" in the given sort order
+function afterCursor(sort, cursor) {
+    let decoded;
+    try {
+        decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch (err) {
+        throw new CatalogueQueryError('Invalid cursor');
+    }
+
+    const { field, direction } = SORT_FIELDS[sort];
+    if (!decoded || decoded.s !== sort || !ObjectId.isValid(decoded.id) || (field !== '_id' && typeof decoded.v !== 'number' && decoded.v !== null)) {
+        throw new CatalogueQueryError('Invalid cursor - it belongs to a different sort or search');
+    }
+
+    const op = direction === 1 ? '$gt' : '$lt';
+    const id = new ObjectId(decoded.id);
+    if (field === '_id') return { _id: { [op]: id } };
+
+    // Mongo sorts a missing field below every value: those listings come
+    // last in descending order and first in ascending order. { field: null }
+    // matches exactly them.
+    const tie = { [field]: decoded.v, _id: { [op]: id } };
+    if (decoded.v === null) {
+        return direction === 1 ? { $or: [{ [field]: { $ne: null } }, tie] } : tie;
+    }
+    const after = [{ [field]: { [op]: decoded.v } }, tie];
+    if (direction === -1) after.push({ [field]: null });
+    return { $or: after };
+}
+
+// Query: q, category, minPrice, maxPrice, inStock, sort, cursor, limit.
+// Returns { products, nextCursor }; nextCursor is null on the last page.
+async function search({ q, category, minPrice, maxPrice, inStock = true, sort = SORTS.NEWEST, cursor, limit } = {}) {
+    if (!SORT_FIELDS[sort]) throw new CatalogueQueryError(`sort must be one of ${Object.values(SORTS).join(', ')}`);
+    if (minPrice !== undefined && maxPrice !== undefined && minPrice > maxPrice) {
+        throw new CatalogueQueryError('minPrice cannot be more than maxPrice');
+    }
+
+    const clauses = searchClauses(q);
+    if (category) clauses.push({ category });
+    if (minPrice !== undefined || maxPrice !== undefined) {
+        const price = {};
+        if (minPrice !== undefined) price.$gte = minPrice;
+        if (maxPrice !== undefined) price.$lte = maxPrice;
+        clauses.push({ price });
+    }
+    if (inStock) clauses.push({ stock: { $gt: 0 } });
+    if (cursor) clauses.push(afterCursor(sort, cursor));
+
+    const { field, direction } = SORT_FIELDS[sort];
+    const order = field === '_id' ? { _id: direction } : { [field]: direction, _id: direction };
+    const pageSize = Math.min(limit || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+
+    // One extra row tells us whether another page exists
+    const rows = await getCollection('products')
+        .find(clauses.length > 0 ? { $and: clauses } : {})
+        .sort(order)
+        .limit(pageSize + 1)
+        .toArray();
+
+    const page = rows.slice(0, pageSize);
+    return {
+        products: page.map(toListing),
+        nextCursor: rows.length > pageSize ? encodeCursor(sort, page[page.length - 1]) : null
+    };
+}
+
+// Every storefront category with how many listings are in stock, in menu order
+async function categoryCounts() {
+    const products = getCollection('products');
+    return Promise.all(PRODUCT_CATEGORIES.map(async category => ({
+        category,
+        count: await products.countDocuments({ category, stock: { $gt: 0 } })
+    })));
+}
+
+// Feeds the best-selling sort
+async function recordSale(productId) {
+    await getCollection('products').updateOne({ _id: productId }, { $inc: { sold: 1 } });
+}
+
+// Sets the sales counter on listings created before it existed, from their orders
+async function backfillSales() {
+    const products = await getCollection('products').find({ sold: { $exists: false } }).toArray();
+
+    for (const product of products) {
+        const sold = await getCollection('orders').countDocuments({ type: ORDER_TYPES.PRODUCT, product_id: String(product._id) });
+        await getCollection('products').updateOne({ _id: product._id, sold: { $exists: false } }, { $set: { sold } });
+    }
+
+    return { updated: products.length };
+}
+
+module.exports = {
+    SORTS,
+    MAX_PAGE_SIZE,
+    CatalogueQueryError,
+    toListing,
+    search,
+    categoryCounts,
+    recordSale,
+    backfillSales
+};
@@ -0,0 +1,32 @@
+const { MemoryStore } = require('./memory');
+const { MongoStore } = require('./mongo');
+const { createRegistry } = require('../registry');
+
+// ============================================
+// 🚦 RATE LIMIT STORES
+// ============================================
+//
+// Every store keeps expiring counters by key:
+//   increment(key, ttlMs) -> { count, resetAt }  (the window opens on the first hit)
+//   get(key)              -> { count, resetAt } or null
+//   set(key, count, ttlMs), delete(key)
+// RATE_LIMIT_STORE picks one: 'mongo' (the default - shared by every instance
+// and kept across restarts) or 'memory'.
+
+const stores = createRegistry('rate limit store', {
+    memory: () => new MemoryStore(),
+    mongo: () => new MongoStore()
+});
+
+const defaultStoreName = () => process.env.RATE_LIMIT_STORE || 'mongo';
+
+const getRateLimitStore = (name = defaultStoreName()) => stores.get(name);
+
+const registerRateLimitStore = stores.register;
+
+module.exports = {
+    getRateLimitStore,
+    registerRateLimitStore,
+    MemoryStore,
+    MongoStore
+};
@@ -0,0 +1,61 @@
+// ============================================
+// MEMORY STORE
+// ============================================
+//
+// Counters in a Map, for a single process or local runs. Expired entries are
+// swept every minute so idle IPs don't accumulate; everything is lost on
+// restart.
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+class MemoryStore {
+    constructor({ sweepIntervalMs = SWEEP_INTERVAL_MS } = {}) {
+        this.name = 'memory';
+        this.entries = new Map();
+        this.sweeper = setInterval(() => this.sweep(), sweepIntervalMs);
+        // Never what keeps the process alive
+        this.sweeper.unref();
+    }
+
+    live(key, now = Date.now()) {
+        const entry = this.entries.get(key);
+        if (entry && entry.resetAt <= now) {
+            this.entries.delete(key);
+            return null;
+        }
+        return entry || null;
+    }
+
+    async increment(key, ttlMs) {
+        const now = Date.now();
+        const entry = this.live(key, now) || { count: 0, resetAt: now + ttlMs };
+        entry.count += 1;
+        this.entries.set(key, entry);
+        return { count: entry.count, resetAt: entry.resetAt };
+    }
+
+    async get(key) {
+        const entry = this.live(key);
+        return entry ? { count: entry.count, resetAt: entry.resetAt } : null;
+    }
+
+    async set(key, count, ttlMs) {
+        this.entries.set(key, { count, resetAt: Date.now() + ttlMs });
+    }
+
+    async delete(key) {
+        this.entries.delete(key);
+    }
+
+    sweep(now = Date.now()) {
+        for (const [key, entry] of this.entries) {
+            if (entry.resetAt <= now) this.entries.delete(key);
+        }
+    }
+
+    close() {
+        clearInterval(this.sweeper);
+    }
+}
+
+module.exports = { MemoryStore };
@@ -0,0 +1,58 @@
+const { getCollection } = require('../../config/db');
+
+// ============================================
+// MONGO STORE
+// ============================================
+//
+// Counters in the rate_limits collection, one document per key, so limits
+// survive restarts and hold across instances. A TTL index on reset_at clears
+// idle keys; reads ignore documents the TTL monitor hasn't reached yet.
+
+const COLLECTION = 'rate_limits';
+
+const DUPLICATE_KEY = 11000;
+
+class MongoStore {
+    constructor() {
+        this.name = 'mongo';
+    }
+
+    async increment(key, ttlMs) {
+        const limits = getCollection(COLLECTION);
+        const now = new Date();
+
+        // An expired window starts over rather than being extended
+        await limits.deleteOne({ _id: key, reset_at: { $lte: now } });
+
+        const update = { $inc: { count: 1 }, $setOnInsert: { reset_at: new Date(now.getTime() + ttlMs) } };
+        const options = { upsert: true, returnDocument: 'after', includeResultMetadata: false };
+        let doc;
+        try {
+            doc = await limits.findOneAndUpdate({ _id: key }, update, options);
+        } catch (err) {
+            // Two first hits raced to insert; the loser counts on the winner's document
+            if (err.code !== DUPLICATE_KEY) throw err;
+            doc = await limits.findOneAndUpdate({ _id: key }, update, options);
+        }
+        return { count: doc.count, resetAt: doc.reset_at.getTime() };
+    }
+
+    async get(key) {
+        const doc = await getCollection(COLLECTION).findOne({ _id: key, reset_at: { $gt: new Date() } });
+        return doc ? { count: doc.count, resetAt: doc.reset_at.getTime() } : null;
+    }
+
+    async set(key, count, ttlMs) {
+        await getCollection(COLLECTION).updateOne(
+            { _id: key },
+            { $set: { count, reset_at: new Date(Date.now() + ttlMs) } },
+            { upsert: true }
+        );
+    }
+
+    async delete(key) {
+        await getCollection(COLLECTION).deleteOne({ _id: key });
+    }
+}
+
+module.exports = { MongoStore, COLLECTION };
@@ -0,0 +1,31 @@
+// ============================================
+// 🗂 NAMED IMPLEMENTATIONS
+// ============================================
+//
+// SMS providers, mail transports and rate-limit stores are each chosen by
+// name from a table of factories. A name is built once, on first use.
+// Registering a name (a factory, or a ready-made instance - handy for tests)
+// adds or replaces it and drops whatever was built before.
+
+function createRegistry(kind, factories = {}) {
+    const table = { ...factories };
+    const instances = new Map();
+
+    function get(name) {
+        if (!instances.has(name)) {
+            const factory = table[name];
+            if (!factory) throw new Error(`Unknown ${kind}: ${name}`);
+            instances.set(name, factory());
+        }
+        return instances.get(name);
+    }
+
+    function register(name, factoryOrInstance) {
+        table[name] = typeof factoryOrInstance === 'function' ? factoryOrInstance : () => factoryOrInstance;
+        instances.delete(name);
+    }
+
+    return { get, register };
+}
+
+module.exports = { createRegistry };
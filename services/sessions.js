@@ -0,0 +1,222 @@
+const crypto = require('crypto');
+const { getCollection, toObjectId } = require('../config/db');
+
+// ============================================
+// 🔐 LOGIN SESSIONS & REFRESH TOKENS
+// ============================================
+//
+// Every login opens a session (sessions collection) for one device. The
+// client gets a short-lived access token naming the session (sid) and a
+// refresh token of the form "<sessionId>.<secret>"; only the secret's
+// SHA-256 hash is stored. Each refresh swaps the secret for a new one, so a
+// refresh token works once. Presenting one that was already swapped means it
+// was copied - the session is revoked and whoever holds it must log in again.
+//
+// authenticate() checks the session on every request, so revoking it signs
+// the device out straight away rather than when its access token expires.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SESSION_TTL_MS = (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30) * DAY_MS;
+
+// Two tabs refreshing at once both send the same token; the loser gets a
+// plain failure instead of the whole session being treated as stolen
+const REUSE_GRACE_MS = 30 * 1000;
+
+const REVOKE_REASONS = {
+    LOGOUT: 'logout',
+    LOGOUT_ALL: 'logout_all',
+    REVOKED_BY_USER: 'revoked_by_user',
+    ADMIN: 'admin_force_logout',
+    PASSWORD_CHANGED: 'password_changed',
+    TWO_FACTOR_ENABLED: 'two_factor_enabled',
+    REFRESH_REUSE: 'refresh_token_reuse'
+};
+
+class SessionError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SessionError';
+    }
+}
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(String(secret)).digest('hex');
+const newSecret = () => crypto.randomBytes(32).toString('base64url');
+
+// "Mozilla/5.0 (Windows NT 10.0; ...) Chrome/120..." -> "Chrome on Windows"
+function describeDevice(userAgent) {
+    const ua = String(userAgent || '');
+    if (!ua) return 'Unknown device';
+
+    const browser = [
+        ['Edge', /Edg\//], ['Opera', /OPR\//], ['Chrome', /Chrome\//], ['Firefox', /Firefox\//], ['Safari', /Safari\//]
+    ].find(([, pattern]) => pattern.test(ua));
+    const os = [
+        ['Android', /Android/], ['iPhone', /iPhone/], ['iPad', /iPad/], ['Windows', /Windows/], ['macOS', /Mac OS X/], ['Linux', /Linux/]
+    ].find(([, pattern]) => pattern.test(ua));
+
+    if (!browser && !os) return ua.slice(0, 60);
+    return [browser && browser[0], os && `on ${os[0]}`].filter(Boolean).join(' ');
+}
+
+// Splits "<sessionId>.<secret>"; null if it can't be one of ours
+function parseRefreshToken(token) {
+    if (typeof token !== 'string') return null;
+    const [sessionId, secret, extra] = token.split('.');
+    if (extra !== undefined || !secret || !/^[a-f0-9]{24}$/.test(sessionId)) return null;
+    return { sessionId: toObjectId(sessionId), secret };
+}
+
+// Opens a session for a login and returns it with its first refresh token.
+// stepUp: the login itself confirmed a two-factor code.
+async function create(user, { ip = null, userAgent = null, stepUp = false } = {}) {
+    const now = new Date();
+    const secret = newSecret();
+    const session = {
+        user_id: String(user._id),
+        refresh_hash: hashSecret(secret),
+        previous_hash: null,
+        device: describeDevice(userAgent),
+        user_agent: userAgent ? String(userAgent).slice(0, 300) : null,
+        ip,
+        created_at: now,
+        last_used_at: now,
+        rotated_at: null,
+        expires_at: new Date(now.getTime() + SESSION_TTL_MS),
+        revoked_at: null,
+        revoked_reason: null,
+        step_up_at: stepUp ? now : null
+    };
+    const result = await getCollection('sessions').insertOne(session);
+    session._id = result.insertedId;
+
+    return { session, refreshToken: `${session._id}.${secret}` };
+}
+
+// The open session a refresh token currently belongs to, without using it up
+async function peek(refreshToken) {
+    const parsed = parseRefreshToken(refreshToken);
+    if (!parsed) return null;
+    return getCollection('sessions').findOne({
+        _id: parsed.sessionId,
+        refresh_hash: hashSecret(parsed.secret),
+        revoked_at: null,
+        expires_at: { $gt: new Date() }
+    });
+}
+
+// Swaps a refresh token for the next one. Throws SessionError when it's
+// unknown, expired, revoked or already used.
+async function rotate(refreshToken, { ip = null } = {}) {
+    const parsed = parseRefreshToken(refreshToken);
+    if (!parsed) throw new SessionError('Invalid refresh token');
+
+    const now = new Date();
+    const presented = hashSecret(parsed.secret);
+    const secret = newSecret();
+
+    const session = await getCollection('sessions').findOneAndUpdate(
+        { _id: parsed.sessionId, refresh_hash: presented, revoked_at: null, expires_at: { $gt: now } },
+        {
+            $set: {
+                refresh_hash: hashSecret(secret),
+                previous_hash: presented,
+                rotated_at: now,
+                last_used_at: now,
+                ip,
+                // Sliding: a session in regular use stays open
+                expires_at: new Date(now.getTime() + SESSION_TTL_MS)
+            }
+        },
+        { returnDocument: 'after', includeResultMetadata: false }
+    );
+    if (session) {
+        return { session, refreshToken: `${session._id}.${secret}` };
+    }
+
+    const replayed = await getCollection('sessions').findOne({ _id: parsed.sessionId, previous_hash: presented, revoked_at: null });
+    if (replayed) {
+        if (now - replayed.rotated_at <= REUSE_GRACE_MS) {
+            throw new SessionError('Refresh token was already used');
+        }
+        await revoke(replayed._id, replayed.user_id, REVOKE_REASONS.REFRESH_REUSE);
+        console.log(`🚨 Refresh token reused for session ${replayed._id} (user ${replayed.user_id}) - session revoked`);
+        throw new SessionError('Refresh token was already used - please log in again');
+    }
+
+    throw new SessionError('Session expired - please log in again');
+}
+
+// The session behind an access token, if it's still open
+async function findActive(sessionId, userId) {
+    if (typeof sessionId !== 'string' || !/^[a-f0-9]{24}$/.test(sessionId)) return null;
+    return getCollection('sessions').findOne({
+        _id: toObjectId(sessionId),
+        user_id: String(userId),
+        revoked_at: null,
+        expires_at: { $gt: new Date() }
+    });
+}
+
+async function listActive(userId) {
+    return getCollection('sessions')
+        .find({ user_id: String(userId), revoked_at: null, expires_at: { $gt: new Date() } })
+        .sort({ last_used_at: -1 })
+        .toArray();
+}
+
+// Returns false if the session isn't the user's or was already closed
+async function revoke(sessionId, userId, reason) {
+    const result = await getCollection('sessions').updateOne(
+        { _id: toObjectId(String(sessionId)), user_id: String(userId), revoked_at: null },
+        { $set: { revoked_at: new Date(), revoked_reason: reason } }
+    );
+    return result.modifiedCount === 1;
+}
+
+// Closes every open session of the user. Returns how many.
+async function revokeAll(userId, reason) {
+    const result = await getCollection('sessions').updateMany(
+        { user_id: String(userId), revoked_at: null },
+        { $set: { revoked_at: new Date(), revoked_reason: reason } }
+    );
+    return result.modifiedCount;
+}
+
+// Records that this session just confirmed a two-factor code
+async function markStepUp(sessionId) {
+    await getCollection('sessions').updateOne({ _id: toObjectId(String(sessionId)) }, { $set: { step_up_at: new Date() } });
+}
+
+// Deleted accounts don't keep a record of their devices and IPs
+async function removeAll(userId) {
+    const result = await getCollection('sessions').deleteMany({ user_id: String(userId) });
+    return result.deletedCount;
+}
+
+// What the owner (or staff) sees; never the hashes
+const toPublic = (session, currentId) => ({
+    id: String(session._id),
+    device: session.device,
+    ip: session.ip,
+    created_at: session.created_at,
+    last_used_at: session.last_used_at,
+    expires_at: session.expires_at,
+    current: currentId !== undefined && String(session._id) === String(currentId)
+});
+
+module.exports = {
+    SESSION_TTL_MS,
+    REVOKE_REASONS,
+    SessionError,
+    describeDevice,
+    create,
+    peek,
+    rotate,
+    findActive,
+    listActive,
+    revoke,
+    revokeAll,
+    markStepUp,
+    removeAll,
+    toPublic
+};
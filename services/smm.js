@@ -0,0 +1,109 @@
+const axios = require('axios');
+
+// ============================================
+// 🎉 SMM PANEL CLIENT
+// ============================================
+//
+// reallysimplesocial speaks the common "API v2" panel protocol: every call is
+// an action plus the key, and failures come back as { error } with HTTP 200.
+// SMM_API_URL points the whole app at another panel or a local stub.
+
+const DEFAULT_API_URL = 'https://reallysimplesocial.com/api/v2';
+const REQUEST_TIMEOUT_MS = 20000;
+
+// Panel status strings -> our order statuses
+const SMM_STATUSES = {
+    'pending': 'PENDING',
+    'in progress': 'IN_PROGRESS',
+    'processing': 'IN_PROGRESS',
+    'completed': 'COMPLETED',
+    'partial': 'PARTIAL',
+    'canceled': 'CANCELLED',
+    'cancelled': 'CANCELLED'
+};
+
+class SmmApiError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SmmApiError';
+    }
+}
+
+class SmmClient {
+    constructor({ apiUrl = DEFAULT_API_URL, apiKey, timeoutMs = REQUEST_TIMEOUT_MS } = {}) {
+        this.apiUrl = apiUrl;
+        this.apiKey = apiKey;
+        this.timeoutMs = timeoutMs;
+    }
+
+    async call(action, params = {}) {
+        let response;
+        try {
+            response = await axios.post(this.apiUrl, null, {
+                params: { key: this.apiKey, action, ...params },
+                timeout: this.timeoutMs
+            });
+        } catch (err) {
+            throw new SmmApiError(`SMM provider unreachable: ${err.message}`);
+        }
+
+        const data = response.data;
+        if (data && !Array.isArray(data) && data.error) {
+            throw new SmmApiError(data.error);
+        }
+        return data;
+    }
+
+    async services() {
+        const data = await this.call('services');
+        return Array.isArray(data) ? data : [];
+    }
+
+    async add({ service, link, quantity }) {
+        const data = await this.call('add', { service, link, quantity });
+        if (!data || !data.order) throw new SmmApiError('SMM provider rejected the order');
+        return data.order;
+    }
+
+    // Multi-status lookup; returns { [orderId]: { status, startCount, remains, charge } | { error } }
+    async status(orderIds) {
+        const data = await this.call('status', { orders: orderIds.join(',') });
+        const result = {};
+
+        for (const id of orderIds) {
+            const entry = data && data[id];
+            if (!entry || entry.error) {
+                result[id] = { error: (entry && entry.error) || 'No status returned' };
+                continue;
+            }
+            result[id] = {
+                status: SMM_STATUSES[String(entry.status || '').toLowerCase()] || null,
+                startCount: entry.start_count !== undefined ? parseInt(entry.start_count, 10) || 0 : null,
+                remains: entry.remains !== undefined ? parseInt(entry.remains, 10) || 0 : null,
+                charge: entry.charge !== undefined ? parseFloat(entry.charge) : null
+            };
+        }
+
+        return result;
+    }
+
+    async refill(orderId) {
+        const data = await this.call('refill', { order: orderId });
+        if (!data || !data.refill) throw new SmmApiError('Refill was not accepted');
+        return data.refill;
+    }
+}
+
+let client = null;
+
+function getSmmClient() {
+    if (!client) {
+        client = new SmmClient({
+            apiUrl: process.env.SMM_API_URL || DEFAULT_API_URL,
+            apiKey: process.env.SMM_API_KEY
+        });
+    }
+    return client;
+}
+
+module.exports = { SmmClient, SmmApiError, getSmmClient };
@@ -0,0 +1,236 @@
+const { getCollection } = require('../config/db');
+const pricing = require('./pricing');
+
+// ============================================
+// 📚 SMM SERVICE CATALOGUE
+// ============================================
+//
+// The panel's service list is copied into smm_services on a timer, so pages
+// and orders read the database instead of downloading thousands of services
+// per request. A refresh only rewrites the provider's fields; the curation
+// admins add on top (hidden, display_name, display_category, rate_override,
+// link_pattern) survives it. Services the panel drops are marked unavailable
+// rather than deleted so old orders keep their reference.
+//
+// rate_override is our own NGN price per 1000 and bypasses the pricing
+// engine; otherwise the service is priced by its displayed category.
+
+const DEFAULT_REFRESH_MS = 60 * 60 * 1000;
+
+const CURATED_FIELDS = ['hidden', 'display_name', 'display_category', 'rate_override', 'link_pattern'];
+
+// Links are checked against the platform named in the service or category
+const PLATFORM_HOSTS = [
+    [/instagram/i, ['instagram.com', 'instagr.am']],
+    [/tiktok/i, ['tiktok.com']],
+    [/youtube/i, ['youtube.com', 'youtu.be']],
+    [/facebook/i, ['facebook.com', 'fb.com', 'fb.watch']],
+    [/twitter|^x\b/i, ['twitter.com', 'x.com']],
+    [/telegram/i, ['t.me', 'telegram.me', 'telegram.org']],
+    [/spotify/i, ['spotify.com']],
+    [/twitch/i, ['twitch.tv']],
+    [/linkedin/i, ['linkedin.com']],
+    [/threads/i, ['threads.net']]
+];
+
+class SmmCatalogueError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SmmCatalogueError';
+    }
+}
+
+const displayName = (svc) => svc.display_name || svc.name;
+const displayCategory = (svc) => svc.display_category || svc.category;
+
+async function refresh(client) {
+    const services = await client.services();
+    const now = new Date();
+    const seen = [];
+
+    for (const s of services) {
+        const serviceId = String(s.service);
+        seen.push(serviceId);
+
+        await getCollection('smm_services').updateOne(
+            { service_id: serviceId },
+            {
+                $set: {
+                    name: s.name,
+                    category: s.category,
+                    type: s.type || null,
+                    rate: parseFloat(s.rate),
+                    min: parseInt(s.min, 10) || 1,
+                    max: parseInt(s.max, 10) || null,
+                    refill: Boolean(s.refill),
+                    cancel: Boolean(s.cancel),
+                    available: true,
+                    synced_at: now
+                },
+                $setOnInsert: {
+                    hidden: false,
+                    display_name: null,
+                    display_category: null,
+                    rate_override: null,
+                    link_pattern: null,
+                    created_at: now
+                }
+            },
+            { upsert: true }
+        );
+    }
+
+    // A failed or empty download must not take the whole catalogue offline
+    if (seen.length > 0) {
+        await getCollection('smm_services').updateMany(
+            { service_id: { $nin: seen }, available: true },
+            { $set: { available: false, synced_at: now } }
+        );
+    }
+
+    console.log(`📚 SMM catalogue refreshed: ${seen.length} services`);
+    return { services: seen.length };
+}
+
+function ratePer1000(settings, svc) {
+    if (svc.rate_override !== null && svc.rate_override !== undefined) return svc.rate_override;
+    return pricing.priceSmmRate(settings, { category: displayCategory(svc), rate: svc.rate }).ratePer1000;
+}
+
+function priceOrder(settings, svc, quantity) {
+    return Math.round(ratePer1000(settings, svc) * quantity / 1000 * 100) / 100;
+}
+
+async function listForSale() {
+    const [services, settings] = await Promise.all([
+        getCollection('smm_services').find({ available: true, hidden: { $ne: true } }).toArray(),
+        pricing.getSettings()
+    ]);
+
+    return services.map(svc => ({
+        id: svc.service_id,
+        name: displayName(svc),
+        category: displayCategory(svc),
+        min: svc.min,
+        max: svc.max,
+        rate: ratePer1000(settings, svc),
+        refill: svc.refill
+    }));
+}
+
+async function listAll() {
+    return getCollection('smm_services').find({}).sort({ category: 1, service_id: 1 }).toArray();
+}
+
+// Only services a customer can currently buy
+async function getForOrder(serviceId) {
+    const svc = await getCollection('smm_services').findOne({ service_id: String(serviceId) });
+    if (!svc || svc.hidden || !svc.available) return null;
+    return svc;
+}
+
+function validateQuantity(svc, quantity) {
+    if (!Number.isInteger(quantity) || quantity <= 0) return 'Quantity must be a whole number';
+    if (svc.min && quantity < svc.min) return `Minimum quantity for this service is ${svc.min}`;
+    if (svc.max && quantity > svc.max) return `Maximum quantity for this service is ${svc.max}`;
+    return null;
+}
+
+function validateLink(svc, link) {
+    const value = String(link || '').trim();
+    if (!value) return 'Link is required';
+
+    if (svc.link_pattern) {
+        return new RegExp(svc.link_pattern).test(value) ? null : 'Link is not in the format this service expects';
+    }
+
+    let url;
+    try {
+        url = new URL(value);
+    } catch (e) {
+        return 'Link must be a full URL starting with https://';
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) return 'Link must be a full URL starting with https://';
+
+    const label = `${svc.name} ${displayCategory(svc)}`;
+    const platform = PLATFORM_HOSTS.find(([pattern]) => pattern.test(label));
+    if (platform) {
+        const host = url.hostname.toLowerCase().replace(/^www\.|^m\./, '');
+        const allowed = platform[1];
+        if (!allowed.some(h => host === h || host.endsWith(`.${h}`))) {
+            return `Link must point to ${allowed[0]}`;
+        }
+    }
+
+    return null;
+}
+
+// Applies admin curation; null resets a field to the provider's value
+async function curate(serviceId, changes) {
+    const update = {};
+
+    for (const [field, value] of Object.entries(changes || {})) {
+        if (!CURATED_FIELDS.includes(field)) throw new SmmCatalogueError(`Unknown field: ${field}`);
+
+        if (field === 'hidden') {
+            update.hidden = Boolean(value);
+        } else if (field === 'rate_override') {
+            if (value !== null && !(Number(value) > 0)) throw new SmmCatalogueError('rate_override must be a positive number or null');
+            update.rate_override = value === null ? null : Number(value);
+        } else if (field === 'link_pattern' && value !== null) {
+            try {
+                new RegExp(value);
+            } catch (e) {
+                throw new SmmCatalogueError(`link_pattern is not a valid regular expression: ${e.message}`);
+            }
+            update.link_pattern = String(value);
+        } else {
+            update[field] = value === null || String(value).trim() === '' ? null : String(value).trim();
+        }
+    }
+
+    if (Object.keys(update).length === 0) throw new SmmCatalogueError('Nothing to update');
+
+    const result = await getCollection('smm_services').updateOne(
+        { service_id: String(serviceId) },
+        { $set: { ...update, curated_at: new Date() } }
+    );
+    return result.matchedCount > 0;
+}
+
+function createSmmCatalogueWorker({ client, intervalMs = DEFAULT_REFRESH_MS } = {}) {
+    let timer = null;
+
+    const runOnce = () => refresh(client);
+
+    function start() {
+        if (timer) return;
+        runOnce().catch(err => console.error('SMM catalogue refresh error:', err.message));
+        timer = setInterval(() => {
+            runOnce().catch(err => console.error('SMM catalogue refresh error:', err.message));
+        }, intervalMs);
+        if (timer.unref) timer.unref();
+    }
+
+    function stop() {
+        if (timer) clearInterval(timer);
+        timer = null;
+    }
+
+    return { start, stop, runOnce };
+}
+
+module.exports = {
+    SmmCatalogueError,
+    displayName,
+    displayCategory,
+    refresh,
+    listForSale,
+    listAll,
+    getForOrder,
+    priceOrder,
+    validateQuantity,
+    validateLink,
+    curate,
+    createSmmCatalogueWorker
+};
@@ -0,0 +1,52 @@
+const { getCollection, toObjectId } = require('../config/db');
+
+// ============================================
+// 🔄 SMM ORDER RECONCILIATION
+// ============================================
+//
+// A boost the panel accepted but we couldn't record (the order insert
+// failed) has already been refunded to the buyer, so the panel order is paid
+// for by us. The panel has no cancel, so it lands in smm_reconciliation for
+// an admin to chase up with the panel and then resolve.
+
+const ISSUE_STATUS = {
+    OPEN: 'OPEN',
+    RESOLVED: 'RESOLVED'
+};
+
+async function recordUnrecordedOrder({ orderId, userId, providerOrderId, serviceId, price }, err) {
+    await getCollection('smm_reconciliation').insertOne({
+        order_id: String(orderId),
+        user_id: userId,
+        provider_order_id: String(providerOrderId),
+        service_id: serviceId,
+        price,
+        action: 'unrecorded_order',
+        status: ISSUE_STATUS.OPEN,
+        error: err.message,
+        created_at: new Date()
+    });
+    console.error(`⚠️ SMM panel order ${providerOrderId} not recorded (order ${orderId}): ${err.message}`);
+}
+
+async function listIssues(status = ISSUE_STATUS.OPEN) {
+    return getCollection('smm_reconciliation')
+        .find(status === 'ALL' ? {} : { status })
+        .sort({ created_at: -1 })
+        .toArray();
+}
+
+async function resolveIssue(issueId, { note, actor }) {
+    const result = await getCollection('smm_reconciliation').updateOne(
+        { _id: toObjectId(issueId), status: ISSUE_STATUS.OPEN },
+        { $set: { status: ISSUE_STATUS.RESOLVED, resolution: note || 'resolved manually', resolved_by: actor, resolved_at: new Date() } }
+    );
+    return result.modifiedCount > 0;
+}
+
+module.exports = {
+    ISSUE_STATUS,
+    recordUnrecordedOrder,
+    listIssues,
+    resolveIssue
+};
@@ -0,0 +1,187 @@
+const { getCollection } = require('../config/db');
+const wallet = require('./wallet');
+const orders = require('./orders');
+
+// ============================================
+// 🔄 SMM ORDER STATUS POLLER
+// ============================================
+//
+// Asks the panel for the status of open SMM orders (PENDING / IN_PROGRESS) in
+// batches and mirrors it onto the orders row. PARTIAL and CANCELLED are final:
+// the move to them is a guarded transition that also sets refund_pending, and the
+// undelivered share (price x remains / quantity) is refunded once: under a
+// claim (orders.claimRefund), so sweeps on several instances can't both pay,
+// and never when the refund is already in the ledger. Like the SMS expiry
+// worker, a refund interrupted by a crash is finished by the next sweep.
+
+const DEFAULT_INTERVAL_MS = 5 * 60 * 1000;
+const DEFAULT_BATCH_SIZE = 100;
+
+const OPEN_STATUSES = [orders.ORDER_STATUS.PENDING, orders.ORDER_STATUS.IN_PROGRESS];
+const REFUNDABLE_STATUSES = [orders.ORDER_STATUS.PARTIAL, orders.ORDER_STATUS.CANCELLED];
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Orders placed before provider_order_id was stored only have it in details
+function providerOrderId(order) {
+    if (order.provider_order_id) return String(order.provider_order_id);
+    const match = /Order ID:\s*(\S+)/.exec(order.details || '');
+    return match ? match[1] : null;
+}
+
+function refundAmount(order, status, remains) {
+    if (status === orders.ORDER_STATUS.CANCELLED) return order.price;
+    if (!order.quantity || remains === null) return 0;
+    const share = Math.min(Math.max(remains, 0), order.quantity) / order.quantity;
+    return roundMoney(order.price * share);
+}
+
+function createSmmStatusWorker({
+    client,
+    now = () => new Date(),
+    intervalMs = DEFAULT_INTERVAL_MS,
+    batchSize = DEFAULT_BATCH_SIZE
+} = {}) {
+    let timer = null;
+    let running = false;
+
+    // Resolves false when another sweep holds the refund
+    async function refund(order) {
+        if (!await orders.claimRefund(order._id)) return false;
+
+        try {
+            const existing = await wallet.findEntry(order.user_id, wallet.ENTRY_TYPES.REFUND, String(order._id));
+
+            if (!existing && order.refund_amount > 0) {
+                await wallet.credit(order.user_id, order.refund_amount, {
+                    type: wallet.ENTRY_TYPES.REFUND,
+                    account: wallet.ACCOUNTS.SMM_SALES,
+                    reference: { kind: 'order', id: String(order._id) },
+                    description: `Refund for undelivered boost: ${order.product_name} (${order.status.toLowerCase()})`
+                });
+                console.log(`✅ SMM refund: ${order._id} - ₦${order.refund_amount}`);
+            }
+        } catch (err) {
+            await orders.releaseRefund(order._id);
+            throw err;
+        }
+
+        await orders.setFields(order._id, { refund_pending: false, refund_claimed_at: null, refunded_at: now() });
+        return true;
+    }
+
+    async function apply(order, remote) {
+        const { status, startCount, remains } = remote;
+        const changes = { last_synced_at: now() };
+        if (startCount !== null) changes.start_count = startCount;
+        if (remains !== null) changes.remains = remains;
+
+        if (!status || status === order.status) {
+            await orders.setFields(order._id, changes);
+            return false;
+        }
+
+        // Panels sometimes report a step backwards (IN_PROGRESS -> PENDING).
+        // Our status stands; the move is logged the first time it's reported.
+        if (!orders.canTransition(order.type, order.status, status)) {
+            if (order.ignored_panel_status !== status) {
+                console.log(`⚠️ SMM order ${order._id}: ignoring panel status ${status} (order is ${order.status})`);
+                changes.ignored_panel_status = status;
+            }
+            await orders.setFields(order._id, changes);
+            return false;
+        }
+
+        if (REFUNDABLE_STATUSES.includes(status)) {
+            changes.refund_amount = refundAmount(order, status, remains);
+            changes.refund_pending = changes.refund_amount > 0;
+        }
+
+        // Guarded so a parallel sweep can't settle the same order twice
+        const moved = await orders.transition(order, status, changes);
+        if (!moved) return false;
+
+        if (changes.refund_pending) {
+            await refund({ ...order, ...changes, status });
+        }
+        return true;
+    }
+
+    async function runOnce() {
+        if (running) return { checked: 0, updated: 0, recovered: 0 };
+        running = true;
+
+        let checked = 0;
+        let updated = 0;
+        let recovered = 0;
+
+        try {
+            const open = await getCollection('orders')
+                .find({ type: orders.ORDER_TYPES.SMM, status: { $in: OPEN_STATUSES } })
+                .sort({ last_synced_at: 1 })
+                .limit(batchSize)
+                .toArray();
+
+            const byProviderId = new Map();
+            for (const order of open) {
+                const id = providerOrderId(order);
+                if (id) byProviderId.set(id, order);
+            }
+
+            if (byProviderId.size > 0) {
+                let statuses = {};
+                try {
+                    statuses = await client.status([...byProviderId.keys()]);
+                } catch (err) {
+                    console.error('⚠️ SMM status lookup failed:', err.message);
+                }
+
+                for (const [id, remote] of Object.entries(statuses)) {
+                    const order = byProviderId.get(id);
+                    if (!order || remote.error) continue;
+                    checked++;
+                    try {
+                        if (await apply(order, remote)) updated++;
+                    } catch (err) {
+                        console.error(`❌ SMM status update failed for order ${order._id}:`, err);
+                    }
+                }
+            }
+
+            const stranded = await getCollection('orders')
+                .find({ type: orders.ORDER_TYPES.SMM, refund_pending: true })
+                .limit(batchSize)
+                .toArray();
+
+            for (const order of stranded) {
+                try {
+                    if (await refund(order)) recovered++;
+                } catch (err) {
+                    console.error(`❌ SMM refund retry failed for order ${order._id}:`, err);
+                }
+            }
+        } finally {
+            running = false;
+        }
+
+        return { checked, updated, recovered };
+    }
+
+    function start() {
+        if (timer) return;
+        runOnce().catch(err => console.error('SMM status sweep error:', err));
+        timer = setInterval(() => {
+            runOnce().catch(err => console.error('SMM status sweep error:', err));
+        }, intervalMs);
+        if (timer.unref) timer.unref();
+    }
+
+    function stop() {
+        if (timer) clearInterval(timer);
+        timer = null;
+    }
+
+    return { start, stop, runOnce };
+}
+
+module.exports = { createSmmStatusWorker, providerOrderId };
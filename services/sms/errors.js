@@ -0,0 +1,29 @@
+// ============================================
+// SMS PROVIDER ERRORS
+// ============================================
+//
+// Adapters translate vendor-specific failures into these codes so routes can
+// answer the user without knowing which vendor sold the number.
+
+const SMS_ERROR_CODES = {
+    NO_NUMBERS: 'NO_NUMBERS',
+    NOT_AVAILABLE: 'NOT_AVAILABLE',
+    PROVIDER_BALANCE: 'PROVIDER_BALANCE',
+    NOT_FOUND: 'NOT_FOUND',
+    ALREADY_CLOSED: 'ALREADY_CLOSED',
+    HAS_SMS: 'HAS_SMS',
+    UNAVAILABLE: 'UNAVAILABLE',
+    NOT_CONFIGURED: 'NOT_CONFIGURED',
+    UNKNOWN: 'UNKNOWN'
+};
+
+class SmsProviderError extends Error {
+    constructor(code, message, details) {
+        super(message);
+        this.name = 'SmsProviderError';
+        this.code = code;
+        this.details = details;
+    }
+}
+
+module.exports = { SMS_ERROR_CODES, SmsProviderError };
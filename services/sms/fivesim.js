@@ -0,0 +1,146 @@
+const axios = require('axios');
+const { SMS_ERROR_CODES, SmsProviderError } = require('./errors');
+
+// ============================================
+// 5SIM ADAPTER
+// ============================================
+//
+// Talks to https://5sim.net/v1. 5sim answers failures with plain-text bodies
+// ("no free phones", "order not found", ...) and sometimes with a Cloudflare
+// challenge page; both are turned into SmsProviderError codes here.
+
+const DEFAULT_BASE_URL = 'https://5sim.net/v1';
+const REQUEST_TIMEOUT_MS = 15000;
+
+const TEXT_ERRORS = {
+    'no free phones': SMS_ERROR_CODES.NO_NUMBERS,
+    'no product': SMS_ERROR_CODES.NOT_AVAILABLE,
+    'select operator': SMS_ERROR_CODES.NOT_AVAILABLE,
+    'bad country': SMS_ERROR_CODES.NOT_AVAILABLE,
+    'bad operator': SMS_ERROR_CODES.NOT_AVAILABLE,
+    'not enough user balance': SMS_ERROR_CODES.PROVIDER_BALANCE,
+    'not enough rating': SMS_ERROR_CODES.PROVIDER_BALANCE,
+    'order not found': SMS_ERROR_CODES.NOT_FOUND,
+    'record not found': SMS_ERROR_CODES.NOT_FOUND,
+    'order expired': SMS_ERROR_CODES.ALREADY_CLOSED,
+    'order has sms': SMS_ERROR_CODES.HAS_SMS
+};
+
+class FiveSimProvider {
+    constructor({ apiKey, baseUrl = DEFAULT_BASE_URL, timeoutMs = REQUEST_TIMEOUT_MS } = {}) {
+        this.name = 'fivesim';
+        this.apiKey = apiKey;
+        this.http = axios.create({
+            baseURL: baseUrl,
+            timeout: timeoutMs,
+            responseType: 'text',
+            transformResponse: [data => data],
+            validateStatus: () => true
+        });
+    }
+
+    async request(path, { auth = true } = {}) {
+        if (auth && !this.apiKey) {
+            throw new SmsProviderError(SMS_ERROR_CODES.NOT_CONFIGURED, 'SMS service not configured');
+        }
+
+        let response;
+        try {
+            response = await this.http.get(path, {
+                headers: {
+                    'Accept': 'application/json',
+                    ...(auth ? { 'Authorization': `Bearer ${this.apiKey}` } : {})
+                }
+            });
+        } catch (err) {
+            throw new SmsProviderError(SMS_ERROR_CODES.UNAVAILABLE, `5sim unreachable: ${err.message}`);
+        }
+
+        const body = typeof response.data === 'string' ? response.data.trim() : '';
+
+        if (body.includes('challenge-platform') || body.includes('Just a moment')) {
+            throw new SmsProviderError(SMS_ERROR_CODES.UNAVAILABLE, 'SMS provider is temporarily blocked. Try again later.');
+        }
+
+        if (response.status === 401) {
+            throw new SmsProviderError(SMS_ERROR_CODES.NOT_CONFIGURED, '5sim rejected the API key');
+        }
+
+        let data;
+        try {
+            data = JSON.parse(body);
+        } catch (e) {
+            const code = TEXT_ERRORS[body.toLowerCase()] || SMS_ERROR_CODES.UNKNOWN;
+            throw new SmsProviderError(code, body || `5sim returned HTTP ${response.status}`, { status: response.status });
+        }
+
+        if (response.status >= 400) {
+            throw new SmsProviderError(SMS_ERROR_CODES.UNKNOWN, `5sim returned HTTP ${response.status}`, data);
+        }
+
+        return data;
+    }
+
+    // Normalised order shape shared by every adapter
+    toActivation(order) {
+        const sms = Array.isArray(order.sms) ? order.sms : [];
+        return {
+            id: order.id,
+            phone: order.phone,
+            status: order.status,
+            code: sms.length > 0 ? sms[sms.length - 1].code : null,
+            sms: sms.map(s => ({ code: s.code, text: s.text, date: s.date })),
+            cost: order.price,
+            expiresAt: order.expires ? new Date(order.expires) : null
+        };
+    }
+
+    async getPrices(service) {
+        const data = await this.request(`/guest/prices?product=${encodeURIComponent(service)}`, { auth: false });
+        const serviceData = data[service] || {};
+        const prices = [];
+
+        for (const country of Object.keys(serviceData)) {
+            for (const operator of Object.keys(serviceData[country])) {
+                const info = serviceData[country][operator];
+                prices.push({ country, operator, cost: info.cost, count: info.count });
+            }
+        }
+
+        return prices;
+    }
+
+    async buy({ service, country, operator }) {
+        const path = `/user/buy/activation/${encodeURIComponent(country)}/${encodeURIComponent(operator)}/${encodeURIComponent(service)}`;
+        const order = await this.request(path);
+
+        if (!order || !order.id || !order.phone) {
+            throw new SmsProviderError(SMS_ERROR_CODES.UNKNOWN, 'Could not retrieve phone number. Try again.', order);
+        }
+
+        return this.toActivation(order);
+    }
+
+    async check(activationId) {
+        return this.toActivation(await this.request(`/user/check/${encodeURIComponent(activationId)}`));
+    }
+
+    async finish(activationId) {
+        return this.toActivation(await this.request(`/user/finish/${encodeURIComponent(activationId)}`));
+    }
+
+    async cancel(activationId) {
+        return this.toActivation(await this.request(`/user/cancel/${encodeURIComponent(activationId)}`));
+    }
+
+    async ban(activationId) {
+        return this.toActivation(await this.request(`/user/ban/${encodeURIComponent(activationId)}`));
+    }
+
+    async getBalance() {
+        const profile = await this.request('/user/profile');
+        return { balance: profile.balance };
+    }
+}
+
+module.exports = { FiveSimProvider };
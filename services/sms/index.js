@@ -0,0 +1,39 @@
+const { FiveSimProvider } = require('./fivesim');
+const { MockSmsProvider } = require('./mock');
+const { SMS_ERROR_CODES, SmsProviderError } = require('./errors');
+const { createRegistry } = require('../registry');
+
+// ============================================
+// 📱 SMS PROVIDERS
+// ============================================
+//
+// Every adapter implements the same interface:
+//   getPrices(service)                  -> [{ country, operator, cost, count }]
+//   buy({ service, country, operator }) -> activation
+//   check(id) / finish(id) / cancel(id) / ban(id) -> activation
+//   getBalance()                        -> { balance }
+// where an activation is { id, phone, status, code, sms, cost, expiresAt } and
+// status uses 5sim's vocabulary (PENDING, RECEIVED, CANCELED, TIMEOUT,
+// FINISHED, BANNED). Orders remember which provider sold them, so adding a
+// vendor is a new adapter plus one registerSmsProvider() call.
+
+const providers = createRegistry('SMS provider', {
+    fivesim: () => new FiveSimProvider({
+        apiKey: process.env.FIVESIM_API_KEY,
+        baseUrl: process.env.FIVESIM_BASE_URL
+    }),
+    mock: () => new MockSmsProvider()
+});
+
+const defaultProviderName = () => process.env.SMS_PROVIDER || 'fivesim';
+
+const getSmsProvider = (name = defaultProviderName()) => providers.get(name);
+
+const registerSmsProvider = providers.register;
+
+module.exports = {
+    getSmsProvider,
+    registerSmsProvider,
+    SMS_ERROR_CODES,
+    SmsProviderError
+};
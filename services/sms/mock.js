@@ -0,0 +1,132 @@
+const { SMS_ERROR_CODES, SmsProviderError } = require('./errors');
+
+// ============================================
+// MOCK SMS PROVIDER
+// ============================================
+//
+// Deterministic in-memory stand-in for 5sim, for tests and local development
+// (SMS_PROVIDER=mock). Numbers and codes are derived from a counter, and a
+// code "arrives" after `smsAfterChecks` checks, or immediately via deliverSms().
+
+const DEFAULT_PRICES = {
+    whatsapp: { usa: { virtual1: { cost: 10, count: 100 } }, nigeria: { any: { cost: 25, count: 5 } } },
+    telegram: { usa: { virtual1: { cost: 15, count: 100 } } },
+    facebook: { england: { virtual4: { cost: 8, count: 0 } } }
+};
+
+const CLOSED_STATUSES = ['CANCELED', 'TIMEOUT', 'FINISHED', 'BANNED'];
+
+class MockSmsProvider {
+    constructor({ prices = DEFAULT_PRICES, smsAfterChecks = 2, balance = 1000 } = {}) {
+        this.name = 'mock';
+        this.prices = JSON.parse(JSON.stringify(prices));
+        this.smsAfterChecks = smsAfterChecks;
+        this.balance = balance;
+        this.activations = new Map();
+        this.counter = 0;
+    }
+
+    get(activationId) {
+        const activation = this.activations.get(Number(activationId));
+        if (!activation) throw new SmsProviderError(SMS_ERROR_CODES.NOT_FOUND, 'order not found');
+        return activation;
+    }
+
+    snapshot(activation) {
+        const sms = activation.sms.map(s => ({ ...s }));
+        return {
+            id: activation.id,
+            phone: activation.phone,
+            status: activation.status,
+            code: sms.length > 0 ? sms[sms.length - 1].code : null,
+            sms,
+            cost: activation.cost,
+            expiresAt: null
+        };
+    }
+
+    async getPrices(service) {
+        const serviceData = this.prices[service] || {};
+        const prices = [];
+        for (const country of Object.keys(serviceData)) {
+            for (const operator of Object.keys(serviceData[country])) {
+                const info = serviceData[country][operator];
+                prices.push({ country, operator, cost: info.cost, count: info.count });
+            }
+        }
+        return prices;
+    }
+
+    async buy({ service, country, operator }) {
+        const info = this.prices[service]?.[country]?.[operator];
+        if (!info) throw new SmsProviderError(SMS_ERROR_CODES.NOT_AVAILABLE, 'no product');
+        if (info.count < 1) throw new SmsProviderError(SMS_ERROR_CODES.NO_NUMBERS, 'no free phones');
+        if (this.balance < info.cost) throw new SmsProviderError(SMS_ERROR_CODES.PROVIDER_BALANCE, 'not enough user balance');
+
+        info.count--;
+        this.balance -= info.cost;
+        this.counter++;
+
+        const activation = {
+            id: this.counter,
+            phone: `+1555${String(this.counter).padStart(7, '0')}`,
+            service,
+            country,
+            operator,
+            status: 'PENDING',
+            cost: info.cost,
+            checks: 0,
+            sms: []
+        };
+        this.activations.set(activation.id, activation);
+        return this.snapshot(activation);
+    }
+
+    // Test helper: make a code arrive now
+    deliverSms(activationId, code) {
+        const activation = this.get(activationId);
+        const smsCode = code || String(100000 + activation.id).slice(-6);
+        activation.sms.push({ code: smsCode, text: `Your code is ${smsCode}`, date: new Date().toISOString() });
+        activation.status = 'RECEIVED';
+    }
+
+    async check(activationId) {
+        const activation = this.get(activationId);
+        activation.checks++;
+        if (activation.status === 'PENDING' && this.smsAfterChecks > 0 && activation.checks >= this.smsAfterChecks) {
+            this.deliverSms(activationId);
+        }
+        return this.snapshot(activation);
+    }
+
+    close(activationId, status, { allowWithSms }) {
+        const activation = this.get(activationId);
+        if (CLOSED_STATUSES.includes(activation.status)) {
+            throw new SmsProviderError(SMS_ERROR_CODES.ALREADY_CLOSED, 'order expired');
+        }
+        if (!allowWithSms && activation.sms.length > 0) {
+            throw new SmsProviderError(SMS_ERROR_CODES.HAS_SMS, 'order has sms');
+        }
+        activation.status = status;
+        if (status === 'CANCELED' || status === 'BANNED') this.balance += activation.cost;
+        return this.snapshot(activation);
+    }
+
+    async finish(activationId) {
+        return this.close(activationId, 'FINISHED', { allowWithSms: true });
+    }
+
+    async cancel(activationId) {
+        return this.close(activationId, 'CANCELED', { allowWithSms: false });
+    }
+
+    async ban(activationId) {
+        return this.close(activationId, 'BANNED', { allowWithSms: false });
+    }
+
+    async getBalance() {
+        return { balance: this.balance };
+    }
+}
+
+module.exports = { MockSmsProvider };
@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+
+// ============================================
+// 🧾 SMS PRICE QUOTES
+// ============================================
+//
+// live-config hands out one signed quote per country/operator; /api/sms/order
+// charges the quoted price instead of re-pricing. The quote carries the
+// provider cost it was priced from, so the order can refuse when upstream
+// has moved more than the tolerance since the buyer saw the price.
+// Format: base64url(payload).signature - nothing is stored server-side.
+
+const QUOTE_TTL_SECONDS = parseInt(process.env.SMS_QUOTE_TTL_SECONDS, 10) || 5 * 60;
+const COST_TOLERANCE_PERCENT = parseFloat(process.env.SMS_QUOTE_TOLERANCE_PERCENT) || 10;
+
+const QUOTE_ERROR_CODES = {
+    INVALID: 'QUOTE_INVALID',
+    EXPIRED: 'QUOTE_EXPIRED',
+    PRICE_CHANGED: 'PRICE_CHANGED'
+};
+
+class QuoteError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'QuoteError';
+        this.code = code;
+    }
+}
+
+// A quote signed with a guessable key could name any price, so there's no
+// fallback: without either secret no quote is made or accepted
+const getSecret = () => {
+    const secret = process.env.QUOTE_SECRET || process.env.JWT_SECRET;
+    if (!secret) throw new Error('QUOTE_SECRET or JWT_SECRET must be set');
+    return secret;
+};
+
+// Prefixed so a quote signature can never double as a token signature
+const sign = (payload) => crypto.createHmac('sha256', getSecret()).update(`sms-quote.${payload}`).digest('base64url');
+
+function createQuote({ service, country, operator, cost, price }, now = Date.now()) {
+    const payload = Buffer.from(JSON.stringify({
+        s: service,
+        c: country,
+        o: operator,
+        k: cost,
+        p: price,
+        e: Math.floor(now / 1000) + QUOTE_TTL_SECONDS
+    })).toString('base64url');
+
+    return `${payload}.${sign(payload)}`;
+}
+
+function verifyQuote(quoteId, now = Date.now()) {
+    const [payload, signature, extra] = String(quoteId || '').split('.');
+    if (!payload || !signature || extra !== undefined) {
+        throw new QuoteError(QUOTE_ERROR_CODES.INVALID, 'Invalid price quote');
+    }
+
+    const expected = Buffer.from(sign(payload));
+    const given = Buffer.from(signature);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+        throw new QuoteError(QUOTE_ERROR_CODES.INVALID, 'Invalid price quote');
+    }
+
+    let data;
+    try {
+        data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (e) {
+        throw new QuoteError(QUOTE_ERROR_CODES.INVALID, 'Invalid price quote');
+    }
+
+    if (!data.e || data.e <= Math.floor(now / 1000)) {
+        throw new QuoteError(QUOTE_ERROR_CODES.EXPIRED, 'This price has expired. Refresh prices and try again.');
+    }
+
+    return {
+        service: data.s,
+        country: data.c,
+        operator: data.o,
+        cost: data.k,
+        price: data.p,
+        expiresAt: new Date(data.e * 1000)
+    };
+}
+
+// Throws when the provider's current cost is outside the tolerance either way
+function assertCostWithinTolerance(quote, currentCost) {
+    const drift = Math.abs(currentCost - quote.cost) / quote.cost * 100;
+    if (drift > COST_TOLERANCE_PERCENT) {
+        throw new QuoteError(QUOTE_ERROR_CODES.PRICE_CHANGED, 'The price of this number has changed. Refresh prices and try again.');
+    }
+}
+
+module.exports = {
+    QUOTE_TTL_SECONDS,
+    QUOTE_ERROR_CODES,
+    QuoteError,
+    createQuote,
+    verifyQuote,
+    assertCostWithinTolerance
+};
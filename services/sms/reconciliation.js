@@ -0,0 +1,126 @@
+const { getCollection, toObjectId } = require('../../config/db');
+const { getSmsProvider, SMS_ERROR_CODES, SmsProviderError } = require('./index');
+const orders = require('../orders');
+
+// ============================================
+// 📱 UPSTREAM ACTIVATION CLOSE-OUT
+// ============================================
+//
+// Refunds and completions must be mirrored at the provider, otherwise we keep
+// paying for numbers we refunded and leave activations open. When the
+// provider can't confirm, the order lands in sms_reconciliation for an admin
+// to retry or resolve by hand. One OPEN issue is kept per order and action.
+
+const CLOSED_WITHOUT_SMS = ['CANCELED', 'TIMEOUT', 'BANNED'];
+
+const ISSUE_STATUS = {
+    OPEN: 'OPEN',
+    RESOLVED: 'RESOLVED'
+};
+
+async function recordIssue(order, action, err) {
+    const now = new Date();
+    await getCollection('sms_reconciliation').updateOne(
+        { sms_order_id: String(order._id), action, status: ISSUE_STATUS.OPEN },
+        {
+            $set: {
+                error: err.message,
+                error_code: err.code || null,
+                updated_at: now
+            },
+            $setOnInsert: {
+                user_id: order.user_id,
+                provider: order.provider || null,
+                activation_id: order.activation_id,
+                created_at: now
+            },
+            $inc: { attempts: 1 }
+        },
+        { upsert: true }
+    );
+    console.error(`⚠️ SMS ${action} not confirmed for order ${order._id}: ${err.message}`);
+}
+
+async function resolveIssues(order, action, resolution, actor) {
+    await getCollection('sms_reconciliation').updateMany(
+        { sms_order_id: String(order._id), action, status: ISSUE_STATUS.OPEN },
+        { $set: { status: ISSUE_STATUS.RESOLVED, resolution, resolved_by: actor || null, resolved_at: new Date() } }
+    );
+}
+
+// Resolves to { confirmed: true } when the provider has the activation closed
+// without an SMS, { hasSms: true, code } when a code already arrived, or
+// { confirmed: false, error } when it couldn't tell (an issue is recorded).
+async function cancelUpstream(order) {
+    const provider = getSmsProvider(order.provider);
+
+    try {
+        const activation = await provider.cancel(order.activation_id);
+        await resolveIssues(order, 'cancel', 'cancelled');
+        return { confirmed: true, status: activation.status };
+    } catch (err) {
+        if (err instanceof SmsProviderError && err.code === SMS_ERROR_CODES.HAS_SMS) {
+            const activation = await provider.check(order.activation_id).catch(() => null);
+            return { confirmed: false, hasSms: true, code: activation ? activation.code : null };
+        }
+
+        if (err instanceof SmsProviderError && err.code === SMS_ERROR_CODES.ALREADY_CLOSED) {
+            const activation = await provider.check(order.activation_id).catch(() => null);
+            if (activation && CLOSED_WITHOUT_SMS.includes(activation.status)) {
+                await resolveIssues(order, 'cancel', `already ${activation.status.toLowerCase()}`);
+                return { confirmed: true, status: activation.status };
+            }
+        }
+
+        await recordIssue(order, 'cancel', err);
+        return { confirmed: false, error: err.message };
+    }
+}
+
+async function finishUpstream(order) {
+    try {
+        await getSmsProvider(order.provider).finish(order.activation_id);
+        await resolveIssues(order, 'finish', 'finished');
+        return { confirmed: true };
+    } catch (err) {
+        await recordIssue(order, 'finish', err);
+        return { confirmed: false, error: err.message };
+    }
+}
+
+async function listIssues(status = ISSUE_STATUS.OPEN) {
+    return getCollection('sms_reconciliation')
+        .find(status === 'ALL' ? {} : { status })
+        .sort({ updated_at: -1 })
+        .toArray();
+}
+
+// Re-runs the failed provider call; the issue closes itself on success
+async function retryIssue(issueId) {
+    const issue = await getCollection('sms_reconciliation').findOne({ _id: toObjectId(issueId) });
+    if (!issue) return null;
+
+    // Purchases whose order was never saved only have the issue to go on
+    const order = await orders.findById(issue.sms_order_id)
+        || { _id: issue.sms_order_id, user_id: issue.user_id, provider: issue.provider, activation_id: issue.activation_id };
+
+    const result = issue.action === 'finish' ? await finishUpstream(order) : await cancelUpstream(order);
+    return { action: issue.action, ...result };
+}
+
+async function resolveIssue(issueId, { note, actor }) {
+    const result = await getCollection('sms_reconciliation').updateOne(
+        { _id: toObjectId(issueId), status: ISSUE_STATUS.OPEN },
+        { $set: { status: ISSUE_STATUS.RESOLVED, resolution: note || 'resolved manually', resolved_by: actor, resolved_at: new Date() } }
+    );
+    return result.modifiedCount > 0;
+}
+
+module.exports = {
+    ISSUE_STATUS,
+    cancelUpstream,
+    finishUpstream,
+    listIssues,
+    retryIssue,
+    resolveIssue
+};
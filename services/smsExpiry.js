@@ -0,0 +1,157 @@
+const { getCollection } = require('../config/db');
+const wallet = require('./wallet');
+const orders = require('./orders');
+
+// ============================================
+// ⏱️ SMS ACTIVATION EXPIRY WORKER
+// ============================================
+//
+// Replaces the per-order setTimeout: expiry lives in the database
+// (expires_at on SMS orders), so a restart loses nothing. Each sweep:
+//   1. flips WAITING orders past expires_at to EXPIRED with a guarded update,
+//      so only one sweep (or a racing cancel/check) ever wins an order;
+//   2. cancels the activation at the provider - anything the provider can't
+//      confirm is queued in sms_reconciliation, but the refund still goes out.
+//      If the provider says a code arrived after all, the buyer gets the code
+//      instead of a refund;
+//   3. refunds under a claim (orders.claimRefund), so sweeps on several
+//      instances can't both pay, skipping any refund already in the ledger.
+// Orders stay flagged refund_pending until step 3 lands, so a crash between
+// steps is finished by the next sweep - including the one run at startup.
+
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+const DEFAULT_BATCH_SIZE = 50;
+
+function createSmsExpiryWorker({
+    cancelActivation,
+    now = () => new Date(),
+    intervalMs = DEFAULT_INTERVAL_MS,
+    batchSize = DEFAULT_BATCH_SIZE
+} = {}) {
+    let timer = null;
+    let running = false;
+
+    // Resolves false when another sweep holds the refund
+    async function refund(order) {
+        if (!await orders.claimRefund(order._id)) return false;
+
+        try {
+            const existing = await wallet.findEntry(order.user_id, wallet.ENTRY_TYPES.REFUND, String(order._id));
+
+            if (!existing) {
+                await wallet.credit(order.user_id, order.price, {
+                    type: wallet.ENTRY_TYPES.REFUND,
+                    account: wallet.ACCOUNTS.SMS_SALES,
+                    reference: { kind: 'sms_order', id: String(order._id) },
+                    description: `Auto-refund: no SMS received for ${order.service}`
+                });
+                console.log(`✅ Auto-refund: ${order._id} - ₦${order.price}`);
+            }
+        } catch (err) {
+            await orders.releaseRefund(order._id);
+            throw err;
+        }
+
+        await orders.setFields(order._id, { refund_pending: false, refund_claimed_at: null, refunded_at: now() });
+        return true;
+    }
+
+    // The provider had a code after all: the buyer keeps the number, no refund
+    async function deliverLateCode(order, code) {
+        const expired = { ...order, status: orders.ORDER_STATUS.EXPIRED };
+        if (code) {
+            await orders.transition(expired, orders.ORDER_STATUS.COMPLETED, { sms_code: code, completed_at: now(), refund_pending: false });
+            console.log(`📨 SMS order ${order._id} got its code as it expired - delivered, not refunded`);
+        } else {
+            await orders.setFields(order._id, { refund_pending: false, upstream_error: 'SMS received after expiry' });
+        }
+    }
+
+    async function expire(order) {
+        const claimed = await orders.transition(order, orders.ORDER_STATUS.EXPIRED, {
+            expired_at: now(),
+            refund_pending: true
+        });
+
+        // A cancel, a received code or another sweep got there first
+        if (!claimed) return false;
+
+        if (cancelActivation && order.activation_id) {
+            try {
+                const upstream = await cancelActivation(order);
+                if (upstream.hasSms) {
+                    await deliverLateCode(order, upstream.code);
+                    return true;
+                }
+                if (!upstream.confirmed) {
+                    await orders.setFields(order._id, { upstream_error: upstream.error });
+                }
+            } catch (err) {
+                console.error(`⚠️ Upstream cancel failed for activation ${order.activation_id}:`, err.message);
+            }
+        }
+
+        await refund({ ...order, status: 'EXPIRED' });
+        return true;
+    }
+
+    async function runOnce() {
+        if (running) return { expired: 0, recovered: 0 };
+        running = true;
+
+        let expired = 0;
+        let recovered = 0;
+
+        try {
+            const due = await getCollection('orders')
+                .find({ type: orders.ORDER_TYPES.SMS, status: orders.ORDER_STATUS.WAITING, expires_at: { $lte: now() } })
+                .limit(batchSize)
+                .toArray();
+
+            for (const order of due) {
+                try {
+                    if (await expire(order)) expired++;
+                } catch (err) {
+                    console.error(`❌ Expiry failed for SMS order ${order._id}:`, err);
+                }
+            }
+
+            // Orders whose refund was interrupted by a crash or an error
+            const stranded = await getCollection('orders')
+                .find({ type: orders.ORDER_TYPES.SMS, status: orders.ORDER_STATUS.EXPIRED, refund_pending: true })
+                .limit(batchSize)
+                .toArray();
+
+            for (const order of stranded) {
+                try {
+                    if (await refund(order)) recovered++;
+                } catch (err) {
+                    console.error(`❌ Refund retry failed for SMS order ${order._id}:`, err);
+                }
+            }
+        } finally {
+            running = false;
+        }
+
+        return { expired, recovered };
+    }
+
+    function start() {
+        if (timer) return;
+        // The first sweep picks up whatever expired while the server was down
+        runOnce().catch(err => console.error('SMS expiry sweep error:', err));
+        timer = setInterval(() => {
+            runOnce().catch(err => console.error('SMS expiry sweep error:', err));
+        }, intervalMs);
+        if (timer.unref) timer.unref();
+    }
+
+    function stop() {
+        if (timer) clearInterval(timer);
+        timer = null;
+    }
+
+    return { start, stop, runOnce };
+}
+
+module.exports = { createSmsExpiryWorker };
@@ -0,0 +1,126 @@
+const { getCollection, toObjectId } = require('../config/db');
+
+// ============================================
+// 👥 STAFF ROLES & PERMISSIONS
+// ============================================
+//
+// users.role is 'user', 'staff' or 'admin'. Staff accounts carry a
+// permissions list naming the parts of the admin panel they may use; admins
+// implicitly hold every permission and are the only ones who can change
+// anyone's role. Checks always read the user from the database, so a demotion
+// takes effect on the next request rather than when the token expires.
+
+const ROLES = {
+    USER: 'user',
+    STAFF: 'staff',
+    ADMIN: 'admin'
+};
+
+const PERMISSIONS = {
+    INVENTORY: 'inventory',         // products, units, inventory migration
+    ORDERS: 'orders',               // everyone's orders, order migration
+    USERS: 'users',                 // user records, balances, statements
+    SMS: 'sms',                     // allowed services, provider, reconciliation
+    SMM: 'smm',                     // SMM catalogue curation
+    ANNOUNCEMENTS: 'announcements',
+    FINANCE: 'finance',             // pricing, ledger reconciliation
+    AUDIT: 'audit'                  // reading the admin audit log
+};
+
+const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+class StaffError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'StaffError';
+    }
+}
+
+function permissionsFor(user) {
+    if (!user) return [];
+    if (user.role === ROLES.ADMIN) return [...ALL_PERMISSIONS];
+    if (user.role === ROLES.STAFF && Array.isArray(user.permissions)) {
+        return ALL_PERMISSIONS.filter(p => user.permissions.includes(p));
+    }
+    return [];
+}
+
+const hasPermission = (user, permission) => permissionsFor(user).includes(permission);
+
+function toStaffView(user) {
+    return {
+        id: String(user._id),
+        username: user.username,
+        email: user.email,
+        role: user.role || ROLES.USER,
+        permissions: permissionsFor(user),
+        role_changed_at: user.role_changed_at || null
+    };
+}
+
+async function listStaff() {
+    const users = await getCollection('users')
+        .find({ role: { $in: [ROLES.STAFF, ROLES.ADMIN] } })
+        .sort({ role: 1, username: 1 })
+        .toArray();
+    return users.map(toStaffView);
+}
+
+// Promotes or demotes `userId`. Returns null when the user doesn't exist.
+async function setRole(userId, { role, permissions = [] }, actor) {
+    if (!Object.values(ROLES).includes(role)) {
+        throw new StaffError(`Unknown role: ${role}`);
+    }
+
+    const granted = [...new Set(permissions)];
+    const unknown = granted.find(p => !ALL_PERMISSIONS.includes(p));
+    if (unknown) throw new StaffError(`Unknown permission: ${unknown}`);
+
+    if (role === ROLES.STAFF && granted.length === 0) {
+        throw new StaffError('Staff accounts need at least one permission');
+    }
+    if (role !== ROLES.STAFF && granted.length > 0) {
+        throw new StaffError('Only staff accounts take a permissions list');
+    }
+    if (actor && String(actor.id) === String(userId)) {
+        throw new StaffError('You cannot change your own role');
+    }
+
+    const users = getCollection('users');
+    const user = await users.findOne({ _id: toObjectId(userId) });
+    if (!user) return null;
+
+    const changes = {
+        $set: { role, role_changed_at: new Date(), role_changed_by: actor ? String(actor.id) : null }
+    };
+    if (role === ROLES.STAFF) {
+        changes.$set.permissions = granted;
+    } else {
+        changes.$unset = { permissions: '' };
+    }
+
+    await users.updateOne({ _id: user._id }, changes);
+
+    // Two admins demoting each other at once must not leave nobody in charge
+    if (user.role === ROLES.ADMIN && role !== ROLES.ADMIN && await users.countDocuments({ role: ROLES.ADMIN }) === 0) {
+        await users.updateOne(
+            { _id: user._id },
+            { $set: { role: ROLES.ADMIN, role_changed_at: user.role_changed_at || null, role_changed_by: user.role_changed_by || null }, $unset: { permissions: '' } }
+        );
+        throw new StaffError('Cannot demote the last admin');
+    }
+
+    return toStaffView(await users.findOne({ _id: user._id }));
+}
+
+module.exports = {
+    ROLES,
+    PERMISSIONS,
+    ALL_PERMISSIONS,
+    StaffError,
+    permissionsFor,
+    hasPermission,
+    toStaffView,
+    listStaff,
+    setRole
+};
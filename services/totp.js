@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+
+// ============================================
+// ⏱️ TOTP (RFC 6238) / HOTP (RFC 4226)
+// ============================================
+//
+// Time-based one-time codes as used by Google Authenticator, Authy, 1Password
+// and friends. Pure functions over the shared secret - no state, no network -
+// so they're checked against the RFC test vectors in test/totp.test.js.
+
+const DEFAULT_STEP_SECONDS = 30;
+const DEFAULT_DIGITS = 6;
+const ALGORITHMS = { SHA1: 'sha1', SHA256: 'sha256', SHA512: 'sha512' };
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// RFC 4648 base32, unpadded - the form authenticator apps expect
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+        value &= (1 << bits) - 1;
+    }
+    if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    return output;
+}
+
+// Accepts lower case, spaces and padding, as people type them from a screen
+function base32Decode(input) {
+    const clean = String(input).toUpperCase().replace(/[\s=-]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error(`Invalid base32 character: ${char}`);
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+        value &= (1 << bits) - 1;
+    }
+    return Buffer.from(bytes);
+}
+
+const generateSecret = (bytes = 20) => base32Encode(crypto.randomBytes(bytes));
+
+// RFC 4226 section 5.3: HMAC the 8-byte counter, then dynamic truncation
+function hotp(secret, counter, { digits = DEFAULT_DIGITS, algorithm = ALGORITHMS.SHA1 } = {}) {
+    const key = Buffer.isBuffer(secret) ? secret : base32Decode(secret);
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac(algorithm, key).update(message).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = ((hmac[offset] & 0x7f) << 24)
+        | (hmac[offset + 1] << 16)
+        | (hmac[offset + 2] << 8)
+        | hmac[offset + 3];
+
+    return String(binary % 10 ** digits).padStart(digits, '0');
+}
+
+const timeStep = (time = Date.now(), step = DEFAULT_STEP_SECONDS) => Math.floor(time / 1000 / step);
+
+function totp(secret, { time = Date.now(), step = DEFAULT_STEP_SECONDS, ...options } = {}) {
+    return hotp(secret, timeStep(time, step), options);
+}
+
+// Returns the time step the code belongs to, or null. `window` steps either
+// side are accepted to allow for clock drift on the phone.
+function verify(secret, code, { time = Date.now(), step = DEFAULT_STEP_SECONDS, window = 1, ...options } = {}) {
+    const digits = options.digits || DEFAULT_DIGITS;
+    const given = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${digits}}$`).test(given)) return null;
+
+    const current = timeStep(time, step);
+    for (let offset = -window; offset <= window; offset++) {
+        const expected = hotp(secret, current + offset, options);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(given))) {
+            return current + offset;
+        }
+    }
+    return null;
+}
+
+// Key URI Format, the text encoded in the enrollment QR code
+function provisioningUri({ secret, account, issuer, digits = DEFAULT_DIGITS, step = DEFAULT_STEP_SECONDS, algorithm = ALGORITHMS.SHA1 }) {
+    const label = encodeURIComponent(issuer ? `${issuer}:${account}` : account);
+    const params = new URLSearchParams({ secret, algorithm: algorithm.toUpperCase(), digits: String(digits), period: String(step) });
+    if (issuer) params.set('issuer', issuer);
+    return `otpauth://totp/${label}?${params}`;
+}
+
+module.exports = {
+    ALGORITHMS,
+    DEFAULT_STEP_SECONDS,
+    base32Encode,
+    base32Decode,
+    generateSecret,
+    hotp,
+    totp,
+    timeStep,
+    verify,
+    provisioningUri
+};
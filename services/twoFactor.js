@@ -0,0 +1,262 @@
+const crypto = require('crypto');
+const { getCollection } = require('../config/db');
+const staff = require('./staff');
+const totp = require('./totp');
+
+// ============================================
+// 🛡️ TWO-FACTOR AUTHENTICATION
+// ============================================
+//
+// users.two_factor holds an authenticator (TOTP) secret, encrypted with
+// AES-256-GCM so a database dump alone can't generate codes, plus the hashes
+// of ten single-use backup codes. Setup is two steps: beginSetup() stores a
+// pending secret and returns the QR provisioning URI, enable() switches 2FA
+// on once the user proves their app produces matching codes.
+//
+// Every code check goes through verifyCode(): a TOTP code is accepted once
+// (the last used time step is stored), a backup code is deleted when used,
+// and five wrong codes in a row lock code entry for 15 minutes.
+//
+// Staff and admin accounts can't use the admin panel without 2FA. Sessions
+// that confirm a code get a short step-up window for sensitive actions.
+
+const ISSUER = process.env.TOTP_ISSUER || 'Mublog Market';
+const BACKUP_CODE_COUNT = 10;
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCKOUT_MS = 15 * 60 * 1000;
+const STEP_UP_TTL_MS = 5 * 60 * 1000;
+
+// Purchases at or above this (₦) need a fresh code from users who have 2FA on
+const STEP_UP_PURCHASE_THRESHOLD = parseFloat(process.env.STEP_UP_PURCHASE_THRESHOLD) || 20000;
+
+class TwoFactorError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'TwoFactorError';
+        this.code = code;
+    }
+}
+
+// ---- Secret storage ----
+
+const encryptionKey = () => crypto.createHash('sha256')
+    .update(`two-factor.${process.env.TOTP_ENCRYPTION_KEY || process.env.JWT_SECRET}`)
+    .digest();
+
+function encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return ['v1', iv, cipher.getAuthTag(), encrypted].map(part => (Buffer.isBuffer(part) ? part.toString('base64url') : part)).join(':');
+}
+
+function decryptSecret(stored) {
+    const [version, iv, tag, encrypted] = String(stored).split(':');
+    if (version !== 'v1') throw new Error('Unknown two-factor secret format');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), Buffer.from(iv, 'base64url'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+    return Buffer.concat([decipher.update(Buffer.from(encrypted, 'base64url')), decipher.final()]).toString('utf8');
+}
+
+// ---- Backup codes ----
+
+// "K7PQ2-M4XZT": 50 random bits, unambiguous letters, typed once at most
+const newBackupCode = () => {
+    const raw = totp.base32Encode(crypto.randomBytes(7)).slice(0, 10);
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+};
+
+const normaliseBackupCode = (code) => String(code || '').toUpperCase().replace(/[\s-]/g, '');
+const hashBackupCode = (code) => crypto.createHash('sha256').update(`backup.${normaliseBackupCode(code)}`).digest('hex');
+
+// Stored as a map of hash -> true so one code can be removed atomically with $unset
+function issueBackupCodes() {
+    const codes = Array.from({ length: BACKUP_CODE_COUNT }, newBackupCode);
+    const hashes = Object.fromEntries(codes.map(code => [hashBackupCode(code), true]));
+    return { codes, hashes };
+}
+
+// ---- State ----
+
+const isEnabled = (user) => Boolean(user && user.two_factor && user.two_factor.enabled);
+
+// Anyone with admin panel access
+const isRequired = (user) => staff.permissionsFor(user).length > 0;
+
+const backupCodesLeft = (user) => (isEnabled(user) ? Object.keys(user.two_factor.backup_codes || {}).length : 0);
+
+const hasRecentStepUp = (session, now = Date.now()) => Boolean(session && session.step_up_at && now - session.step_up_at <= STEP_UP_TTL_MS);
+
+// What the account page shows
+const statusOf = (user) => ({
+    enabled: isEnabled(user),
+    required: isRequired(user),
+    enabled_at: isEnabled(user) ? user.two_factor.enabled_at : null,
+    backup_codes_left: backupCodesLeft(user)
+});
+
+// ---- Enrollment ----
+
+// Returns the secret (for manual entry) and the otpauth:// URI for the QR code
+async function beginSetup(user) {
+    if (isEnabled(user)) {
+        throw new TwoFactorError('ALREADY_ENABLED', 'Two-factor authentication is already on');
+    }
+
+    const secret = totp.generateSecret();
+    await getCollection('users').updateOne(
+        { _id: user._id },
+        { $set: { 'two_factor.pending_secret': encryptSecret(secret), 'two_factor.pending_at': new Date() } }
+    );
+
+    return {
+        secret,
+        otpauthUrl: totp.provisioningUri({ secret, account: user.email, issuer: ISSUER })
+    };
+}
+
+// Switches 2FA on if `code` matches the pending secret. Returns the backup
+// codes - the only time they're ever shown.
+async function enable(user, code) {
+    if (isEnabled(user)) {
+        throw new TwoFactorError('ALREADY_ENABLED', 'Two-factor authentication is already on');
+    }
+    const pending = user.two_factor && user.two_factor.pending_secret;
+    if (!pending) {
+        throw new TwoFactorError('NO_PENDING_SETUP', 'Start two-factor setup first');
+    }
+
+    const step = totp.verify(decryptSecret(pending), code);
+    if (step === null) {
+        throw new TwoFactorError('INVALID_CODE', 'That code does not match - check the time on your phone and try again');
+    }
+
+    const { codes, hashes } = issueBackupCodes();
+    const result = await getCollection('users').updateOne(
+        { _id: user._id, 'two_factor.pending_secret': pending },
+        {
+            $set: {
+                two_factor: {
+                    enabled: true,
+                    secret: pending,
+                    enabled_at: new Date(),
+                    last_step: step,
+                    backup_codes: hashes,
+                    failed_attempts: 0
+                }
+            }
+        }
+    );
+    if (result.modifiedCount === 0) {
+        throw new TwoFactorError('NO_PENDING_SETUP', 'Two-factor setup was restarted elsewhere - scan the new code');
+    }
+
+    return { backupCodes: codes };
+}
+
+// ---- Verification ----
+
+async function recordFailure(user) {
+    const users = getCollection('users');
+    const updated = await users.findOneAndUpdate(
+        { _id: user._id },
+        { $inc: { 'two_factor.failed_attempts': 1 } },
+        { returnDocument: 'after', includeResultMetadata: false }
+    );
+    if (updated && updated.two_factor.failed_attempts >= MAX_FAILED_ATTEMPTS) {
+        await users.updateOne(
+            { _id: user._id },
+            { $set: { 'two_factor.locked_until': new Date(Date.now() + LOCKOUT_MS), 'two_factor.failed_attempts': 0 } }
+        );
+        console.log(`🔒 Two-factor code entry locked for ${user.email} after ${MAX_FAILED_ATTEMPTS} wrong codes`);
+    }
+}
+
+// Accepts an authenticator code or a backup code. Returns { method,
+// backupCodesLeft }; throws TwoFactorError (INVALID_CODE, LOCKED, NOT_ENABLED).
+async function verifyCode(user, code) {
+    if (!isEnabled(user)) {
+        throw new TwoFactorError('NOT_ENABLED', 'Two-factor authentication is not on for this account');
+    }
+
+    const tf = user.two_factor;
+    if (tf.locked_until && tf.locked_until > new Date()) {
+        const minutes = Math.ceil((tf.locked_until - Date.now()) / 60000);
+        throw new TwoFactorError('LOCKED', `Too many wrong codes - try again in ${minutes} minute(s)`);
+    }
+
+    const users = getCollection('users');
+    const cleared = { 'two_factor.failed_attempts': 0 };
+    const given = String(code || '').replace(/\s/g, '');
+
+    if (/^\d+$/.test(given)) {
+        const step = totp.verify(decryptSecret(tf.secret), given);
+        if (step !== null) {
+            // A code can't be replayed, even within its 30 seconds
+            const result = await users.updateOne(
+                { _id: user._id, $or: [{ 'two_factor.last_step': { $lt: step } }, { 'two_factor.last_step': null }] },
+                { $set: { ...cleared, 'two_factor.last_step': step }, $unset: { 'two_factor.locked_until': '' } }
+            );
+            if (result.modifiedCount === 1) {
+                return { method: 'totp', backupCodesLeft: backupCodesLeft(user) };
+            }
+        }
+    } else if (given) {
+        const field = `two_factor.backup_codes.${hashBackupCode(given)}`;
+        const result = await users.updateOne(
+            { _id: user._id, [field]: { $exists: true } },
+            { $set: cleared, $unset: { [field]: '', 'two_factor.locked_until': '' } }
+        );
+        if (result.modifiedCount === 1) {
+            console.log(`🛡️ Backup code used by ${user.email}`);
+            return { method: 'backup', backupCodesLeft: backupCodesLeft(user) - 1 };
+        }
+    }
+
+    await recordFailure(user);
+    throw new TwoFactorError('INVALID_CODE', 'Invalid authentication code');
+}
+
+// ---- Changes after enrollment ----
+
+// The caller has already checked a code and the password
+async function disable(user) {
+    if (isRequired(user)) {
+        throw new TwoFactorError('REQUIRED', 'Two-factor authentication is required for staff accounts');
+    }
+    await getCollection('users').updateOne({ _id: user._id }, { $unset: { two_factor: '' } });
+}
+
+async function regenerateBackupCodes(user, code) {
+    await verifyCode(user, code);
+    const { codes, hashes } = issueBackupCodes();
+    await getCollection('users').updateOne({ _id: user._id }, { $set: { 'two_factor.backup_codes': hashes } });
+    return { backupCodes: codes };
+}
+
+// For staff, when someone has lost their phone and their backup codes
+async function reset(userId) {
+    const result = await getCollection('users').updateOne(
+        { _id: userId, two_factor: { $exists: true } },
+        { $unset: { two_factor: '' } }
+    );
+    return result.modifiedCount === 1;
+}
+
+module.exports = {
+    ISSUER,
+    STEP_UP_TTL_MS,
+    STEP_UP_PURCHASE_THRESHOLD,
+    TwoFactorError,
+    encryptSecret,
+    isEnabled,
+    isRequired,
+    hasRecentStepUp,
+    statusOf,
+    beginSetup,
+    enable,
+    verifyCode,
+    disable,
+    regenerateBackupCodes,
+    reset
+};
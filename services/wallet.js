@@ -0,0 +1,217 @@
+const { ObjectId } = require('mongodb');
+const { getCollection, toObjectId } = require('../config/db');
+
+// ============================================
+// 💰 WALLET LEDGER
+// ============================================
+//
+// Every balance change is posted as a balanced pair of ledger rows sharing a
+// txn_id: one leg on the user's wallet account and an opposite leg on the
+// counter account the money came from or went to. Wallet legs carry the
+// resulting balance, so a user's statement is just their wallet legs.
+
+const ENTRY_TYPES = {
+    TOPUP: 'TOPUP',
+    PURCHASE: 'PURCHASE',
+    REFUND: 'REFUND',
+    ADJUSTMENT: 'ADJUSTMENT',
+    OPENING_BALANCE: 'OPENING_BALANCE'
+};
+
+const ACCOUNTS = {
+    FLUTTERWAVE: 'gateway:flutterwave',
+    PRODUCT_SALES: 'revenue:products',
+    SMS_SALES: 'revenue:sms',
+    SMM_SALES: 'revenue:smm',
+    ADMIN_ADJUSTMENTS: 'equity:admin_adjustments',
+    OPENING_BALANCES: 'equity:opening_balances'
+};
+
+const SYSTEM_ACTOR = { type: 'system', id: null };
+
+class InsufficientBalanceError extends Error {
+    constructor(amount) {
+        super(`Insufficient balance. Need ₦${amount}`);
+        this.name = 'InsufficientBalanceError';
+        this.amount = amount;
+    }
+}
+
+class WalletNotFoundError extends Error {
+    constructor() {
+        super('User not found');
+        this.name = 'WalletNotFoundError';
+    }
+}
+
+const walletAccount = (userId) => `wallet:${userId}`;
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+async function post(userId, signedAmount, { type, account, reference, actor, description }) {
+    if (!ENTRY_TYPES[type]) throw new Error(`Unknown ledger entry type: ${type}`);
+    if (!account) throw new Error('Ledger entry needs a counter account');
+
+    const amount = roundMoney(signedAmount);
+    const filter = { _id: toObjectId(userId) };
+
+    // Debits only apply while the balance covers them, so concurrent
+    // purchases can never take a wallet below zero
+    if (amount < 0) filter.balance = { $gte: -amount };
+
+    const user = await getCollection('users').findOneAndUpdate(
+        filter,
+        { $inc: { balance: amount } },
+        { returnDocument: 'after', includeResultMetadata: false }
+    );
+
+    if (!user) {
+        if (amount < 0 && await getCollection('users').findOne({ _id: toObjectId(userId) })) {
+            throw new InsufficientBalanceError(-amount);
+        }
+        throw new WalletNotFoundError();
+    }
+
+    const txnId = new ObjectId().toString();
+    const createdAt = new Date();
+    const common = {
+        txn_id: txnId,
+        type,
+        reference: reference || null,
+        actor: actor || SYSTEM_ACTOR,
+        description: description || null,
+        created_at: createdAt
+    };
+
+    const walletLeg = {
+        ...common,
+        account: walletAccount(userId),
+        user_id: String(userId),
+        amount,
+        balance_after: user.balance
+    };
+
+    // A balance change without both legs never happened: undo it, so the
+    // caller can safely retry
+    try {
+        await getCollection('ledger').insertOne(walletLeg);
+        await getCollection('ledger').insertOne({ ...common, account, user_id: String(userId), amount: -amount });
+    } catch (err) {
+        await getCollection('users').updateOne({ _id: toObjectId(userId) }, { $inc: { balance: -amount } });
+        await getCollection('ledger').deleteMany({ txn_id: txnId });
+        throw err;
+    }
+
+    return walletLeg;
+}
+
+const credit = (userId, amount, entry) => {
+    if (!(amount > 0)) throw new Error('Credit amount must be positive');
+    return post(userId, amount, entry);
+};
+
+const debit = (userId, amount, entry) => {
+    if (!(amount > 0)) throw new Error('Debit amount must be positive');
+    return post(userId, -amount, entry);
+};
+
+// Gives back a debit whose follow-up work (stock, upstream order, insert) failed
+const reverseDebit = (userId, amount, entry) => credit(userId, amount, {
+    ...entry,
+    type: ENTRY_TYPES.REFUND,
+    description: `Reversal: ${entry.description}`
+});
+
+// Finds the wallet leg of an earlier posting, e.g. to avoid refunding an order twice
+async function findEntry(userId, type, referenceId) {
+    return getCollection('ledger').findOne({
+        account: walletAccount(userId),
+        type,
+        'reference.id': String(referenceId)
+    });
+}
+
+async function getStatement(userId) {
+    return getCollection('ledger')
+        .find({ account: walletAccount(userId) })
+        .sort({ created_at: -1 })
+        .toArray();
+}
+
+// Compares every user's stored balance with the sum of their wallet legs
+async function reconcile() {
+    const users = await getCollection('users').find({}).toArray();
+    const mismatches = [];
+
+    for (const user of users) {
+        const entries = await getCollection('ledger').find({ account: walletAccount(user._id) }).toArray();
+        const ledgerBalance = roundMoney(entries.reduce((sum, e) => sum + e.amount, 0));
+        const balance = roundMoney(user.balance || 0);
+
+        if (ledgerBalance !== balance) {
+            mismatches.push({
+                userId: user._id,
+                username: user.username,
+                balance,
+                ledgerBalance,
+                difference: roundMoney(balance - ledgerBalance)
+            });
+        }
+    }
+
+    return { checked: users.length, mismatches };
+}
+
+// One-off backfill for wallets that held money before the ledger existed.
+// Only touches users with no ledger history, so running it twice is harmless.
+async function postOpeningBalances(actor) {
+    const users = await getCollection('users').find({ balance: { $gt: 0 } }).toArray();
+    let posted = 0;
+
+    for (const user of users) {
+        const existing = await getCollection('ledger').findOne({ account: walletAccount(user._id) });
+        if (existing) continue;
+
+        const createdAt = new Date();
+        const common = {
+            txn_id: new ObjectId().toString(),
+            type: ENTRY_TYPES.OPENING_BALANCE,
+            reference: null,
+            actor: actor || SYSTEM_ACTOR,
+            description: 'Balance carried over from before the ledger',
+            created_at: createdAt
+        };
+
+        await getCollection('ledger').insertOne({
+            ...common,
+            account: walletAccount(user._id),
+            user_id: String(user._id),
+            amount: roundMoney(user.balance),
+            balance_after: user.balance
+        });
+        await getCollection('ledger').insertOne({
+            ...common,
+            account: ACCOUNTS.OPENING_BALANCES,
+            user_id: String(user._id),
+            amount: -roundMoney(user.balance)
+        });
+        posted++;
+    }
+
+    return { posted };
+}
+
+module.exports = {
+    ENTRY_TYPES,
+    ACCOUNTS,
+    InsufficientBalanceError,
+    WalletNotFoundError,
+    walletAccount,
+    credit,
+    debit,
+    reverseDebit,
+    findEntry,
+    getStatement,
+    reconcile,
+    postOpeningBalances
+};
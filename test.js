@@ -1,6 +0,0 @@
-const express = require('express');
-const app = express();
-
-app.get('/', (req, res) => res.send('Express is working!'));
-
-app.listen(5001, () => console.log('✅ Test server running on port 5001'));
\ No newline at end of file
@@ -0,0 +1,166 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const bcryptjs = require('bcryptjs');
+const { toObjectId } = require('../config/db');
+const { startTestApp } = require('./support/app');
+
+describe('account suspension and deletion', () => {
+    let t;
+    let admin;
+
+    before(async () => {
+        t = await startTestApp();
+        admin = await t.createUser({ role: 'admin' });
+    });
+
+    after(() => t.close());
+
+    const asAdmin = () => ({ token: admin.token });
+    const setStatus = (user, body) => t.put(`/auth/user/${user.id}/status`, body, asAdmin());
+    const findUser = (user) => t.getCollection('users').findOne({ _id: toObjectId(user.id) });
+
+    it('blocks sign-in while suspended or banned', async () => {
+        const user = await t.createUser();
+        await t.getCollection('users').updateOne({ _id: user.user._id }, { $set: { password: await bcryptjs.hash('Passw0rd!', 4) } });
+        const login = () => t.post('/auth/login', { email: user.user.email, password: 'Passw0rd!' });
+
+        assert.equal((await setStatus(user, { status: 'suspended', reason: 'Chargeback under review' })).status, 200);
+        const suspended = await login();
+        assert.equal(suspended.status, 403);
+        assert.equal(suspended.body.error, 'Account suspended');
+
+        await setStatus(user, { status: 'active', reason: 'Chargeback withdrawn' });
+        assert.equal((await login()).status, 200);
+
+        await setStatus(user, { status: 'banned', reason: 'Fraud' });
+        assert.equal((await login()).body.error, 'Account banned');
+    });
+
+    it('blocks purchases and top-ups but keeps history readable', async () => {
+        const user = await t.createUser();
+        await setStatus(user, { status: 'suspended', reason: 'Abuse report' });
+        const token = user.token;
+
+        const blocked = await Promise.all([
+            t.post('/products/purchase', { productId: '64b7f0c2a1b2c3d4e5f60718' }, { token }),
+            t.post('/sms/order', { service: 'whatsapp', country: 'usa' }, { token }),
+            t.post('/smm/order', { service: '1', link: 'https://example.com/p', quantity: 100 }, { token }),
+            t.post('/payments/flutterwave/init', { amount: 1000 }, { token })
+        ]);
+        blocked.forEach(res => assert.equal(res.status, 403));
+
+        assert.equal((await t.get('/auth/me', { token })).status, 200);
+        assert.equal((await t.get('/orders', { token })).status, 200);
+    });
+
+    it('ends a timed suspension by itself', async () => {
+        const user = await t.createUser();
+        const until = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+        const res = await setStatus(user, { status: 'suspended', reason: 'Cooling off', until });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.until, until);
+        assert.equal((await t.post('/payments/flutterwave/init', { amount: 1000 }, { token: user.token })).status, 403);
+
+        await t.getCollection('users').updateOne({ _id: user.user._id }, { $set: { suspended_until: new Date(Date.now() - 1000) } });
+        assert.equal((await t.post('/payments/flutterwave/init', { amount: 1000 }, { token: user.token })).status, 200);
+
+        const past = await setStatus(user, { status: 'suspended', reason: 'Cooling off', until: '2001-01-01' });
+        assert.equal(past.status, 400);
+    });
+
+    it('takes admin access away from suspended staff', async () => {
+        const clerk = await t.createUser({ role: 'staff', permissions: ['inventory'] });
+
+        // Staff have to be demoted first, so nobody with the users permission can lock out an admin
+        assert.equal((await setStatus(clerk, { status: 'suspended', reason: 'Leaving' })).status, 400);
+
+        await t.getCollection('users').updateOne({ _id: clerk.user._id }, { $set: { status: 'suspended' } });
+        assert.equal((await t.get('/products/all', { token: clerk.token })).status, 403);
+        assert.deepEqual((await t.get('/auth/me', { token: clerk.token })).body.permissions, ['inventory']);
+    });
+
+    it('validates status changes', async () => {
+        const user = await t.createUser();
+
+        assert.equal((await setStatus(user, { status: 'suspended' })).status, 400);
+        assert.equal((await setStatus(user, { status: 'deleted', reason: 'Nope' })).status, 400);
+        assert.equal((await setStatus(user, { status: 'banned', reason: 'Fraud', until: '2099-01-01' })).status, 400);
+        assert.equal((await t.put(`/auth/user/${admin.id}/status`, { status: 'banned', reason: 'Oops' }, asAdmin())).status, 400);
+        assert.equal((await t.put('/auth/user/64b7f0c2a1b2c3d4e5f60718/status', { status: 'banned', reason: 'Ghost' }, asAdmin())).status, 404);
+
+        const [entry] = (await t.get(`/admin/audit?action=user.status&targetId=${user.id}`, asAdmin())).body.entries;
+        assert.equal(entry, undefined);
+    });
+
+    it('refuses to delete an account that still holds money', async () => {
+        const user = await t.createUser();
+        await t.post('/auth/topup', { userId: user.id, amount: 50, reason: 'Promo credit' }, asAdmin());
+
+        const refused = await t.del(`/auth/user/${user.id}`, asAdmin());
+        assert.equal(refused.status, 400);
+        assert.match(refused.body.error, /Settle the remaining balance of ₦50/);
+
+        await t.post('/auth/topup', { userId: user.id, amount: -50, reason: 'Promo withdrawn on closure' }, asAdmin());
+        assert.equal((await t.del(`/auth/user/${user.id}`, asAdmin())).status, 200);
+    });
+
+    it('refuses to delete an account with an order still in progress', async () => {
+        const user = await t.createUser();
+        await t.getCollection('orders').insertOne({ user_id: user.id, type: 'SMS', status: 'WAITING', price: 100, created_at: new Date() });
+
+        const refused = await t.del(`/auth/user/${user.id}`, asAdmin());
+        assert.equal(refused.status, 400);
+        assert.match(refused.body.error, /still in progress/);
+    });
+
+    it('anonymises the account and keeps its financial records', async () => {
+        const user = await t.createUser();
+        const { email, username } = user.user;
+
+        await t.post('/auth/topup', { userId: user.id, amount: 700, reason: 'Bank transfer' }, asAdmin());
+        const added = await t.post('/products/add', { name: 'Aged account', category: 'Instagram', price: 700, credentials: 'login:pass' }, asAdmin());
+        assert.equal((await t.post('/products/purchase', { productId: added.body.id }, { token: user.token })).status, 200);
+        assert.equal((await t.post('/payments/flutterwave/init', { amount: 1000 }, { token: user.token })).status, 200);
+        const profileLink = `https://instagram.com/${username}`;
+        await t.getCollection('orders').insertOne({
+            user_id: user.id, username, type: 'SMM', status: 'COMPLETED', price: 0, product_link: profileLink, created_at: new Date()
+        });
+        assert.equal((await t.post('/auth/forgot-password', { email })).status, 200);
+        await setStatus(user, { status: 'suspended', reason: 'Closing the account' });
+
+        const res = await t.del(`/auth/user/${user.id}`, asAdmin());
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.summary.kept, { orders: 2, payments: 1, ledgerEntries: 2 });
+        assert.deepEqual(res.body.summary.anonymised, { orders: 2, payments: 1 });
+        assert.equal(res.body.summary.tokensRemoved, 1);
+
+        const stored = await findUser(user);
+        assert.equal(stored.status, 'deleted');
+        assert.equal(stored.username, res.body.summary.anonymisedAs);
+        assert.notEqual(stored.email, email);
+        assert.equal(stored.password, null);
+
+        const [order] = await t.getCollection('orders').find({ user_id: user.id }).toArray();
+        assert.equal(order.username, res.body.summary.anonymisedAs);
+        assert.equal(order.price, 700);
+
+        const report = await t.get('/admin/wallet/reconcile', asAdmin());
+        assert.ok(!report.body.mismatches.some(m => String(m.userId) === user.id));
+
+        // Nothing identifying is left in the account's own records, and the
+        // audit trail of what staff did to it is kept under the alias
+        for (const name of ['users', 'orders', 'transactions', 'auth_tokens', 'audit_log']) {
+            const dump = JSON.stringify(await t.getCollection(name).find({}).toArray());
+            assert.ok(!dump.includes(email), `${name} still mentions ${email}`);
+            assert.ok(!dump.includes(`"${username}"`), `${name} still mentions ${username}`);
+            assert.ok(!dump.includes(profileLink), `${name} still mentions ${profileLink}`);
+        }
+        const history = await t.getCollection('audit_log').find({ 'target.id': user.id }).toArray();
+        assert.ok(history.some(e => e.action === 'user.status' && e.target.label === res.body.summary.anonymisedAs));
+
+        // The old token is dead and the account can't be deleted twice
+        assert.equal((await t.post('/payments/flutterwave/init', { amount: 1000 }, { token: user.token })).status, 401);
+        assert.equal((await t.del(`/auth/user/${user.id}`, asAdmin())).status, 404);
+    });
+});
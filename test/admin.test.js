@@ -0,0 +1,160 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./support/app');
+
+describe('admin routes', () => {
+    let t;
+    let admin;
+    let user;
+
+    before(async () => {
+        t = await startTestApp();
+        admin = await t.createUser({ role: 'admin' });
+        user = await t.createUser({ balance: 0 });
+    });
+
+    after(() => t.close());
+
+    const asAdmin = () => ({ token: admin.token });
+
+    it('refuses regular users', async () => {
+        const token = user.token;
+        const checks = [
+            t.get('/auth/users', { token }),
+            t.post('/auth/topup', { userId: user.id, amount: 100, reason: 'Bank transfer' }, { token }),
+            t.get('/admin/pricing', { token }),
+            t.get('/admin/wallet/reconcile', { token }),
+            t.get('/admin/sms/reconciliation', { token }),
+            t.post('/admin/announcement', { title: 'x', message: 'y' }, { token }),
+            t.post('/products/add', { name: 'x', category: 'Tools', price: 10 }, { token }),
+            t.post('/sms/add-allowed', { service_name: 'whatsapp' }, { token })
+        ];
+
+        for (const res of await Promise.all(checks)) {
+            assert.equal(res.status, 403);
+        }
+    });
+
+    it('tops up a wallet through the ledger and keeps it reconciled', async () => {
+        const res = await t.post('/auth/topup', { userId: user.id, amount: '750', reason: 'Bank transfer #1042' }, asAdmin());
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.newBalance, 750);
+        assert.equal(await t.getBalance(user.id), 750);
+
+        const statement = await t.get(`/auth/transactions/${user.id}`, asAdmin());
+        assert.equal(statement.body.length, 1);
+
+        const report = await t.get('/admin/wallet/reconcile', asAdmin());
+        assert.equal(report.status, 200);
+        assert.deepEqual(report.body.mismatches, []);
+    });
+
+    it('leaves the balance alone when the ledger cannot be written', async () => {
+        const before = await t.getBalance(user.id);
+
+        t.failNextInsert('ledger');
+        const res = await t.post('/auth/topup', { userId: user.id, amount: '300', reason: 'Bank transfer #1043' }, asAdmin());
+
+        assert.equal(res.status, 500);
+        assert.equal(await t.getBalance(user.id), before);
+        assert.deepEqual((await t.get('/admin/wallet/reconcile', asAdmin())).body.mismatches, []);
+    });
+
+    it('lists users without password hashes', async () => {
+        const res = await t.get('/auth/users', asAdmin());
+
+        assert.equal(res.status, 200);
+        assert.ok(res.body.length >= 2);
+        res.body.forEach(u => assert.equal(u.password, undefined));
+    });
+
+    it('deletes users', async () => {
+        const doomed = await t.createUser();
+
+        assert.equal((await t.del(`/auth/user/${doomed.id}`, asAdmin())).status, 200);
+        assert.equal((await t.del(`/auth/user/${doomed.id}`, asAdmin())).status, 404);
+    });
+
+    it('updates pricing settings and rejects nonsense', async () => {
+        const updated = await t.put('/admin/pricing', { markup_percent: '35' }, asAdmin());
+        assert.equal(updated.status, 200);
+        assert.equal(updated.body.settings.markup_percent, 35);
+        assert.equal((await t.get('/admin/pricing', asAdmin())).body.markup_percent, 35);
+
+        const invalid = await t.put('/admin/pricing', { markup_percent: -500 }, asAdmin());
+        assert.equal(invalid.status, 400);
+
+        const unknown = await t.put('/admin/pricing', { free_money: true }, asAdmin());
+        assert.equal(unknown.status, 400);
+    });
+
+    it('publishes and removes announcements', async () => {
+        const first = await t.post('/admin/announcement', { title: 'Maintenance', message: 'Tonight' }, asAdmin());
+        assert.equal(first.status, 200);
+        await t.post('/admin/announcement', { title: 'Sale', message: 'Today', type: 'success' }, asAdmin());
+
+        const current = await t.get('/announcement');
+        assert.equal(current.body.title, 'Sale');
+        assert.equal(await t.getCollection('announcements').countDocuments({ is_active: true }), 1);
+
+        await t.del('/admin/announcement', asAdmin());
+        assert.deepEqual((await t.get('/announcement')).body, {});
+    });
+
+    it('manages the allowed SMS services', async () => {
+        const added = await t.post('/sms/add-allowed', { service_name: ' WhatsApp ', display_name: 'WhatsApp' }, asAdmin());
+        assert.equal(added.status, 200);
+
+        const duplicate = await t.post('/sms/add-allowed', { service_name: 'whatsapp' }, asAdmin());
+        assert.equal(duplicate.status, 400);
+
+        const listed = await t.get('/sms/available-services');
+        assert.deepEqual(listed.body.map(s => s.service_name), ['whatsapp']);
+
+        await t.del(`/sms/delete-allowed/${listed.body[0]._id}`, asAdmin());
+        assert.deepEqual((await t.get('/sms/available-services')).body, []);
+    });
+
+    it('tests the SMS provider connection', async () => {
+        const res = await t.get('/admin/sms/provider-test', asAdmin());
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.provider, 'fivesim');
+        assert.equal(res.body.test1_prices.success, true);
+        assert.deepEqual(res.body.test2_account, { success: true, balance: 500 });
+    });
+
+    it('lists and resolves SMS reconciliation issues', async () => {
+        const { insertedId } = await t.getCollection('sms_reconciliation').insertOne({
+            sms_order_id: 'order-1',
+            activation_id: 1,
+            provider: 'fivesim',
+            action: 'cancel',
+            status: 'OPEN',
+            attempts: 1,
+            last_error: '5sim unreachable',
+            created_at: new Date()
+        });
+
+        const open = await t.get('/admin/sms/reconciliation', asAdmin());
+        assert.equal(open.body.length, 1);
+
+        const resolved = await t.post(`/admin/sms/reconciliation/${insertedId}/resolve`, { note: 'Checked on the 5sim dashboard' }, asAdmin());
+        assert.equal(resolved.status, 200);
+
+        assert.equal((await t.get('/admin/sms/reconciliation', asAdmin())).body.length, 0);
+        assert.equal((await t.get('/admin/sms/reconciliation?status=all', asAdmin())).body.length, 1);
+        assert.equal((await t.post(`/admin/sms/reconciliation/${insertedId}/resolve`, {}, asAdmin())).status, 404);
+    });
+
+    it('curates the SMM catalogue', async () => {
+        await t.post('/admin/smm/services/refresh', {}, asAdmin());
+
+        const hidden = await t.put('/admin/smm/services/2', { hidden: true, display_name: 'Site visits' }, asAdmin());
+        assert.equal(hidden.status, 200);
+        assert.deepEqual((await t.get('/smm/live-services')).body.map(s => s.id), ['1']);
+
+        assert.equal((await t.put('/admin/smm/services/404', { hidden: true }, asAdmin())).status, 404);
+    });
+});
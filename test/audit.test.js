@@ -0,0 +1,122 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./support/app');
+
+describe('audit log', () => {
+    let t;
+    let admin;
+
+    before(async () => {
+        t = await startTestApp();
+        admin = await t.createUser({ role: 'admin' });
+    });
+
+    after(() => t.close());
+
+    const asAdmin = () => ({ token: admin.token });
+
+    it('requires a reason for balance adjustments', async () => {
+        const user = await t.createUser();
+
+        const missing = await t.post('/auth/topup', { userId: user.id, amount: 100 }, asAdmin());
+        assert.equal(missing.status, 400);
+        assert.equal(missing.body.details[0].field, 'reason');
+
+        const short = await t.post('/auth/topup', { userId: user.id, amount: 100, reason: 'x' }, asAdmin());
+        assert.equal(short.status, 400);
+
+        const zero = await t.post('/auth/topup', { userId: user.id, amount: 0, reason: 'Nothing' }, asAdmin());
+        assert.equal(zero.status, 400);
+
+        assert.equal(await t.getBalance(user.id), 0);
+    });
+
+    it('corrects a balance downwards without going below zero', async () => {
+        const user = await t.createUser();
+        await t.post('/auth/topup', { userId: user.id, amount: 500, reason: 'Bank transfer' }, asAdmin());
+
+        const corrected = await t.post('/auth/topup', { userId: user.id, amount: -200, reason: 'Credited twice' }, asAdmin());
+        assert.equal(corrected.status, 200);
+        assert.equal(corrected.body.newBalance, 300);
+        assert.equal(await t.getBalance(user.id), 300);
+
+        const overdrawn = await t.post('/auth/topup', { userId: user.id, amount: -301, reason: 'Too much' }, asAdmin());
+        assert.equal(overdrawn.status, 400);
+        assert.equal(await t.getBalance(user.id), 300);
+
+        const report = await t.get('/admin/wallet/reconcile', asAdmin());
+        assert.deepEqual(report.body.mismatches, []);
+    });
+
+    it('records who changed what, from where and why', async () => {
+        const user = await t.createUser();
+        await t.post('/auth/topup', { userId: user.id, amount: 80, reason: 'Refund for ticket 77' }, asAdmin());
+        await t.post('/auth/topup', { userId: user.id, amount: -30, reason: 'Partial reversal' }, asAdmin());
+
+        const res = await t.get(`/admin/audit?action=balance.adjust&targetId=${user.id}`, asAdmin());
+        assert.equal(res.status, 200);
+
+        const [latest, first] = res.body.entries;
+        assert.equal(res.body.entries.length, 2);
+        assert.equal(latest.reason, 'Partial reversal');
+        assert.deepEqual(latest.before, { balance: 80 });
+        assert.equal(latest.after.balance, 50);
+        assert.equal(first.before.balance, 0);
+        assert.deepEqual(latest.actor, { id: admin.id, email: admin.user.email, role: 'admin' });
+        assert.equal(latest.target.label, user.user.email);
+        assert.ok(latest.ip);
+    });
+
+    it('keeps before and after values and masks secrets', async () => {
+        const added = await t.post('/products/add', { name: 'Toolkit', category: 'Tools', price: 100, credentials: 'download-link-secret' }, asAdmin());
+        await t.put(`/products/update/${added.body.id}`, { price: 150 }, asAdmin());
+
+        const { entries } = (await t.get(`/admin/audit?targetType=product&targetId=${added.body.id}`, asAdmin())).body;
+        const [update, create] = entries;
+
+        assert.equal(create.action, 'product.create');
+        assert.equal(create.after.credentials, '[redacted]');
+        assert.equal(update.action, 'product.update');
+        assert.equal(update.before.price, 100);
+        assert.equal(update.after.price, 150);
+        assert.ok(!JSON.stringify(entries).includes('download-link-secret'));
+    });
+
+    it('records role changes', async () => {
+        const user = await t.createUser();
+        await t.put(`/admin/staff/${user.id}`, { role: 'staff', permissions: ['audit'] }, asAdmin());
+
+        const { entries } = (await t.get(`/admin/audit?action=user.role&targetId=${user.id}`, asAdmin())).body;
+        assert.deepEqual(entries[0].before, { role: 'user', permissions: [] });
+        assert.deepEqual(entries[0].after, { role: 'staff', permissions: ['audit'] });
+    });
+
+    it('searches and pages through entries', async () => {
+        const user = await t.createUser();
+        for (let i = 1; i <= 3; i++) {
+            await t.post('/auth/topup', { userId: user.id, amount: i, reason: `Goodwill credit ${i}` }, asAdmin());
+        }
+
+        const page1 = await t.get('/admin/audit?q=goodwill&limit=2', asAdmin());
+        assert.deepEqual(page1.body.entries.map(e => e.reason), ['Goodwill credit 3', 'Goodwill credit 2']);
+        assert.ok(page1.body.nextCursor);
+
+        const page2 = await t.get(`/admin/audit?q=goodwill&limit=2&cursor=${page1.body.nextCursor}`, asAdmin());
+        assert.deepEqual(page2.body.entries.map(e => e.reason), ['Goodwill credit 1']);
+        assert.equal(page2.body.nextCursor, null);
+
+        assert.equal((await t.get('/admin/audit?action=nonsense', asAdmin())).status, 400);
+        assert.equal((await t.get('/admin/audit?from=yesterday', asAdmin())).status, 400);
+    });
+
+    it('is only readable with the audit permission', async () => {
+        const support = await t.createUser({ role: 'staff', permissions: ['users'] });
+        const auditor = await t.createUser({ role: 'staff', permissions: ['audit'] });
+
+        assert.equal((await t.get('/admin/audit', { token: support.token })).status, 403);
+        assert.equal((await t.get('/admin/audit', { token: auditor.token })).status, 200);
+
+        // The log is append-only: there is no route that edits or removes entries
+        assert.equal((await t.del('/admin/audit', asAdmin())).status, 404);
+    });
+});
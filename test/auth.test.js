@@ -0,0 +1,89 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./support/app');
+
+describe('auth', () => {
+    let t;
+
+    before(async () => {
+        t = await startTestApp();
+    });
+
+    after(() => t.close());
+
+    // Walks one account through every step in order
+    it('registers, logs in and rate-limits the auth routes', async () => {
+        const account = { username: 'ada_l', email: ' Ada@Example.com ', password: 'Passw0rdX' };
+
+        const registered = await t.post('/auth/register', account);
+        assert.equal(registered.status, 201);
+        assert.ok(registered.body.userId);
+
+        const stored = await t.getCollection('users').findOne({ email: 'ada@example.com' });
+        assert.equal(stored.role, 'user');
+        assert.equal(stored.balance, 0);
+        assert.notEqual(stored.password, account.password);
+        assert.equal(stored.email_verified, false);
+
+        const welcome = await t.stubs.smtp.waitForMessage(m => m.to.includes('ada@example.com'));
+        assert.match(welcome.data, /verify-email\.html\?token=/);
+
+        const duplicate = await t.post('/auth/register', { ...account, username: 'ada_2' });
+        assert.equal(duplicate.status, 400);
+        assert.equal(duplicate.body.error, 'Email already exists');
+
+        const wrong = await t.post('/auth/login', { email: 'ada@example.com', password: 'Wrong1234' });
+        assert.equal(wrong.status, 400);
+        assert.equal(wrong.body.msg, 'Invalid credentials');
+
+        const login = await t.post('/auth/login', { email: 'ADA@example.com', password: account.password });
+        assert.equal(login.status, 200);
+        assert.equal(login.body.user.username, 'ada_l');
+
+        const me = await t.get('/auth/me', { token: login.body.token });
+        assert.equal(me.status, 200);
+        assert.equal(me.body.email, 'ada@example.com');
+        assert.equal(me.body.password, undefined);
+
+        const weak = await t.post('/auth/register', { username: 'bob', email: 'bob@example.com', password: 'short' });
+        assert.equal(weak.status, 400);
+        assert.equal(weak.body.code, 'VALIDATION_ERROR');
+
+        // Three of the five registrations an IP gets per hour are used up
+        assert.equal(weak.headers.get('ratelimit-limit'), '5');
+        assert.equal(weak.headers.get('ratelimit-remaining'), '2');
+        assert.equal((await t.post('/auth/register', account)).status, 400);
+        assert.equal((await t.post('/auth/register', account)).status, 400);
+        const limited = await t.post('/auth/register', account);
+        assert.equal(limited.status, 429);
+        assert.ok(Number(limited.headers.get('retry-after')) > 0);
+
+        // Logging in counts separately
+        assert.equal((await t.post('/auth/login', { email: 'ada@example.com', password: account.password })).status, 200);
+    });
+
+    it('rejects fields the client may not set', async () => {
+        // Validation runs after the per-route limiters, so this is checked on an admin route
+        const admin = await t.createUser({ role: 'admin' });
+        const res = await t.post('/admin/announcement', { title: 'Hi', message: 'There', is_active: false }, { token: admin.token });
+
+        assert.equal(res.status, 400);
+        assert.equal(res.body.details[0].field, 'is_active');
+    });
+
+    it('requires a valid token', async () => {
+        assert.equal((await t.get('/auth/me')).status, 401);
+        assert.equal((await t.get('/auth/me', { token: 'not.a.token' })).status, 401);
+    });
+
+    it('keeps users to their own records', async () => {
+        const alice = await t.createUser();
+        const bob = await t.createUser();
+        const admin = await t.createUser({ role: 'admin' });
+
+        assert.equal((await t.get(`/auth/user/${bob.id}`, { token: alice.token })).status, 403);
+        assert.equal((await t.get(`/auth/user/${alice.id}`, { token: alice.token })).status, 200);
+        assert.equal((await t.get(`/auth/user/${alice.id}`, { token: admin.token })).status, 200);
+        assert.equal((await t.get('/auth/users', { token: alice.token })).status, 403);
+    });
+});
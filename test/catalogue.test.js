@@ -0,0 +1,162 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { toObjectId } = require('../config/db');
+const { startTestApp } = require('./support/app');
+
+describe('product catalogue', () => {
+    let t;
+    let admin;
+
+    before(async () => {
+        t = await startTestApp();
+        admin = await t.createUser({ role: 'admin' });
+
+        // Inserted in this order, so _id order is newest-last
+        const listings = [
+            { name: 'Aged Instagram account', description: '2019, 5k followers', category: 'Instagram', price: 3000, stock: 4, sold: 12 },
+            { name: 'Fresh Instagram account', description: 'Phone verified', category: 'Instagram', price: 800, stock: 10, sold: 40 },
+            { name: 'Instagram page (niche: food)', description: 'Engaged audience', category: 'Instagram', price: 3000, stock: 1, sold: 3 },
+            { name: 'Facebook marketplace account', description: 'Old account with Instagram linked', category: 'Facebook', price: 1500, stock: 2, sold: 12 },
+            { name: 'Netflix premium', description: '4 screens, one month', category: 'Netflix', price: 2500, stock: 0, sold: 90 },
+            { name: 'Format pack', description: 'Appeal templates', category: 'Format', price: 500, stock: 99, sold: 7, credentials: 'shared-login:secret' }
+        ];
+        for (const listing of listings) {
+            await t.getCollection('products').insertOne({ ...listing, createdAt: new Date() });
+        }
+    });
+
+    after(() => t.close());
+
+    const names = (res) => res.body.products.map(p => p.name);
+
+    // Follows nextCursor to the end and returns every listing in order
+    async function walk(query) {
+        const seen = [];
+        let cursor = null;
+        do {
+            const res = await t.get(`/products?${new URLSearchParams({ ...query, ...(cursor ? { cursor } : {}) })}`);
+            assert.equal(res.status, 200);
+            seen.push(...names(res));
+            cursor = res.body.nextCursor;
+        } while (cursor);
+        return seen;
+    }
+
+    it('searches names and descriptions word by word', async () => {
+        const res = await t.get('/products?q=instagram%20ACCOUNT');
+        assert.equal(res.status, 200);
+        assert.deepEqual(names(res).sort(), ['Aged Instagram account', 'Facebook marketplace account', 'Fresh Instagram account']);
+
+        // Typed text is matched literally
+        assert.deepEqual(names(await t.get('/products?q=(niche:')), ['Instagram page (niche: food)']);
+        assert.deepEqual(names(await t.get('/products?q=.*')), []);
+    });
+
+    it('filters by category, price and stock, and never shows credentials', async () => {
+        assert.deepEqual(names(await t.get('/products?category=Instagram&minPrice=1000&maxPrice=3000')).sort(), ['Aged Instagram account', 'Instagram page (niche: food)']);
+
+        // Sold-out listings only when asked for
+        assert.deepEqual(names(await t.get('/products?category=Netflix')), []);
+        assert.deepEqual(names(await t.get('/products?category=Netflix&inStock=false')), ['Netflix premium']);
+
+        const format = await t.get('/products?category=Format');
+        assert.equal(format.body.products[0].credentials, undefined);
+        assert.ok(format.body.products[0].id);
+
+        const legacy = await t.get('/products/category/Format');
+        assert.equal(legacy.body[0].credentials, undefined);
+    });
+
+    it('sorts and pages with a cursor without repeats or gaps', async () => {
+        assert.deepEqual(await walk({ sort: 'price_asc', limit: 2 }), [
+            'Format pack', 'Fresh Instagram account', 'Facebook marketplace account', 'Aged Instagram account', 'Instagram page (niche: food)'
+        ]);
+        assert.deepEqual(await walk({ sort: 'price_desc', limit: 2 }), [
+            'Instagram page (niche: food)', 'Aged Instagram account', 'Facebook marketplace account', 'Fresh Instagram account', 'Format pack'
+        ]);
+        assert.deepEqual(await walk({ sort: 'best_selling', limit: 1 }), [
+            'Fresh Instagram account', 'Facebook marketplace account', 'Aged Instagram account', 'Format pack', 'Instagram page (niche: food)'
+        ]);
+        assert.deepEqual(await walk({ limit: 4 }), [
+            'Format pack', 'Facebook marketplace account', 'Instagram page (niche: food)', 'Fresh Instagram account', 'Aged Instagram account'
+        ]);
+    });
+
+    it('pages best sellers through listings that have no sales count yet', async () => {
+        const products = t.getCollection('products');
+        await products.insertOne({ name: 'Legacy picture pack A', category: 'Pictures', price: 100, stock: 1 });
+        await products.insertOne({ name: 'Unsold picture pack', category: 'Pictures', price: 100, stock: 1, sold: 0 });
+        await products.insertOne({ name: 'Legacy picture pack B', category: 'Pictures', price: 100, stock: 1 });
+        await products.insertOne({ name: 'Popular picture pack', category: 'Pictures', price: 100, stock: 1, sold: 5 });
+
+        try {
+            assert.deepEqual(await walk({ category: 'Pictures', sort: 'best_selling', limit: 1 }), [
+                'Popular picture pack', 'Unsold picture pack', 'Legacy picture pack B', 'Legacy picture pack A'
+            ]);
+        } finally {
+            await products.deleteMany({ category: 'Pictures' });
+        }
+    });
+
+    it('keeps the next page in place when earlier listings sell out', async () => {
+        const first = await t.get('/products?sort=price_asc&limit=2');
+        assert.deepEqual(names(first), ['Format pack', 'Fresh Instagram account']);
+
+        await t.getCollection('products').updateOne({ name: 'Format pack' }, { $set: { stock: 0 } });
+        try {
+            const next = await t.get(`/products?sort=price_asc&limit=2&cursor=${first.body.nextCursor}`);
+            assert.deepEqual(names(next), ['Facebook marketplace account', 'Aged Instagram account']);
+        } finally {
+            await t.getCollection('products').updateOne({ name: 'Format pack' }, { $set: { stock: 99 } });
+        }
+    });
+
+    it('rejects cursors from another sort and impossible price ranges', async () => {
+        const { nextCursor } = (await t.get('/products?sort=price_asc&limit=1')).body;
+
+        const mismatched = await t.get(`/products?sort=best_selling&cursor=${nextCursor}`);
+        assert.equal(mismatched.status, 400);
+        assert.match(mismatched.body.error, /Invalid cursor/);
+        assert.equal((await t.get('/products?cursor=not-a-cursor')).status, 400);
+
+        assert.equal((await t.get('/products?minPrice=5000&maxPrice=100')).status, 400);
+        assert.equal((await t.get('/products?sort=cheapest')).body.code, 'VALIDATION_ERROR');
+        assert.equal((await t.get('/products?limit=500')).body.code, 'VALIDATION_ERROR');
+    });
+
+    it('counts in-stock listings per category', async () => {
+        const res = await t.get('/products/categories');
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.map(c => c.category), ['Facebook', 'Instagram', 'TikTok', 'Twitter', 'Netflix', 'VPN', 'Pictures', 'Tools', 'Format']);
+
+        const count = (category) => res.body.find(c => c.category === category).count;
+        assert.equal(count('Instagram'), 3);
+        assert.equal(count('Netflix'), 0);
+        assert.equal(count('TikTok'), 0);
+    });
+
+    it('counts sales for the best-selling sort, including older listings', async () => {
+        const added = await t.post('/products/add', {
+            name: 'TikTok creator account',
+            category: 'TikTok',
+            price: 200,
+            credentials: 'a:1\nb:2'
+        }, { token: admin.token });
+        const productId = toObjectId(String(added.body.id));
+
+        const buyer = await t.createUser({ balance: 1000 });
+        assert.equal((await t.post('/products/purchase', { productId: String(productId) }, { token: buyer.token })).status, 200);
+        assert.equal((await t.getCollection('products').findOne({ _id: productId })).sold, 1);
+
+        // A listing from before the counter, with one past order
+        const legacyId = new ObjectId();
+        await t.getCollection('products').insertOne({ _id: legacyId, name: 'Old VPN', category: 'VPN', price: 100, stock: 1 });
+        await t.getCollection('orders').insertOne({ type: 'PRODUCT', product_id: String(legacyId), user_id: buyer.id, price: 100 });
+
+        const backfill = await t.post('/admin/catalogue/backfill-sales', {}, { token: admin.token });
+        assert.equal(backfill.status, 200);
+        assert.equal(backfill.body.updated, 1);
+        assert.equal((await t.getCollection('products').findOne({ _id: legacyId })).sold, 1);
+    });
+});
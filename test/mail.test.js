@@ -0,0 +1,93 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { startSmtpStub } = require('./support/stubs');
+const { SmtpTransport } = require('../services/mail/smtp');
+const { FileTransport } = require('../services/mail/file');
+const { MailError } = require('../services/mail');
+
+describe('mail transports', () => {
+    let smtp;
+    let dir;
+
+    before(async () => {
+        smtp = await startSmtpStub({ user: 'relay', pass: 's3cret' });
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mublog-mail-'));
+    });
+
+    after(async () => {
+        await smtp.close();
+        await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    const transport = (options = {}) => new SmtpTransport({
+        host: smtp.host,
+        port: smtp.port,
+        user: 'relay',
+        pass: 's3cret',
+        from: 'Mublog <no-reply@mublog.test>',
+        // The stub offers no STARTTLS
+        allowInsecureAuth: true,
+        ...options
+    });
+
+    it('delivers over SMTP with dot-stuffing and encoded subjects', async () => {
+        const result = await transport().send({
+            to: 'Ada <ada@example.com>',
+            subject: 'Wallet credited ₦500',
+            text: 'First line\n.hidden line\n..two dots'
+        });
+
+        assert.deepEqual(result.accepted, ['ada@example.com']);
+        const [message] = smtp.state.messages;
+        assert.deepEqual(message.to, ['ada@example.com']);
+        assert.match(message.data, /Subject: =\?UTF-8\?B\?[A-Za-z0-9+/=]+\?=/);
+        assert.match(message.data, /\r\n\r\nFirst line\r\n\.hidden line\r\n\.\.two dots\r\n$/);
+    });
+
+    it('falls back to AUTH LOGIN when PLAIN is not offered', async () => {
+        const loginOnly = await startSmtpStub({ user: 'relay', pass: 's3cret', authMethods: ['LOGIN'] });
+        try {
+            await transport({ port: loginOnly.port }).send({ to: 'b@example.com', subject: 'Hi', text: 'x' });
+            assert.equal(loginOnly.state.messages[0].auth, 'relay');
+        } finally {
+            await loginOnly.close();
+        }
+    });
+
+    it('never sends credentials unencrypted unless allowed', async () => {
+        const attempts = smtp.state.authAttempts;
+        const delivered = smtp.state.messages.length;
+
+        await assert.rejects(transport({ allowInsecureAuth: false }).send({ to: 'd@example.com', subject: 'Hi', text: 'x' }), err => {
+            assert.ok(err instanceof MailError);
+            assert.match(err.message, /offers no STARTTLS/);
+            return true;
+        });
+        assert.equal(smtp.state.authAttempts, attempts);
+        assert.equal(smtp.state.messages.length, delivered);
+    });
+
+    it('surfaces rejected credentials and messages as MailError', async () => {
+        await assert.rejects(transport({ pass: 'wrong' }).send({ to: 'c@example.com', subject: 'Hi', text: 'x' }), err => {
+            assert.ok(err instanceof MailError);
+            assert.match(err.message, /AUTH rejected: 535/);
+            return true;
+        });
+
+        smtp.state.rejectNext = true;
+        await assert.rejects(transport().send({ to: 'c@example.com', subject: 'Hi', text: 'x' }), /message rejected: 554/);
+
+        await assert.rejects(new SmtpTransport({ from: 'x@example.com' }).send({ to: 'c@example.com', subject: 'Hi', text: 'x' }), /SMTP_HOST missing/);
+    });
+
+    it('writes messages to disk with the file transport', async () => {
+        const result = await new FileTransport({ dir, from: 'no-reply@mublog.test' }).send({ to: 'd@example.com', subject: 'Saved', text: 'Link: https://example.com' });
+
+        const saved = await fs.readFile(result.file, 'utf8');
+        assert.match(saved, /^From: no-reply@mublog\.test\r\nTo: d@example\.com\r\nSubject: Saved\r\n/);
+        assert.match(saved, /Link: https:\/\/example\.com/);
+    });
+});
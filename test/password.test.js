@@ -0,0 +1,138 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const bcryptjs = require('bcryptjs');
+const { startTestApp } = require('./support/app');
+
+describe('password reset, email verification and password change', () => {
+    let t;
+
+    before(async () => {
+        t = await startTestApp();
+    });
+
+    after(() => t.close());
+
+    // createUser stores a placeholder hash; these tests need a real password
+    async function createUserWithPassword(password = 'OldPassw0rd') {
+        const user = await t.createUser();
+        await t.getCollection('users').updateOne({ _id: user.user._id }, { $set: { password: await bcryptjs.hash(password, 4) } });
+        return user;
+    }
+
+    // Only mail sent after the last markSeen() counts
+    let seen = 0;
+    const markSeen = () => { seen = t.stubs.smtp.state.messages.length; };
+    const mailTo = (email) => t.stubs.smtp.waitForMessage(m => m.to.includes(email) && t.stubs.smtp.state.messages.indexOf(m) >= seen);
+    const tokenIn = (message, page) => new RegExp(`https://app\\.mublog\\.test/${page}\\?token=([A-Za-z0-9_-]+)`).exec(message.data)[1];
+
+    it('answers forgot-password the same way for unknown addresses', async () => {
+        markSeen();
+        const res = await t.post('/auth/forgot-password', { email: 'nobody@example.com' });
+
+        assert.equal(res.status, 200);
+        assert.match(res.body.msg, /If an account exists/);
+        await new Promise(resolve => setTimeout(resolve, 100));
+        assert.equal(t.stubs.smtp.state.messages.length, seen);
+    });
+
+    it('resets a password with a single-use emailed link and signs out old sessions', async () => {
+        const user = await createUserWithPassword();
+        markSeen();
+
+        const requested = await t.post('/auth/forgot-password', { email: user.user.email });
+        assert.equal(requested.status, 200);
+
+        const email = await mailTo(user.user.email);
+        assert.equal(email.auth, 'test-smtp-user');
+        assert.equal(email.from, 'no-reply@mublog.test');
+        assert.match(email.data, /Subject: Reset your Mublog password/);
+        const token = tokenIn(email, 'reset-password.html');
+
+        // Only the hash is stored
+        const stored = await t.getCollection('auth_tokens').findOne({ user_id: user.id });
+        assert.notEqual(stored.token_hash, token);
+        assert.ok(!JSON.stringify(stored).includes(token));
+
+        const reset = await t.post('/auth/reset-password', { token, password: 'NewPassw0rd' });
+        assert.equal(reset.status, 200);
+
+        const reused = await t.post('/auth/reset-password', { token, password: 'OtherPassw0rd' });
+        assert.equal(reused.status, 400);
+
+        // The token issued before the reset no longer works
+        assert.equal((await t.get('/auth/me', { token: user.token })).status, 401);
+
+        const login = await t.post('/auth/login', { email: user.user.email, password: 'NewPassw0rd' });
+        assert.equal(login.status, 200);
+        assert.equal(login.body.user.email_verified, true);
+        assert.equal((await t.get('/auth/me', { token: login.body.token })).status, 200);
+
+        const notice = await t.stubs.smtp.waitForMessage(m => m.to.includes(user.user.email) && /password was changed/.test(m.data));
+        assert.ok(notice);
+    });
+
+    it('retires older and expired reset tokens', async () => {
+        const authTokens = require('../services/authTokens');
+        const user = await createUserWithPassword();
+        const purpose = authTokens.TOKEN_PURPOSES.PASSWORD_RESET;
+
+        const first = await authTokens.issue(user.user, purpose);
+        const second = await authTokens.issue(user.user, purpose);
+        assert.equal(await authTokens.consume(first, purpose), null);
+        assert.equal(await authTokens.consume(second, authTokens.TOKEN_PURPOSES.EMAIL_VERIFICATION), null);
+
+        await t.getCollection('auth_tokens').updateOne(
+            { token_hash: authTokens.hashToken(second) },
+            { $set: { expires_at: new Date(Date.now() - 1000) } }
+        );
+        assert.equal(await authTokens.consume(second, purpose), null);
+
+        const third = await authTokens.issue(user.user, purpose);
+        assert.equal((await authTokens.consume(third, purpose)).user_id, user.id);
+    });
+
+    it('confirms an email address from the emailed link', async () => {
+        const user = await createUserWithPassword();
+        markSeen();
+
+        assert.equal((await t.get('/auth/me', { token: user.token })).body.email_verified, false);
+
+        const sent = await t.post('/auth/resend-verification', {}, { token: user.token });
+        assert.equal(sent.status, 200);
+        const token = tokenIn(await mailTo(user.user.email), 'verify-email.html');
+
+        assert.equal((await t.post('/auth/verify-email', { token: 'not-a-real-token' })).status, 400);
+        assert.equal((await t.post('/auth/verify-email', { token })).status, 200);
+        assert.equal((await t.post('/auth/verify-email', { token })).status, 400);
+
+        assert.equal((await t.get('/auth/me', { token: user.token })).body.email_verified, true);
+        assert.equal((await t.post('/auth/resend-verification', {}, { token: user.token })).status, 400);
+    });
+
+    it('changes the password only with the current one and keeps the caller signed in', async () => {
+        const user = await createUserWithPassword();
+
+        const wrong = await t.post('/auth/change-password', { currentPassword: 'Nope1234', newPassword: 'BrandNew1' }, { token: user.token });
+        assert.equal(wrong.status, 400);
+        assert.equal(wrong.body.error, 'Current password is incorrect');
+
+        const changed = await t.post('/auth/change-password', { currentPassword: 'OldPassw0rd', newPassword: 'BrandNew1' }, { token: user.token });
+        assert.equal(changed.status, 200);
+
+        assert.equal((await t.get('/auth/me', { token: user.token })).status, 401);
+        assert.equal((await t.get('/auth/me', { token: changed.body.token })).status, 200);
+
+        const stored = await t.getCollection('users').findOne({ _id: user.user._id });
+        assert.ok(await bcryptjs.compare('BrandNew1', stored.password));
+
+        await t.stubs.smtp.waitForMessage(m => m.to.includes(user.user.email) && /password was changed/.test(m.data));
+    });
+
+    it('reports a mail server that refuses the message', async () => {
+        const user = await createUserWithPassword();
+        t.stubs.smtp.state.rejectNext = true;
+
+        const res = await t.post('/auth/resend-verification', {}, { token: user.token });
+        assert.equal(res.status, 502);
+    });
+});
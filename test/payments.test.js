@@ -0,0 +1,150 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./support/app');
+
+describe('Flutterwave payments', () => {
+    let t;
+    let flutterwave;
+    let nextTransactionId = 9000;
+
+    before(async () => {
+        t = await startTestApp();
+        flutterwave = t.stubs.flutterwave;
+    });
+
+    after(() => t.close());
+
+    // Starts a top-up and has the stub report it paid (overrides tweak the payment)
+    async function payTopup(user, amount, overrides = {}) {
+        const init = await t.post('/payments/flutterwave/init', { amount }, { token: user.token });
+        assert.equal(init.status, 200);
+
+        const transaction = {
+            id: nextTransactionId++,
+            tx_ref: init.body.tx_ref,
+            amount,
+            currency: 'NGN',
+            status: 'successful',
+            customer: { email: user.user.email },
+            ...overrides
+        };
+        flutterwave.addTransaction(transaction);
+        return transaction;
+    }
+
+    const verify = (user, transactionId, path = '/payments/flutterwave/verify') =>
+        t.post(path, { transaction_id: transactionId }, { token: user.token });
+
+    const webhook = (transactionId, hash = t.secrets.FLUTTERWAVE_SECRET_HASH) =>
+        t.post('/payments/flutterwave/webhook', { event: 'charge.completed', data: { id: transactionId, amount: 999999 } }, { headers: { 'verif-hash': hash } });
+
+    it('enforces the minimum top-up', async () => {
+        const user = await t.createUser();
+        const res = await t.post('/payments/flutterwave/init', { amount: 50 }, { token: user.token });
+        assert.equal(res.status, 400);
+    });
+
+    it('credits a verified payment once, however often it is replayed', async () => {
+        const user = await t.createUser();
+        const { id } = await payTopup(user, 2500);
+
+        const first = await verify(user, id);
+        assert.equal(first.status, 200);
+        assert.equal(first.body.message, 'Payment verified');
+        assert.equal(await t.getBalance(user.id), 2500);
+
+        const replay = await verify(user, id);
+        assert.equal(replay.body.message, 'Payment already credited');
+
+        const legacy = await verify(user, id, '/auth/verify-payment');
+        assert.equal(legacy.body.message, 'Payment already credited');
+
+        assert.equal((await webhook(id)).status, 200);
+        assert.equal(await t.getBalance(user.id), 2500);
+
+        const topups = await t.getCollection('ledger').find({ account: `wallet:${user.id}`, type: 'TOPUP' }).toArray();
+        assert.equal(topups.length, 1);
+    });
+
+    it('credits once when the webhook and verify race', async () => {
+        const user = await t.createUser();
+        const { id } = await payTopup(user, 1000);
+
+        const results = await Promise.all([verify(user, id), webhook(id), verify(user, id), webhook(id)]);
+
+        results.forEach(r => assert.equal(r.status, 200));
+        assert.equal(await t.getBalance(user.id), 1000);
+    });
+
+    it('leaves a payment whose credit failed to be finished by the next report', async () => {
+        const user = await t.createUser();
+        const { id, tx_ref } = await payTopup(user, 1200);
+
+        t.failNextInsert('ledger');
+        assert.equal((await verify(user, id)).status, 500);
+        assert.equal(await t.getBalance(user.id), 0);
+        assert.equal((await t.getCollection('transactions').findOne({ tx_ref })).status, 'pending');
+
+        assert.deepEqual((await webhook(id)).body, { status: 'processed' });
+        assert.equal(await t.getBalance(user.id), 1200);
+        assert.equal((await t.getCollection('transactions').findOne({ tx_ref })).status, 'successful');
+    });
+
+    it('credits the top-up from the webhook, re-fetching the amount from Flutterwave', async () => {
+        const user = await t.createUser();
+        const { id } = await payTopup(user, 1500);
+
+        const res = await webhook(id);
+
+        assert.deepEqual(res.body, { status: 'processed' });
+        assert.equal(await t.getBalance(user.id), 1500);
+    });
+
+    it('rejects webhooks without the right signature', async () => {
+        const user = await t.createUser();
+        const { id } = await payTopup(user, 1500);
+
+        assert.equal((await webhook(id, 'wrong-hash-value')).status, 401);
+        // Same number of characters, more bytes
+        const multibyte = 'é'.repeat(t.secrets.FLUTTERWAVE_SECRET_HASH.length);
+        assert.equal((await t.post('/payments/flutterwave/webhook', { event: 'charge.completed', data: { id } }, { headers: { 'verif-hash': multibyte } })).status, 401);
+        assert.equal((await t.post('/payments/flutterwave/webhook', { event: 'charge.completed', data: { id } })).status, 401);
+        assert.equal(await t.getBalance(user.id), 0);
+    });
+
+    it('flags payments that do not match the top-up', async () => {
+        const user = await t.createUser();
+        const { id, tx_ref } = await payTopup(user, 5000, { amount: 100 });
+
+        const res = await verify(user, id);
+
+        assert.equal(res.status, 400);
+        assert.equal(await t.getBalance(user.id), 0);
+        const row = await t.getCollection('transactions').findOne({ tx_ref });
+        assert.equal(row.status, 'flagged');
+        assert.match(row.failure_reason, /Amount mismatch/);
+    });
+
+    it('refuses failed payments and payments made for someone else', async () => {
+        const owner = await t.createUser();
+        const other = await t.createUser();
+
+        const failed = await payTopup(owner, 1000, { status: 'failed' });
+        assert.equal((await verify(owner, failed.id)).status, 400);
+
+        const paid = await payTopup(owner, 1000);
+        const stolen = await verify(other, paid.id);
+        assert.equal(stolen.status, 400);
+        assert.equal(stolen.body.error, 'Payment does not belong to this account');
+
+        assert.equal(await t.getBalance(owner.id), 0);
+        assert.equal(await t.getBalance(other.id), 0);
+    });
+
+    it('fails verification for transactions Flutterwave does not know', async () => {
+        const user = await t.createUser();
+        const res = await verify(user, 123456789);
+        assert.equal(res.status, 500);
+        assert.equal(res.body.error, 'Verification failed');
+    });
+});
@@ -0,0 +1,187 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { toObjectId } = require('../config/db');
+const { startTestApp } = require('./support/app');
+const inventory = require('../services/inventory');
+
+describe('product purchase', () => {
+    let t;
+    let admin;
+
+    before(async () => {
+        t = await startTestApp();
+        admin = await t.createUser({ role: 'admin' });
+    });
+
+    after(() => t.close());
+
+    async function addProduct({ price = 500, units = 3, category = 'Instagram', ...extra } = {}) {
+        const credentials = Array.from({ length: units }, (_, i) => `login${i}:pass${i}`).join('\n');
+        const res = await t.post('/products/add', {
+            name: `Aged account ${price}`,
+            category,
+            price,
+            public_link: 'https://example.com/guide',
+            credentials,
+            ...extra
+        }, { token: admin.token });
+        assert.equal(res.status, 200);
+        return String(res.body.id);
+    }
+
+    const stockOf = async (productId) => (await t.getCollection('products').findOne({ _id: toObjectId(productId) })).stock;
+
+    it('lists a per-unit product with one unit per credentials line', async () => {
+        const productId = await addProduct({ units: 2 });
+
+        assert.equal(await stockOf(productId), 2);
+
+        const listed = await t.get('/products/category/Instagram');
+        assert.equal(listed.status, 200);
+        const product = listed.body.find(p => String(p._id) === productId);
+        assert.equal(product.stock, 2);
+        assert.equal(product.credentials, undefined);
+    });
+
+    it('sells a unit, debits the wallet and records the order', async () => {
+        const productId = await addProduct({ price: 700, units: 2 });
+        const buyer = await t.createUser({ balance: 1000 });
+
+        const res = await t.post('/products/purchase', { productId }, { token: buyer.token });
+
+        assert.equal(res.status, 200);
+        assert.match(res.body.details, /^LOGIN: login0:pass0/);
+        assert.equal(await t.getBalance(buyer.id), 300);
+        assert.equal(await stockOf(productId), 1);
+
+        const history = await t.get('/orders?type=PRODUCT', { token: buyer.token });
+        assert.equal(history.body.orders.length, 1);
+        assert.equal(history.body.orders[0].price, 700);
+
+        const ledger = await t.getCollection('ledger').find({ account: `wallet:${buyer.id}` }).toArray();
+        assert.equal(ledger.length, 1);
+        assert.equal(ledger[0].amount, -700);
+    });
+
+    it('refuses a purchase the balance cannot cover and keeps the unit', async () => {
+        const productId = await addProduct({ price: 900, units: 1 });
+        const buyer = await t.createUser({ balance: 100 });
+
+        const res = await t.post('/products/purchase', { productId }, { token: buyer.token });
+
+        assert.equal(res.status, 400);
+        assert.match(res.body.error, /insufficient/i);
+        assert.equal(await t.getBalance(buyer.id), 100);
+        assert.equal(await stockOf(productId), 1);
+    });
+
+    it('refuses a purchase once the product is out of stock', async () => {
+        const productId = await addProduct({ price: 100, units: 1 });
+        const first = await t.createUser({ balance: 1000 });
+        const second = await t.createUser({ balance: 1000 });
+
+        assert.equal((await t.post('/products/purchase', { productId }, { token: first.token })).status, 200);
+
+        const res = await t.post('/products/purchase', { productId }, { token: second.token });
+        assert.equal(res.status, 400);
+        assert.equal(res.body.error, 'Product out of stock');
+        assert.equal(await t.getBalance(second.id), 1000);
+    });
+
+    it('returns 404 for an unknown product', async () => {
+        const buyer = await t.createUser({ balance: 1000 });
+        const res = await t.post('/products/purchase', { productId: '64b7f0c2a1b2c3d4e5f60718' }, { token: buyer.token });
+        assert.equal(res.status, 404);
+    });
+
+    it('never sells more units than exist under parallel purchases', async () => {
+        const productId = await addProduct({ price: 200, units: 3 });
+        const buyers = await Promise.all(Array.from({ length: 8 }, () => t.createUser({ balance: 1000 })));
+
+        const results = await Promise.all(buyers.map(b => t.post('/products/purchase', { productId }, { token: b.token })));
+
+        const sold = results.filter(r => r.status === 200);
+        const refused = results.filter(r => r.status === 400);
+        assert.equal(sold.length, 3);
+        assert.equal(refused.length, 5);
+        refused.forEach(r => assert.equal(r.body.error, 'Product out of stock'));
+
+        // Every sold unit is distinct and every refused buyer kept their money
+        assert.equal(new Set(sold.map(r => r.body.details)).size, 3);
+        assert.equal(await stockOf(productId), 0);
+        const balances = await Promise.all(buyers.map(b => t.getBalance(b.id)));
+        assert.equal(balances.filter(b => b === 800).length, 3);
+        assert.equal(balances.filter(b => b === 1000).length, 5);
+    });
+
+    it('never overspends a wallet under parallel purchases', async () => {
+        const productId = await addProduct({ price: 300, units: 10 });
+        const buyer = await t.createUser({ balance: 1000 });
+
+        const results = await Promise.all(Array.from({ length: 6 }, () =>
+            t.post('/products/purchase', { productId }, { token: buyer.token })));
+
+        assert.equal(results.filter(r => r.status === 200).length, 3);
+        assert.equal(await t.getBalance(buyer.id), 100);
+        // Units claimed by refused purchases go back on sale
+        assert.equal(await stockOf(productId), 7);
+    });
+
+    it('keeps stock equal to the units on sale when claims and releases overlap', async () => {
+        const productId = await addProduct({ price: 100, units: 6 });
+        const held = await Promise.all([0, 1, 2].map(i => inventory.claimItem(productId, { orderId: `held-${i}`, userId: 'u' })));
+
+        // The first release's count is slow to come back, so a recount-and-
+        // overwrite would land after the other claims and releases
+        const items = t.getCollection('product_items');
+        const countDocuments = items.countDocuments;
+        let slow = true;
+        items.countDocuments = async function (...args) {
+            const count = await countDocuments.apply(this, args);
+            if (slow) {
+                slow = false;
+                await new Promise(resolve => setTimeout(resolve, 20));
+            }
+            return count;
+        };
+        const first = inventory.releaseItem(held[0]);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        await Promise.all([
+            first,
+            ...held.slice(1).map(item => inventory.releaseItem(item)),
+            ...[0, 1, 2, 3].map(i => inventory.claimItem(productId, { orderId: `new-${i}`, userId: 'u' }))
+        ]).finally(() => { items.countDocuments = countDocuments; });
+
+        const onSale = await t.getCollection('product_items').countDocuments({
+            product_id: productId, status: inventory.ITEM_STATUS.AVAILABLE
+        });
+        assert.equal(onSale, 2);
+        assert.equal(await stockOf(productId), onSale);
+    });
+
+    it('gives back the money and the unit when the order cannot be saved', async () => {
+        const productId = await addProduct({ price: 250, units: 1 });
+        const buyer = await t.createUser({ balance: 1000 });
+
+        t.failNextInsert('orders');
+        const failed = await t.post('/products/purchase', { productId }, { token: buyer.token });
+
+        assert.equal(failed.status, 500);
+        assert.equal(await t.getBalance(buyer.id), 1000);
+        assert.equal(await stockOf(productId), 1);
+
+        // The released unit sells normally afterwards
+        assert.equal((await t.post('/products/purchase', { productId }, { token: buyer.token })).status, 200);
+        assert.equal(await t.getBalance(buyer.id), 750);
+    });
+
+    it('keeps selling permanent listings without touching stock', async () => {
+        const productId = await addProduct({ price: 50, category: 'Tools', units: 1, stock: 5 });
+        const buyer = await t.createUser({ balance: 200 });
+
+        assert.equal((await t.post('/products/purchase', { productId }, { token: buyer.token })).status, 200);
+        assert.equal((await t.post('/products/purchase', { productId }, { token: buyer.token })).status, 200);
+        assert.equal(await stockOf(productId), 5);
+        assert.equal(await t.getBalance(buyer.id), 100);
+    });
+});
@@ -0,0 +1,182 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const bcryptjs = require('bcryptjs');
+const { startTestApp } = require('./support/app');
+
+describe('rate limiting', () => {
+    let t;
+
+    before(async () => {
+        // As on Render: one proxy hop in front of the app
+        process.env.TRUST_PROXY = '1';
+        t = await startTestApp();
+    });
+
+    after(() => t.close());
+
+    // Each test comes from its own addresses, so budgets don't leak between them
+    const from = (ip) => ({ headers: { 'X-Forwarded-For': ip } });
+
+    it('limits each client IP on its own and sends the standard headers', async () => {
+        const attempt = (ip) => t.post('/auth/register', { username: 'x' }, from(ip));
+
+        for (let remaining = 4; remaining >= 0; remaining--) {
+            const res = await attempt('203.0.113.10');
+            assert.equal(res.status, 400);
+            assert.equal(res.headers.get('ratelimit-limit'), '5');
+            assert.equal(res.headers.get('ratelimit-remaining'), String(remaining));
+            assert.equal(res.headers.get('ratelimit-policy'), '5;w=3600');
+        }
+
+        const limited = await attempt('203.0.113.10');
+        assert.equal(limited.status, 429);
+        const retryAfter = Number(limited.headers.get('retry-after'));
+        assert.ok(retryAfter > 3500 && retryAfter <= 3600, `Retry-After ${retryAfter}`);
+        assert.equal(limited.body.retryAfter, retryAfter);
+
+        assert.equal((await attempt('203.0.113.11')).status, 400);
+
+        // Stored, not held in the process
+        const stored = await t.getCollection('rate_limits').findOne({ _id: 'register:ip:203.0.113.10' });
+        assert.equal(stored.count, 6);
+
+        const general = await t.get('/announcement', from('203.0.113.10'));
+        assert.equal(general.status, 200);
+        assert.equal(general.headers.get('ratelimit-limit'), '120');
+    });
+
+    it('limits an account however many addresses the requests come from', async () => {
+        const forgot = (ip) => t.post('/auth/forgot-password', { email: 'Target@Example.com' }, from(ip));
+
+        for (const ip of ['198.51.100.1', '198.51.100.2', '198.51.100.3']) {
+            assert.equal((await forgot(ip)).status, 200);
+        }
+        const limited = await forgot('198.51.100.4');
+        assert.equal(limited.status, 429);
+        assert.equal(limited.headers.get('ratelimit-policy'), '5;w=3600, 3;w=3600');
+        assert.equal(limited.headers.get('ratelimit-remaining'), '0');
+    });
+
+    it('limits signed-in users per account on authenticated routes', async () => {
+        const user = await t.createUser();
+        const change = (ip) => t.post('/auth/change-password', { currentPassword: 'Wrong000!', newPassword: 'NewPassw0rd' }, { ...from(ip), token: user.token });
+
+        // A new address each time, so only the account rule can stop it
+        for (let i = 1; i <= 5; i++) {
+            const res = await change(`192.0.2.${100 + i}`);
+            assert.equal(res.status, 400);
+            assert.equal(res.headers.get('ratelimit-policy'), '5;w=900');
+        }
+        const limited = await change('192.0.2.106');
+        assert.equal(limited.status, 429);
+        assert.ok(await t.getCollection('rate_limits').findOne({ _id: `changePassword:account:${user.id}` }));
+    });
+
+    it('locks password login progressively after repeated failures', async () => {
+        const user = await t.createUser();
+        await t.getCollection('users').updateOne({ _id: user.user._id }, { $set: { password: await bcryptjs.hash('Passw0rd!', 4) } });
+        const login = (password) => t.post('/auth/login', { email: user.user.email, password }, from('192.0.2.20'));
+        const lock = () => t.getCollection('rate_limits').findOne({ _id: `login-lock:${user.user.email}:192.0.2.20` });
+
+        for (let i = 0; i < 5; i++) {
+            assert.equal((await login('Wrong000!')).status, 400);
+        }
+
+        // Even the right password waits out the lock
+        const locked = await login('Passw0rd!');
+        assert.equal(locked.status, 429);
+        assert.match(locked.body.error, /Try again in 1 minute/);
+        assert.ok(Number(locked.headers.get('retry-after')) <= 60);
+
+        // Once it runs out, the next wrong password locks for twice as long
+        await t.getCollection('rate_limits').updateOne({ _id: `login-lock:${user.user.email}:192.0.2.20` }, { $set: { reset_at: new Date(Date.now() - 1000) } });
+        assert.equal((await login('Wrong000!')).status, 400);
+        const longer = await lock();
+        assert.ok(longer.reset_at - Date.now() > 60 * 1000);
+
+        await t.getCollection('rate_limits').updateOne({ _id: `login-lock:${user.user.email}:192.0.2.20` }, { $set: { reset_at: new Date(Date.now() - 1000) } });
+        assert.equal((await login('Passw0rd!')).status, 200);
+
+        // Success wipes the slate
+        assert.equal((await login('Wrong000!')).status, 400);
+        assert.equal(await lock(), null);
+        assert.equal((await login('Passw0rd!')).status, 200);
+    });
+
+    it('locks out only the address the wrong passwords came from', async () => {
+        const user = await t.createUser();
+        await t.getCollection('users').updateOne({ _id: user.user._id }, { $set: { password: await bcryptjs.hash('Passw0rd!', 4) } });
+        const login = (password, ip) => t.post('/auth/login', { email: user.user.email, password }, from(ip));
+
+        for (let i = 0; i < 5; i++) {
+            assert.equal((await login('Wrong000!', '192.0.2.40')).status, 400);
+        }
+        assert.equal((await login('Passw0rd!', '192.0.2.40')).status, 429);
+
+        // Knowing the email isn't enough to keep its owner out
+        assert.equal((await login('Passw0rd!', '192.0.2.41')).status, 200);
+    });
+
+    it('lets requests through when the store is down', async () => {
+        const { registerRateLimitStore } = require('../services/rateLimit');
+        const failing = () => Promise.reject(new Error('store unavailable'));
+        registerRateLimitStore('broken', { increment: failing, get: failing, set: failing, delete: failing });
+
+        process.env.RATE_LIMIT_STORE = 'broken';
+        try {
+            const res = await t.get('/announcement', from('192.0.2.30'));
+            assert.equal(res.status, 200);
+            assert.equal(res.headers.get('ratelimit-limit'), null);
+        } finally {
+            delete process.env.RATE_LIMIT_STORE;
+        }
+    });
+
+    describe('stores', () => {
+        // The Mongo store runs on the app's in-memory database
+        const { MemoryStore, MongoStore } = require('../services/rateLimit');
+        const { lockDuration, MAX_LOCK_MS } = require('../services/loginLockout');
+
+        const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+        for (const [name, create] of [['memory', () => new MemoryStore()], ['mongo', () => new MongoStore()]]) {
+            it(`counts within a window and starts over after it (${name})`, async () => {
+                const store = create();
+
+                const first = await store.increment('k', 50);
+                assert.equal(first.count, 1);
+                const second = await store.increment('k', 50);
+                assert.equal(second.count, 2);
+                assert.equal(second.resetAt, first.resetAt, 'the window opens on the first hit');
+                assert.equal((await store.get('k')).count, 2);
+
+                await sleep(60);
+                assert.equal(await store.get('k'), null);
+                assert.equal((await store.increment('k', 50)).count, 1);
+
+                await store.set('lock', 7, 1000);
+                assert.equal((await store.get('lock')).count, 7);
+                await store.delete('lock');
+                assert.equal(await store.get('lock'), null);
+
+                if (store.close) store.close();
+            });
+        }
+
+        it('sweeps idle keys out of memory', async () => {
+            const store = new MemoryStore();
+            await store.increment('idle', 10);
+            await sleep(20);
+            store.sweep();
+            assert.equal(store.entries.size, 0);
+            store.close();
+        });
+
+        it('doubles the lockout with each failure, up to an hour', () => {
+            assert.equal(lockDuration(5), 60 * 1000);
+            assert.equal(lockDuration(6), 2 * 60 * 1000);
+            assert.equal(lockDuration(8), 8 * 60 * 1000);
+            assert.equal(lockDuration(30), MAX_LOCK_MS);
+        });
+    });
+});
@@ -0,0 +1,190 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const bcryptjs = require('bcryptjs');
+const { toObjectId } = require('../config/db');
+const { startTestApp } = require('./support/app');
+
+describe('sessions, refresh tokens and logout', () => {
+    let t;
+    let admin;
+    let sessions;
+
+    before(async () => {
+        t = await startTestApp();
+        admin = await t.createUser({ role: 'admin' });
+        sessions = require('../services/sessions');
+    });
+
+    after(() => t.close());
+
+    const payloadOf = (token) => JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString('utf8'));
+    const findSession = (id) => t.getCollection('sessions').findOne({ _id: toObjectId(id) });
+    const me = (token) => t.get('/auth/me', { token });
+
+    // A second device for an existing user
+    async function signInAgain(user) {
+        const { createAccessToken } = require('../middleware/auth');
+        const { session, refreshToken } = await sessions.create(user.user, { ip: '10.0.0.2', userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) Safari/604.1' });
+        return { token: createAccessToken(user.user, session), refreshToken, sid: String(session._id) };
+    }
+
+    it('logs in with a short-lived access token and a refresh token', async () => {
+        const user = await t.createUser();
+        await t.getCollection('users').updateOne({ _id: user.user._id }, { $set: { password: await bcryptjs.hash('Passw0rd!', 4) } });
+
+        const res = await t.request('POST', '/auth/login', {
+            body: { email: user.user.email, password: 'Passw0rd!' },
+            headers: { 'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) Chrome/120.0 Safari/537.36' }
+        });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.expiresIn, 15 * 60);
+
+        const payload = payloadOf(res.body.token);
+        assert.equal(payload.exp - payload.iat, 15 * 60);
+        assert.match(res.body.refreshToken, new RegExp(`^${payload.sid}\\.`));
+
+        const stored = await findSession(payload.sid);
+        assert.equal(stored.device, 'Chrome on Windows');
+        assert.ok(!JSON.stringify(stored).includes(res.body.refreshToken.split('.')[1]));
+    });
+
+    it('rotates refresh tokens and revokes the session when an old one is replayed', async () => {
+        const user = await t.createUser();
+        const sid = payloadOf(user.token).sid;
+
+        const first = await t.post('/auth/refresh', { refreshToken: user.refreshToken });
+        assert.equal(first.status, 200);
+        assert.notEqual(first.body.refreshToken, user.refreshToken);
+        assert.equal((await me(first.body.token)).status, 200);
+
+        // Another tab racing with the same token just loses
+        const raced = await t.post('/auth/refresh', { refreshToken: user.refreshToken });
+        assert.equal(raced.status, 401);
+        assert.equal((await findSession(sid)).revoked_at, null);
+
+        // Later, the same replay looks like a stolen token
+        await t.getCollection('sessions').updateOne({ _id: toObjectId(sid) }, { $set: { rotated_at: new Date(Date.now() - 60 * 1000) } });
+        const replayed = await t.post('/auth/refresh', { refreshToken: user.refreshToken });
+        assert.equal(replayed.status, 401);
+        assert.equal((await findSession(sid)).revoked_reason, 'refresh_token_reuse');
+
+        assert.equal((await me(first.body.token)).status, 401);
+        assert.equal((await t.post('/auth/refresh', { refreshToken: first.body.refreshToken })).status, 401);
+        assert.equal((await t.post('/auth/refresh', { refreshToken: 'garbage' })).status, 401);
+    });
+
+    it('lists sessions per device and signs out a chosen one', async () => {
+        const user = await t.createUser();
+        const phone = await signInAgain(user);
+
+        const list = await t.get('/auth/sessions', { token: user.token });
+        assert.equal(list.status, 200);
+        assert.equal(list.body.length, 2);
+        assert.deepEqual(list.body.map(s => s.current).sort(), [false, true]);
+        assert.equal(list.body.find(s => s.id === phone.sid).device, 'Safari on iPhone');
+        assert.ok(list.body.every(s => s.refresh_hash === undefined));
+
+        // Not someone else's
+        const other = await t.createUser();
+        assert.equal((await t.del(`/auth/sessions/${phone.sid}`, { token: other.token })).status, 404);
+        assert.equal((await t.del('/auth/sessions/not-an-id', { token: user.token })).status, 404);
+
+        const revoked = await t.del(`/auth/sessions/${phone.sid}`, { token: user.token });
+        assert.equal(revoked.status, 200);
+        assert.equal(revoked.body.current, false);
+
+        assert.equal((await me(phone.token)).status, 401);
+        assert.equal((await t.post('/auth/refresh', { refreshToken: phone.refreshToken })).status, 401);
+        assert.equal((await me(user.token)).status, 200);
+    });
+
+    it('logs out this device or every device', async () => {
+        const user = await t.createUser();
+        const laptop = await signInAgain(user);
+        const tablet = await signInAgain(user);
+
+        assert.equal((await t.post('/auth/logout', {}, { token: laptop.token })).status, 200);
+        assert.equal((await me(laptop.token)).status, 401);
+        assert.equal((await me(user.token)).status, 200);
+
+        const all = await t.post('/auth/logout-all', {}, { token: tablet.token });
+        assert.equal(all.status, 200);
+        assert.equal(all.body.revoked, 2);
+        assert.equal((await me(user.token)).status, 401);
+        assert.equal((await me(tablet.token)).status, 401);
+    });
+
+    it('lets staff force a user out with an audited reason', async () => {
+        const user = await t.createUser();
+        const phone = await signInAgain(user);
+
+        assert.equal((await t.post(`/auth/user/${user.id}/logout`, { reason: 'Compromised' }, { token: phone.token })).status, 403);
+        assert.equal((await t.post(`/auth/user/${user.id}/logout`, {}, { token: admin.token })).status, 400);
+
+        const res = await t.post(`/auth/user/${user.id}/logout`, { reason: 'Reported a stolen phone' }, { token: admin.token });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.revoked, 2);
+        assert.equal((await me(user.token)).status, 401);
+        assert.equal((await t.post('/auth/refresh', { refreshToken: phone.refreshToken })).status, 401);
+
+        const entry = await t.getCollection('audit_log').findOne({ action: 'user.force_logout', 'target.id': user.id });
+        assert.equal(entry.reason, 'Reported a stolen phone');
+        assert.deepEqual(entry.before, { sessions: 2 });
+    });
+
+    it('refuses to refresh a suspended account until it is reinstated', async () => {
+        const user = await t.createUser();
+        const setStatus = (body) => t.put(`/auth/user/${user.id}/status`, body, { token: admin.token });
+
+        await setStatus({ status: 'suspended', reason: 'Chargeback under review' });
+        const blocked = await t.post('/auth/refresh', { refreshToken: user.refreshToken });
+        assert.equal(blocked.status, 403);
+        assert.equal(blocked.body.status, 'suspended');
+
+        await setStatus({ status: 'active', reason: 'Chargeback withdrawn' });
+        assert.equal((await t.post('/auth/refresh', { refreshToken: user.refreshToken })).status, 200);
+    });
+});
+
+describe('JWT secret', () => {
+    const { secretProblem, createToken, verifyToken } = require('../middleware/auth');
+
+    it('rejects missing, placeholder and short secrets', () => {
+        assert.equal(secretProblem(''), 'JWT_SECRET is not set');
+        assert.equal(secretProblem('your_secret_key'), 'JWT_SECRET is a placeholder value');
+        assert.match(secretProblem('short-but-random'), /at least 32 characters/);
+        assert.equal(secretProblem('k3Vq9x2LrT8wYb5NzH1dFj6sMp0cAe4G'), null);
+    });
+
+    it('refuses to sign or verify tokens without a real secret', () => {
+        const configured = process.env.JWT_SECRET;
+        process.env.JWT_SECRET = 'k3Vq9x2LrT8wYb5NzH1dFj6sMp0cAe4G';
+        const token = createToken({ userId: 'abc' });
+        assert.equal(verifyToken(token).userId, 'abc');
+
+        try {
+            for (const secret of [undefined, 'your_secret_key']) {
+                if (secret === undefined) delete process.env.JWT_SECRET;
+                else process.env.JWT_SECRET = secret;
+
+                assert.throws(() => createToken({ userId: 'abc' }), /JWT_SECRET/);
+                assert.equal(verifyToken(token), null);
+            }
+        } finally {
+            if (configured === undefined) delete process.env.JWT_SECRET;
+            else process.env.JWT_SECRET = configured;
+        }
+    });
+
+    it('keeps the server from starting without a real secret', () => {
+        const result = spawnSync(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+            env: { ...process.env, JWT_SECRET: 'your_secret_key', DB_DRIVER: 'memory', PORT: '0' },
+            encoding: 'utf8',
+            timeout: 10000
+        });
+        assert.equal(result.status, 1);
+        assert.match(result.stderr, /Server not started - JWT_SECRET is a placeholder value/);
+    });
+});
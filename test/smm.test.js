@@ -0,0 +1,220 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./support/app');
+
+describe('SMM orders', () => {
+    let t;
+    let smm;
+    let admin;
+
+    before(async () => {
+        t = await startTestApp();
+        smm = t.stubs.smm;
+        admin = await t.createUser({ role: 'admin' });
+
+        const refreshed = await t.post('/admin/smm/services/refresh', {}, { token: admin.token });
+        assert.equal(refreshed.status, 200);
+        assert.equal(refreshed.body.services, 2);
+    });
+
+    after(() => t.close());
+
+    const placeOrder = (user, body) => t.post('/smm/order', body, { token: user.token });
+    const findOrder = (providerOrderId) => t.getCollection('orders').findOne({ provider_order_id: String(providerOrderId) });
+
+    it('lists the catalogue with our selling rate', async () => {
+        const res = await t.get('/smm/live-services');
+
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.map(s => s.id), ['1', '2']);
+        assert.ok(res.body[0].rate > 100, 'rate carries the markup');
+    });
+
+    it('places an order with the panel and debits the wallet', async () => {
+        const user = await t.createUser({ balance: 1000 });
+
+        const res = await placeOrder(user, { service: 1, link: 'https://instagram.com/someone', quantity: 100 });
+
+        assert.equal(res.status, 200);
+        const remote = smm.state.orders.get(String(res.body.providerOrderId));
+        assert.equal(remote.quantity, 100);
+
+        const order = await findOrder(res.body.providerOrderId);
+        assert.equal(res.body.orderId, String(order._id));
+        assert.equal(order.status, 'PENDING');
+        assert.equal(await t.getBalance(user.id), 1000 - order.price);
+    });
+
+    it('checks quantity limits and link format before charging', async () => {
+        const user = await t.createUser({ balance: 1000 });
+
+        const tooFew = await placeOrder(user, { service: 1, link: 'https://instagram.com/someone', quantity: 5 });
+        assert.equal(tooFew.status, 400);
+        assert.equal(tooFew.body.error, 'Minimum quantity for this service is 10');
+
+        const badLink = await placeOrder(user, { service: 1, link: 'instagram.com/someone', quantity: 100 });
+        assert.equal(badLink.status, 400);
+
+        const unknown = await placeOrder(user, { service: 99, link: 'https://instagram.com/someone', quantity: 100 });
+        assert.equal(unknown.status, 400);
+        assert.equal(unknown.body.error, 'Service not found');
+
+        assert.equal(await t.getBalance(user.id), 1000);
+    });
+
+    it('refuses an order too small to cost anything', async () => {
+        const user = await t.createUser({ balance: 1000 });
+        const placed = smm.state.orders.size;
+        await t.getCollection('smm_services').updateOne({ service_id: '2' }, { $set: { rate_override: 0.01 } });
+
+        try {
+            const res = await placeOrder(user, { service: 2, link: 'https://example.com', quantity: 100 });
+            assert.equal(res.status, 400);
+            assert.equal(res.body.error, 'Quantity is too low for this service');
+        } finally {
+            await t.getCollection('smm_services').updateOne({ service_id: '2' }, { $unset: { rate_override: '' } });
+        }
+
+        assert.equal(smm.state.orders.size, placed);
+        assert.equal(await t.getBalance(user.id), 1000);
+    });
+
+    it('refuses an order the balance cannot cover', async () => {
+        const user = await t.createUser({ balance: 1 });
+        const placed = smm.state.orders.size;
+
+        const res = await placeOrder(user, { service: 1, link: 'https://instagram.com/someone', quantity: 1000 });
+
+        assert.equal(res.status, 400);
+        assert.equal(res.body.error, 'Insufficient balance');
+        assert.equal(smm.state.orders.size, placed);
+    });
+
+    it('gives the money back when the panel rejects the order', async () => {
+        const user = await t.createUser({ balance: 1000 });
+        smm.state.services[0].service = 100;
+
+        try {
+            const res = await placeOrder(user, { service: 1, link: 'https://instagram.com/someone', quantity: 100 });
+            assert.equal(res.status, 400);
+            assert.equal(res.body.error, 'Incorrect service ID');
+        } finally {
+            smm.state.services[0].service = 1;
+        }
+
+        assert.equal(await t.getBalance(user.id), 1000);
+    });
+
+    it('queues the panel order for reconciliation when it cannot be recorded', async () => {
+        const user = await t.createUser({ balance: 1000 });
+
+        t.failNextInsert('orders');
+        const res = await placeOrder(user, { service: 1, link: 'https://instagram.com/someone', quantity: 100 });
+
+        assert.equal(res.status, 500);
+        assert.equal(await t.getBalance(user.id), 1000);
+
+        const placed = [...smm.state.orders.keys()].pop();
+        const issue = await t.getCollection('smm_reconciliation').findOne({ provider_order_id: placed });
+        assert.equal(issue.user_id, user.id);
+        assert.equal(issue.status, 'OPEN');
+        assert.equal(await findOrder(placed), null);
+
+        // Admins see it and close it out once the panel is dealt with
+        const asAdmin = { token: admin.token };
+        const open = await t.get('/admin/smm/reconciliation', asAdmin);
+        assert.deepEqual(open.body.map(i => i.provider_order_id), [placed]);
+
+        const resolved = await t.post(`/admin/smm/reconciliation/${issue._id}/resolve`, { note: 'Cancelled by panel support' }, asAdmin);
+        assert.equal(resolved.status, 200);
+        assert.deepEqual((await t.get('/admin/smm/reconciliation', asAdmin)).body, []);
+        assert.equal((await t.post(`/admin/smm/reconciliation/${issue._id}/resolve`, {}, asAdmin)).status, 404);
+
+        const logged = await t.getCollection('audit_log').findOne({ action: 'smm_issue.resolve' });
+        assert.equal(logged.reason, 'Cancelled by panel support');
+    });
+
+    it('syncs status from the panel and refunds the undelivered share', async () => {
+        const { createSmmStatusWorker } = require('../services/smmStatus');
+        const { getSmmClient } = require('../services/smm');
+
+        const user = await t.createUser({ balance: 1000 });
+        const res = await placeOrder(user, { service: 1, link: 'https://instagram.com/someone', quantity: 200 });
+        const { price } = await findOrder(res.body.providerOrderId);
+
+        Object.assign(smm.state.orders.get(String(res.body.providerOrderId)), { status: 'Partial', start_count: '40', remains: '50' });
+
+        const worker = createSmmStatusWorker({ client: getSmmClient() });
+        await worker.runOnce();
+        await worker.runOnce();
+
+        const order = await findOrder(res.body.providerOrderId);
+        assert.equal(order.status, 'PARTIAL');
+        assert.equal(order.start_count, 40);
+        assert.equal(order.refund_amount, price / 4);
+        assert.equal(await t.getBalance(user.id), 1000 - price + price / 4);
+    });
+
+    it('ignores a panel status that would move an order backwards, logging it once', async () => {
+        const { createSmmStatusWorker } = require('../services/smmStatus');
+
+        const user = await t.createUser({ balance: 1000 });
+        const res = await placeOrder(user, { service: 1, link: 'https://instagram.com/someone', quantity: 100 });
+        const order = await findOrder(res.body.providerOrderId);
+        await t.getCollection('orders').updateOne({ _id: order._id }, { $set: { status: 'IN_PROGRESS' } });
+
+        const client = { status: async (ids) => Object.fromEntries(ids.map(id => [id, { status: 'PENDING', startCount: null, remains: 40 }])) };
+        const worker = createSmmStatusWorker({ client });
+
+        const logged = [];
+        const { log, error } = console;
+        console.log = console.error = (...args) => logged.push(args.join(' '));
+        try {
+            await worker.runOnce();
+            await worker.runOnce();
+        } finally {
+            Object.assign(console, { log, error });
+        }
+
+        const synced = await findOrder(res.body.providerOrderId);
+        assert.equal(synced.status, 'IN_PROGRESS');
+        assert.equal(synced.remains, 40);
+        assert.equal(logged.filter(line => line.includes(String(order._id))).length, 1);
+    });
+
+    it('pays a stranded refund once when sweeps on two instances race', async () => {
+        const { createSmmStatusWorker } = require('../services/smmStatus');
+
+        const user = await t.createUser({ balance: 1000 });
+        const res = await placeOrder(user, { service: 1, link: 'https://instagram.com/someone', quantity: 100 });
+        const order = await findOrder(res.body.providerOrderId);
+        await t.getCollection('orders').updateOne({ _id: order._id }, { $set: { status: 'CANCELLED', refund_pending: true, refund_amount: order.price } });
+
+        // A panel that answers at once, so both sweeps reach the refund together
+        const client = { status: async () => ({}) };
+        const workers = [createSmmStatusWorker({ client }), createSmmStatusWorker({ client })];
+        const sweeps = await Promise.all(workers.map(worker => worker.runOnce()));
+
+        assert.equal(sweeps[0].recovered + sweeps[1].recovered, 1);
+        assert.equal(await t.getBalance(user.id), 1000);
+        const refunds = await t.getCollection('ledger').find({ account: `wallet:${user.id}`, type: 'REFUND' }).toArray();
+        assert.equal(refunds.length, 1);
+    });
+
+    it('requests refills only for delivered orders of refillable services', async () => {
+        const { createSmmStatusWorker } = require('../services/smmStatus');
+        const { getSmmClient } = require('../services/smm');
+
+        const user = await t.createUser({ balance: 1000 });
+        const res = await placeOrder(user, { service: 1, link: 'https://instagram.com/someone', quantity: 100 });
+        const early = await t.post(`/smm/refill/${res.body.orderId}`, {}, { token: user.token });
+        assert.equal(early.status, 400);
+
+        Object.assign(smm.state.orders.get(String(res.body.providerOrderId)), { status: 'Completed', remains: '0' });
+        await createSmmStatusWorker({ client: getSmmClient() }).runOnce();
+
+        const refill = await t.post(`/smm/refill/${res.body.orderId}`, {}, { token: user.token });
+        assert.equal(refill.status, 200);
+        assert.equal((await findOrder(res.body.providerOrderId)).refills.length, 1);
+    });
+});
@@ -0,0 +1,269 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./support/app');
+
+describe('SMS orders', () => {
+    let t;
+    let fiveSim;
+
+    before(async () => {
+        t = await startTestApp();
+        fiveSim = t.stubs.fiveSim;
+    });
+
+    after(() => t.close());
+
+    async function quote(service = 'whatsapp', country = 'usa') {
+        const res = await t.get(`/sms/live-config/${service}`);
+        assert.equal(res.status, 200);
+        return res.body.find(o => o.country === country);
+    }
+
+    async function buyNumber(user) {
+        const offer = await quote();
+        const res = await t.post('/sms/order', { quoteId: offer.quoteId }, { token: user.token });
+        assert.equal(res.status, 200);
+        const order = await t.getCollection('orders').findOne({ phone: res.body.phone });
+        return { ...res.body, offer, order };
+    }
+
+    it('quotes only offers that have numbers in stock', async () => {
+        const offers = await t.get('/sms/live-config/whatsapp');
+
+        assert.deepEqual(offers.body.map(o => o.country), ['usa']);
+        assert.ok(offers.body[0].price > 0);
+        assert.ok(offers.body[0].quoteId);
+    });
+
+    it('sells a number at the quoted price and delivers the code on check', async () => {
+        const user = await t.createUser({ balance: 1000 });
+        const { orderId, price, offer, order } = await buyNumber(user);
+
+        assert.equal(price, offer.price);
+        assert.equal(await t.getBalance(user.id), 1000 - price);
+        assert.equal(order.status, 'WAITING');
+
+        const waiting = await t.get(`/sms/check/${orderId}`, { token: user.token });
+        assert.deepEqual(waiting.body, { code: null, status: 'WAITING' });
+
+        fiveSim.deliverSms(order.activation_id, '482913');
+
+        const received = await t.get(`/sms/check/${orderId}`, { token: user.token });
+        assert.deepEqual(received.body, { code: '482913', status: 'COMPLETED' });
+        assert.equal(fiveSim.state.activations.get(order.activation_id).status, 'FINISHED');
+
+        // Completed orders can't be cancelled back into a refund
+        const cancel = await t.post(`/sms/cancel/${orderId}`, {}, { token: user.token });
+        assert.equal(cancel.status, 400);
+        assert.equal(await t.getBalance(user.id), 1000 - price);
+    });
+
+    it('hides other users\' orders', async () => {
+        const owner = await t.createUser({ balance: 1000 });
+        const other = await t.createUser({ balance: 1000 });
+        const { orderId } = await buyNumber(owner);
+
+        assert.equal((await t.get(`/sms/check/${orderId}`, { token: other.token })).status, 404);
+        assert.equal((await t.post(`/sms/cancel/${orderId}`, {}, { token: other.token })).status, 404);
+    });
+
+    it('cancels and refunds once the provider releases the number', async () => {
+        const user = await t.createUser({ balance: 1000 });
+        const { orderId, price, order } = await buyNumber(user);
+
+        const res = await t.post(`/sms/cancel/${orderId}`, {}, { token: user.token });
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.refundAmount, price);
+        assert.equal(await t.getBalance(user.id), 1000);
+        assert.equal(fiveSim.state.activations.get(order.activation_id).status, 'CANCELED');
+
+        const again = await t.post(`/sms/cancel/${orderId}`, {}, { token: user.token });
+        assert.equal(again.status, 400);
+        assert.equal(await t.getBalance(user.id), 1000);
+    });
+
+    it('refuses to cancel once a code has arrived and hands the code over', async () => {
+        const user = await t.createUser({ balance: 1000 });
+        const { orderId, price, order } = await buyNumber(user);
+
+        fiveSim.deliverSms(order.activation_id, '777111');
+
+        const res = await t.post(`/sms/cancel/${orderId}`, {}, { token: user.token });
+        assert.equal(res.status, 409);
+        assert.equal(res.body.code, '777111');
+        assert.equal(await t.getBalance(user.id), 1000 - price);
+    });
+
+    it('keeps the money and records an issue when the provider cannot confirm a cancel', async () => {
+        const user = await t.createUser({ balance: 1000 });
+        const { orderId, price, order } = await buyNumber(user);
+
+        fiveSim.state.failCancel = true;
+        try {
+            const res = await t.post(`/sms/cancel/${orderId}`, {}, { token: user.token });
+            assert.equal(res.status, 502);
+        } finally {
+            fiveSim.state.failCancel = false;
+        }
+
+        assert.equal(await t.getBalance(user.id), 1000 - price);
+        const issue = await t.getCollection('sms_reconciliation').findOne({ sms_order_id: String(order._id) });
+        assert.equal(issue.action, 'cancel');
+        assert.equal(issue.status, 'OPEN');
+    });
+
+    it('cancels the number and refunds when the order cannot be saved', async () => {
+        const user = await t.createUser({ balance: 1000 });
+
+        t.failNextInsert('orders');
+        const failed = await t.post('/sms/order', { quoteId: (await quote()).quoteId }, { token: user.token });
+
+        assert.equal(failed.status, 500);
+        assert.equal(await t.getBalance(user.id), 1000);
+        assert.equal(fiveSim.state.activations.get(fiveSim.state.counter).status, 'CANCELED');
+
+        // When the provider won't let go either, the activation is queued
+        fiveSim.state.failCancel = true;
+        try {
+            t.failNextInsert('orders');
+            assert.equal((await t.post('/sms/order', { quoteId: (await quote()).quoteId }, { token: user.token })).status, 500);
+        } finally {
+            fiveSim.state.failCancel = false;
+        }
+
+        assert.equal(await t.getBalance(user.id), 1000);
+        const issue = await t.getCollection('sms_reconciliation').findOne({ activation_id: fiveSim.state.counter });
+        assert.equal(issue.action, 'cancel');
+        assert.equal(issue.status, 'OPEN');
+
+        // An admin retry closes it out even though there's no order
+        const smsReconciliation = require('../services/sms/reconciliation');
+        assert.equal((await smsReconciliation.retryIssue(String(issue._id))).confirmed, true);
+        assert.equal(fiveSim.state.activations.get(fiveSim.state.counter).status, 'CANCELED');
+    });
+
+    it('expires unanswered activations and refunds them exactly once', async () => {
+        const { createSmsExpiryWorker } = require('../services/smsExpiry');
+        const smsReconciliation = require('../services/sms/reconciliation');
+
+        const user = await t.createUser({ balance: 1000 });
+        const { orderId, order } = await buyNumber(user);
+
+        const later = new Date(order.expires_at.getTime() + 1000);
+        const worker = createSmsExpiryWorker({ cancelActivation: smsReconciliation.cancelUpstream, now: () => later });
+
+        await worker.runOnce();
+        await worker.runOnce();
+
+        const check = await t.get(`/sms/check/${orderId}`, { token: user.token });
+        assert.equal(check.body.status, 'EXPIRED');
+        assert.equal(await t.getBalance(user.id), 1000);
+        assert.equal(fiveSim.state.activations.get(order.activation_id).status, 'CANCELED');
+
+        const refunds = await t.getCollection('ledger').find({ account: `wallet:${user.id}`, type: 'REFUND' }).toArray();
+        assert.equal(refunds.length, 1);
+    });
+
+    it('pays a stranded refund once when sweeps on two instances race', async () => {
+        const { createSmsExpiryWorker } = require('../services/smsExpiry');
+
+        const user = await t.createUser({ balance: 1000 });
+        const { order, price } = await buyNumber(user);
+        await t.getCollection('orders').updateOne({ _id: order._id }, { $set: { status: 'EXPIRED', refund_pending: true } });
+
+        const sweeps = await Promise.all([createSmsExpiryWorker(), createSmsExpiryWorker()].map(worker => worker.runOnce()));
+
+        assert.equal(sweeps[0].recovered + sweeps[1].recovered, 1);
+        assert.equal(await t.getBalance(user.id), 1000);
+        const refunds = await t.getCollection('ledger').find({ account: `wallet:${user.id}`, type: 'REFUND' }).toArray();
+        assert.equal(refunds.length, 1);
+        assert.equal(refunds[0].amount, price);
+        assert.equal((await t.getCollection('orders').findOne({ _id: order._id })).refund_pending, false);
+    });
+
+    it('delivers a code that arrives as the order expires instead of refunding it', async () => {
+        const { createSmsExpiryWorker } = require('../services/smsExpiry');
+        const smsReconciliation = require('../services/sms/reconciliation');
+
+        const user = await t.createUser({ balance: 1000 });
+        const { orderId, order, price } = await buyNumber(user);
+        fiveSim.deliverSms(order.activation_id, '424242');
+
+        const later = new Date(order.expires_at.getTime() + 1000);
+        await createSmsExpiryWorker({ cancelActivation: smsReconciliation.cancelUpstream, now: () => later }).runOnce();
+
+        const check = await t.get(`/sms/check/${orderId}`, { token: user.token });
+        assert.deepEqual(check.body, { code: '424242', status: 'COMPLETED' });
+        assert.equal(await t.getBalance(user.id), 1000 - price);
+    });
+
+    it('refunds the hold when the provider has no numbers left', async () => {
+        const user = await t.createUser({ balance: 1000 });
+        const offer = await quote();
+        fiveSim.state.prices.whatsapp.usa.virtual1.count = 0;
+
+        try {
+            const res = await t.post('/sms/order', { quoteId: offer.quoteId }, { token: user.token });
+            assert.equal(res.status, 400);
+        } finally {
+            fiveSim.state.prices.whatsapp.usa.virtual1.count = 100;
+        }
+
+        assert.equal(await t.getBalance(user.id), 1000);
+    });
+
+    it('refuses an order the balance cannot cover', async () => {
+        const user = await t.createUser({ balance: 10 });
+        const offer = await quote();
+        const bought = fiveSim.state.activations.size;
+
+        const res = await t.post('/sms/order', { quoteId: offer.quoteId }, { token: user.token });
+
+        assert.equal(res.status, 400);
+        assert.match(res.body.error, /insufficient/i);
+        assert.equal(fiveSim.state.activations.size, bought);
+    });
+
+    it('reports a failed debit as a server error, not a missing user', async () => {
+        const smsQuotes = require('../services/sms/quotes');
+        const user = await t.createUser({ balance: 1000 });
+        const { cost } = smsQuotes.verifyQuote((await quote()).quoteId);
+
+        // A zero price makes the debit itself throw
+        const quoteId = smsQuotes.createQuote({ service: 'whatsapp', country: 'usa', operator: 'virtual1', cost, price: 0 });
+        const bought = fiveSim.state.activations.size;
+        const res = await t.post('/sms/order', { quoteId }, { token: user.token });
+
+        assert.equal(res.status, 500);
+        assert.match(res.body.error, /Debit amount must be positive/);
+        assert.equal(fiveSim.state.activations.size, bought);
+        assert.equal(await t.getBalance(user.id), 1000);
+    });
+
+    it('rejects tampered quotes', async () => {
+        const user = await t.createUser({ balance: 1000 });
+        const offer = await quote();
+
+        const res = await t.post('/sms/order', { quoteId: `${offer.quoteId}x` }, { token: user.token });
+
+        assert.equal(res.status, 400);
+        assert.equal(await t.getBalance(user.id), 1000);
+    });
+
+    it('neither makes nor accepts quotes without a secret', async () => {
+        const { createQuote, verifyQuote } = require('../services/sms/quotes');
+        const offer = await quote();
+        const configured = { QUOTE_SECRET: process.env.QUOTE_SECRET, JWT_SECRET: process.env.JWT_SECRET };
+
+        delete process.env.QUOTE_SECRET;
+        delete process.env.JWT_SECRET;
+        try {
+            const terms = { service: 'whatsapp', country: 'usa', operator: 'virtual1', cost: 0.5, price: 500 };
+            assert.throws(() => createQuote(terms), /QUOTE_SECRET or JWT_SECRET must be set/);
+            assert.throws(() => verifyQuote(offer.quoteId), /QUOTE_SECRET or JWT_SECRET must be set/);
+        } finally {
+            Object.assign(process.env, configured);
+        }
+    });
+});
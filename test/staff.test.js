@@ -0,0 +1,105 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./support/app');
+
+describe('staff permissions', () => {
+    let t;
+    let admin;
+
+    before(async () => {
+        t = await startTestApp();
+        admin = await t.createUser({ role: 'admin' });
+    });
+
+    after(() => t.close());
+
+    const asAdmin = () => ({ token: admin.token });
+
+    it('limits staff to the permissions they hold', async () => {
+        const clerk = await t.createUser({ role: 'staff', permissions: ['inventory'] });
+        const token = clerk.token;
+
+        const added = await t.post('/products/add', { name: 'Guide', category: 'Tools', price: 10, stock: 1 }, { token });
+        assert.equal(added.status, 200);
+
+        const denied = await Promise.all([
+            t.get('/auth/users', { token }),
+            t.get('/admin/pricing', { token }),
+            t.get('/products/all-orders', { token }),
+            t.post('/admin/announcement', { title: 'x', message: 'y' }, { token }),
+            t.get('/admin/staff', { token })
+        ]);
+        denied.forEach(res => assert.equal(res.status, 403));
+
+        const me = await t.get('/auth/me', { token });
+        assert.deepEqual(me.body.permissions, ['inventory']);
+    });
+
+    it('lets staff with the users permission see other accounts', async () => {
+        const support = await t.createUser({ role: 'staff', permissions: ['users'] });
+        const customer = await t.createUser();
+
+        assert.equal((await t.get(`/auth/user/${customer.id}`, { token: support.token })).status, 200);
+        assert.equal((await t.get(`/orders/all/${customer.id}`, { token: support.token })).status, 200);
+        assert.equal((await t.get(`/auth/user/${support.id}`, { token: customer.token })).status, 403);
+    });
+
+    it('promotes a user to staff and demotes them again', async () => {
+        // Staff can't use admin routes without 2FA (covered in twoFactor.test.js)
+        const user = await t.createUser({ twoFactor: true });
+
+        const promoted = await t.put(`/admin/staff/${user.id}`, { role: 'staff', permissions: ['sms', 'announcements'] }, asAdmin());
+        assert.equal(promoted.status, 200);
+        assert.deepEqual(promoted.body.user.permissions, ['sms', 'announcements']);
+
+        // The old token picks up the new permissions straight away
+        assert.equal((await t.get('/admin/sms/reconciliation', { token: user.token })).status, 200);
+
+        const listed = await t.get('/admin/staff', asAdmin());
+        assert.ok(listed.body.some(s => s.id === user.id && s.role === 'staff'));
+
+        const demoted = await t.del(`/admin/staff/${user.id}`, asAdmin());
+        assert.equal(demoted.status, 200);
+        assert.deepEqual(demoted.body.user.permissions, []);
+        assert.equal((await t.get('/admin/sms/reconciliation', { token: user.token })).status, 403);
+    });
+
+    it('treats a demoted admin token as a regular user', async () => {
+        const other = await t.createUser({ role: 'admin' });
+
+        assert.equal((await t.put(`/admin/staff/${other.id}`, { role: 'user' }, asAdmin())).status, 200);
+        assert.equal((await t.get('/auth/users', { token: other.token })).status, 403);
+    });
+
+    it('validates role changes', async () => {
+        const user = await t.createUser();
+
+        const noPermissions = await t.put(`/admin/staff/${user.id}`, { role: 'staff', permissions: [] }, asAdmin());
+        assert.equal(noPermissions.status, 400);
+
+        const unknown = await t.put(`/admin/staff/${user.id}`, { role: 'staff', permissions: ['everything'] }, asAdmin());
+        assert.equal(unknown.status, 400);
+
+        const adminWithList = await t.put(`/admin/staff/${user.id}`, { role: 'admin', permissions: ['sms'] }, asAdmin());
+        assert.equal(adminWithList.status, 400);
+
+        const self = await t.put(`/admin/staff/${admin.id}`, { role: 'user' }, asAdmin());
+        assert.equal(self.status, 400);
+        assert.equal(self.body.error, 'You cannot change your own role');
+
+        const missing = await t.put('/admin/staff/64b7f0c2a1b2c3d4e5f60718', { role: 'user' }, asAdmin());
+        assert.equal(missing.status, 404);
+    });
+
+    it('only lets admins manage staff', async () => {
+        const manager = await t.createUser({ role: 'staff', permissions: ['users'] });
+        const target = await t.createUser();
+
+        const res = await t.put(`/admin/staff/${target.id}`, { role: 'staff', permissions: ['users'] }, { token: manager.token });
+        assert.equal(res.status, 403);
+
+        // ...and staff can't get rid of an admin by deleting the account
+        const deleted = await t.del(`/auth/user/${admin.id}`, { token: manager.token });
+        assert.equal(deleted.status, 400);
+    });
+});
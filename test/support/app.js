@@ -0,0 +1,156 @@
+const { ObjectId } = require('mongodb');
+const { startFiveSimStub, startSmmStub, startFlutterwaveStub, startSmtpStub } = require('./stubs');
+
+// ============================================
+// 🧪 TEST APP
+// ============================================
+//
+// Boots the real express app on a random port against the in-memory database,
+// with every upstream pointed at a local stub. Each test file runs in its own
+// process, so each gets a fresh database, stub state and rate-limit window.
+
+const FIVESIM_API_KEY = 'test-5sim-key';
+const SMM_API_KEY = 'test-smm-key';
+const FLUTTERWAVE_SECRET_KEY = 'test-flw-secret';
+const FLUTTERWAVE_SECRET_HASH = 'test-flw-hash';
+const SMTP_USER = 'test-smtp-user';
+const SMTP_PASS = 'test-smtp-pass';
+
+async function startTestApp() {
+    const fiveSim = await startFiveSimStub({ apiKey: FIVESIM_API_KEY });
+    const smm = await startSmmStub({ apiKey: SMM_API_KEY });
+    const flutterwave = await startFlutterwaveStub({ secretKey: FLUTTERWAVE_SECRET_KEY });
+    const smtp = await startSmtpStub({ user: SMTP_USER, pass: SMTP_PASS });
+
+    Object.assign(process.env, {
+        NODE_ENV: 'test',
+        DB_DRIVER: 'memory',
+        JWT_SECRET: 'test-jwt-secret-at-least-32-characters-long',
+        QUOTE_SECRET: 'test-quote-secret',
+        SMS_PROVIDER: 'fivesim',
+        FIVESIM_API_KEY,
+        FIVESIM_BASE_URL: fiveSim.url,
+        SMM_API_URL: smm.url,
+        SMM_API_KEY,
+        FLUTTERWAVE_API_URL: flutterwave.url,
+        FLUTTERWAVE_SECRET_KEY,
+        FLUTTERWAVE_SECRET_HASH,
+        MAIL_TRANSPORT: 'smtp',
+        SMTP_HOST: smtp.host,
+        SMTP_PORT: String(smtp.port),
+        SMTP_USER,
+        SMTP_PASS,
+        // The stub relay is plain TCP on loopback
+        SMTP_ALLOW_INSECURE_AUTH: 'true',
+        MAIL_FROM: 'Mublog Test <no-reply@mublog.test>',
+        APP_URL: 'https://app.mublog.test'
+    });
+
+    // Required only now, so configuration read at load time sees the stubs
+    const db = require('../../config/db');
+    const app = require('../../app');
+    const { createAccessToken } = require('../../middleware/auth');
+    const sessions = require('../../services/sessions');
+    const totp = require('../../services/totp');
+    const twoFactor = require('../../services/twoFactor');
+
+    // The app logs every request; keep test output readable
+    const restoreConsole = silenceConsole();
+
+    await db.connectDB();
+
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+
+    async function request(method, path, { body, token, headers = {} } = {}) {
+        const response = await fetch(baseUrl + path, {
+            method,
+            headers: {
+                ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+                ...(token ? { Authorization: `Bearer ${token}` } : {}),
+                ...headers
+            },
+            body: body === undefined ? undefined : typeof body === 'string' ? body : JSON.stringify(body)
+        });
+        const text = await response.text();
+        let data = text;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {}
+        return { status: response.status, headers: response.headers, body: data };
+    }
+
+    // Inserts a user straight into the database and opens a session for it.
+    // Staff get 2FA (it's mandatory for them) and a session that has just
+    // confirmed a code, as if they'd logged in through the second step.
+    async function createUser({ balance = 0, role = 'user', permissions, username, twoFactor: withTwoFactor = role !== 'user' } = {}) {
+        const _id = new ObjectId();
+        const name = username || `user_${_id.toHexString().slice(-6)}`;
+        const user = { _id, username: name, email: `${name}@example.com`, password: 'not-a-hash', balance, role, createdAt: new Date() };
+        if (permissions) user.permissions = permissions;
+
+        const totpSecret = withTwoFactor ? totp.generateSecret() : null;
+        if (totpSecret) {
+            user.two_factor = { enabled: true, secret: twoFactor.encryptSecret(totpSecret), enabled_at: new Date(), last_step: null, backup_codes: {}, failed_attempts: 0 };
+        }
+
+        await db.getCollection('users').insertOne(user);
+        const { session, refreshToken } = await sessions.create(user, { ip: '127.0.0.1', userAgent: 'node-test', stepUp: withTwoFactor });
+        return {
+            id: String(_id),
+            user,
+            token: createAccessToken(user, session),
+            refreshToken,
+            totpSecret
+        };
+    }
+
+    const getBalance = async (userId) => (await db.getCollection('users').findOne({ _id: new ObjectId(userId) })).balance;
+
+    // The next insert into `name` fails as if the database had dropped it
+    function failNextInsert(name) {
+        const collection = db.getCollection(name);
+        collection.insertOne = async () => {
+            delete collection.insertOne;
+            throw new Error(`Simulated ${name} insert failure`);
+        };
+    }
+
+    async function close() {
+        server.closeAllConnections();
+        await new Promise(done => server.close(done));
+        await Promise.all([fiveSim.close(), smm.close(), flutterwave.close(), smtp.close()]);
+        await db.closeDB();
+        restoreConsole();
+    }
+
+    return {
+        baseUrl,
+        request,
+        get: (path, options) => request('GET', path, options),
+        post: (path, body, options = {}) => request('POST', path, { ...options, body }),
+        put: (path, body, options = {}) => request('PUT', path, { ...options, body }),
+        del: (path, options) => request('DELETE', path, options),
+        createUser,
+        getBalance,
+        failNextInsert,
+        getCollection: db.getCollection,
+        stubs: { fiveSim, smm, flutterwave, smtp },
+        secrets: { FLUTTERWAVE_SECRET_HASH },
+        close
+    };
+}
+
+// Set TEST_LOGS=1 to see the app's console output
+function silenceConsole() {
+    if (process.env.TEST_LOGS) return () => {};
+
+    const original = { log: console.log, error: console.error };
+    console.log = () => {};
+    console.error = () => {};
+    return () => Object.assign(console, original);
+}
+
+module.exports = { startTestApp };
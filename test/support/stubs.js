@@ -0,0 +1,323 @@
+const http = require('http');
+const net = require('net');
+
+// ============================================
+// 🧪 UPSTREAM STUBS
+// ============================================
+//
+// Small stand-ins for 5sim, the SMM panel, Flutterwave and an SMTP relay. They speak
+// just enough of each API for the adapters in services/ to run unchanged,
+// and expose their state so tests can script what the provider "does".
+
+function listen(handler) {
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://stub');
+        const send = (status, body) => {
+            const text = typeof body === 'string' ? body : JSON.stringify(body);
+            res.writeHead(status, { 'Content-Type': typeof body === 'string' ? 'text/plain' : 'application/json' });
+            res.end(text);
+        };
+        Promise.resolve(handler(req, url, send)).catch(err => send(500, err.message));
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            resolve({
+                url: `http://127.0.0.1:${server.address().port}`,
+                close: () => new Promise(done => {
+                    server.closeAllConnections();
+                    server.close(done);
+                })
+            });
+        });
+    });
+}
+
+// 5sim: prices per service/country/operator, activations keyed by id.
+// Failures are plain-text bodies, as the real API sends them.
+async function startFiveSimStub({ apiKey }) {
+    const state = {
+        prices: {
+            whatsapp: { usa: { virtual1: { cost: 10, count: 100 } }, nigeria: { any: { cost: 25, count: 0 } } }
+        },
+        activations: new Map(),
+        counter: 0,
+        balance: 500,
+        failCancel: false
+    };
+
+    const closed = ['CANCELED', 'TIMEOUT', 'FINISHED', 'BANNED'];
+
+    function close(activation, status, send) {
+        if (closed.includes(activation.status)) return send(400, 'order expired');
+        if (status !== 'FINISHED' && activation.sms.length > 0) return send(400, 'order has sms');
+        activation.status = status;
+        send(200, activation);
+    }
+
+    const stub = await listen((req, url, send) => {
+        const parts = url.pathname.split('/').filter(Boolean);
+
+        if (parts[0] === 'guest' && parts[1] === 'prices') {
+            const product = url.searchParams.get('product');
+            return send(200, { [product]: state.prices[product] || {} });
+        }
+
+        if (req.headers.authorization !== `Bearer ${apiKey}`) return send(401, '');
+
+        if (parts[1] === 'profile') return send(200, { balance: state.balance });
+
+        if (parts[1] === 'buy') {
+            const [, , , country, operator, product] = parts;
+            const info = state.prices[product] && state.prices[product][country] && state.prices[product][country][operator];
+            if (!info) return send(400, 'no product');
+            if (info.count < 1) return send(400, 'no free phones');
+
+            info.count--;
+            state.counter++;
+            const activation = {
+                id: state.counter,
+                phone: `+1555${String(state.counter).padStart(7, '0')}`,
+                operator,
+                product,
+                price: info.cost,
+                status: 'PENDING',
+                expires: new Date(Date.now() + 20 * 60 * 1000).toISOString(),
+                sms: []
+            };
+            state.activations.set(activation.id, activation);
+            return send(200, activation);
+        }
+
+        const activation = state.activations.get(Number(parts[2]));
+        if (!activation) return send(404, 'order not found');
+
+        switch (parts[1]) {
+            case 'check':
+                return send(200, activation);
+            case 'finish':
+                return close(activation, 'FINISHED', send);
+            case 'cancel':
+                if (state.failCancel) return send(502, 'Bad Gateway');
+                return close(activation, 'CANCELED', send);
+            case 'ban':
+                return close(activation, 'BANNED', send);
+            default:
+                return send(404, 'not found');
+        }
+    });
+
+    return {
+        ...stub,
+        state,
+        deliverSms(activationId, code) {
+            const activation = state.activations.get(Number(activationId));
+            activation.sms.push({ code, text: `Your code is ${code}`, date: new Date().toISOString() });
+            activation.status = 'RECEIVED';
+        }
+    };
+}
+
+// SMM panel ("API v2"): one endpoint, action + key in the query string
+async function startSmmStub({ apiKey }) {
+    const state = {
+        services: [
+            { service: 1, name: 'Instagram Followers', category: 'Instagram', rate: '100', min: '10', max: '1000', refill: true },
+            { service: 2, name: 'Website Traffic', category: 'Traffic', rate: '5', min: '100', max: '100000', refill: false }
+        ],
+        orders: new Map(),
+        counter: 1000,
+        refills: 0
+    };
+
+    const stub = await listen((req, url, send) => {
+        const params = url.searchParams;
+        if (params.get('key') !== apiKey) return send(200, { error: 'Invalid API key' });
+
+        switch (params.get('action')) {
+            case 'services':
+                return send(200, state.services);
+            case 'add': {
+                const service = state.services.find(s => String(s.service) === params.get('service'));
+                if (!service) return send(200, { error: 'Incorrect service ID' });
+                state.counter++;
+                state.orders.set(String(state.counter), {
+                    service: service.service,
+                    link: params.get('link'),
+                    quantity: Number(params.get('quantity')),
+                    status: 'Pending',
+                    start_count: '0',
+                    remains: params.get('quantity'),
+                    charge: '0'
+                });
+                return send(200, { order: state.counter });
+            }
+            case 'status': {
+                const result = {};
+                for (const id of (params.get('orders') || '').split(',')) {
+                    const order = state.orders.get(id);
+                    result[id] = order
+                        ? { status: order.status, start_count: order.start_count, remains: order.remains, charge: order.charge }
+                        : { error: 'Incorrect order ID' };
+                }
+                return send(200, result);
+            }
+            case 'refill':
+                if (!state.orders.has(params.get('order'))) return send(200, { error: 'Incorrect order ID' });
+                state.refills++;
+                return send(200, { refill: state.refills });
+            default:
+                return send(200, { error: 'Incorrect request' });
+        }
+    });
+
+    return { ...stub, state };
+}
+
+// Flutterwave: GET /transactions/:id/verify returns whatever the test registered
+async function startFlutterwaveStub({ secretKey }) {
+    const state = { transactions: new Map(), lookups: 0 };
+
+    const stub = await listen((req, url, send) => {
+        if (req.headers.authorization !== `Bearer ${secretKey}`) {
+            return send(401, { status: 'error', message: 'Invalid authorization key' });
+        }
+
+        const match = url.pathname.match(/^\/transactions\/([^/]+)\/verify$/);
+        const transaction = match && state.transactions.get(decodeURIComponent(match[1]));
+        state.lookups++;
+
+        if (!transaction) return send(404, { status: 'error', message: 'No transaction was found for this id' });
+        send(200, { status: 'success', message: 'Transaction fetched successfully', data: transaction });
+    });
+
+    return {
+        ...stub,
+        state,
+        addTransaction(transaction) {
+            state.transactions.set(String(transaction.id), transaction);
+        }
+    };
+}
+
+// SMTP relay: EHLO, AUTH PLAIN/LOGIN (as advertised), MAIL/RCPT/DATA. Accepted messages land
+// in state.messages; set state.rejectNext to refuse the next one.
+async function startSmtpStub({ user, pass, authMethods = ['PLAIN', 'LOGIN'] }) {
+    const state = { messages: [], rejectNext: false, authAttempts: 0 };
+    const sockets = new Set();
+    const waiters = [];
+
+    const server = net.createServer(socket => {
+        sockets.add(socket);
+        socket.on('close', () => sockets.delete(socket));
+
+        const session = { auth: null, from: null, to: [], data: null, login: null };
+        const reply = (line) => socket.write(`${line}\r\n`);
+        let buffer = '';
+
+        const finishMessage = () => {
+            if (state.rejectNext) {
+                state.rejectNext = false;
+                return reply('554 Message rejected');
+            }
+            const data = session.data.replace(/^\.\./gm, '.');
+            const message = { from: session.from, to: session.to, auth: session.auth, data };
+            state.messages.push(message);
+            waiters.splice(0).forEach(resolve => resolve());
+            reply('250 Queued');
+        };
+
+        const handle = (line) => {
+            if (session.data !== null) {
+                if (line === '.') {
+                    finishMessage();
+                    session.data = null;
+                    session.to = [];
+                } else {
+                    session.data += `${line}\r\n`;
+                }
+                return;
+            }
+            if (session.login === 'user') {
+                session.login = Buffer.from(line, 'base64').toString();
+                return reply('334 UGFzc3dvcmQ6');
+            }
+            if (session.login) {
+                const ok = session.login === user && Buffer.from(line, 'base64').toString() === pass;
+                session.auth = ok ? session.login : null;
+                session.login = null;
+                return reply(ok ? '235 Authenticated' : '535 Authentication failed');
+            }
+
+            const [verb, ...rest] = line.split(' ');
+            switch (verb.toUpperCase()) {
+                case 'EHLO':
+                    return reply(`250-stub.local\r\n250-AUTH ${authMethods.join(' ')}\r\n250 8BITMIME`);
+                case 'AUTH': {
+                    state.authAttempts++;
+                    if (rest[0] === 'LOGIN') {
+                        session.login = 'user';
+                        return reply('334 VXNlcm5hbWU6');
+                    }
+                    const [, name, secret] = Buffer.from(rest[1] || '', 'base64').toString().split('\u0000');
+                    const ok = name === user && secret === pass;
+                    session.auth = ok ? name : null;
+                    return reply(ok ? '235 Authenticated' : '535 Authentication failed');
+                }
+                case 'MAIL':
+                    if (!session.auth) return reply('530 Authentication required');
+                    session.from = /<([^>]*)>/.exec(line)[1];
+                    return reply('250 OK');
+                case 'RCPT':
+                    session.to.push(/<([^>]*)>/.exec(line)[1]);
+                    return reply('250 OK');
+                case 'DATA':
+                    session.data = '';
+                    return reply('354 End data with <CR><LF>.<CR><LF>');
+                case 'QUIT':
+                    reply('221 Bye');
+                    return socket.end();
+                default:
+                    return reply('502 Command not implemented');
+            }
+        };
+
+        socket.on('data', chunk => {
+            buffer += chunk.toString('utf8');
+            let index;
+            while ((index = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, index);
+                buffer = buffer.slice(index + 2);
+                handle(line);
+            }
+        });
+        reply('220 stub.local ESMTP');
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        host: '127.0.0.1',
+        port: server.address().port,
+        state,
+        // Mail is sent after the response for some routes, so tests wait for it
+        async waitForMessage(predicate, timeoutMs = 2000) {
+            const deadline = Date.now() + timeoutMs;
+            for (;;) {
+                const found = state.messages.find(predicate);
+                if (found) return found;
+                if (Date.now() > deadline) throw new Error('No matching email arrived');
+                await new Promise(resolve => {
+                    waiters.push(resolve);
+                    setTimeout(resolve, 50);
+                });
+            }
+        },
+        close: () => new Promise(done => {
+            sockets.forEach(socket => socket.destroy());
+            server.close(done);
+        })
+    };
+}
+
+module.exports = { startFiveSimStub, startSmmStub, startFlutterwaveStub, startSmtpStub };
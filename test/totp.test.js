@@ -0,0 +1,63 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const totp = require('../services/totp');
+
+describe('TOTP', () => {
+    // RFC 6238 appendix B: the seed is the ASCII digits repeated to the hash's block size
+    const seeds = {
+        sha1: Buffer.from('12345678901234567890'),
+        sha256: Buffer.from('12345678901234567890123456789012'),
+        sha512: Buffer.from('1234567890123456789012345678901234567890123456789012345678901234')
+    };
+    const vectors = [
+        [59, '94287082', '46119246', '90693936'],
+        [1111111109, '07081804', '68084774', '25091201'],
+        [1111111111, '14050471', '67062674', '99943326'],
+        [1234567890, '89005924', '91819424', '93441116'],
+        [2000000000, '69279037', '90698825', '38618901'],
+        [20000000000, '65353130', '77737706', '47863826']
+    ];
+
+    it('matches the RFC 6238 test vectors', () => {
+        for (const [seconds, sha1, sha256, sha512] of vectors) {
+            const at = { time: seconds * 1000, digits: 8 };
+            assert.equal(totp.totp(seeds.sha1, { ...at, algorithm: 'sha1' }), sha1, `SHA1 at ${seconds}`);
+            assert.equal(totp.totp(seeds.sha256, { ...at, algorithm: 'sha256' }), sha256, `SHA256 at ${seconds}`);
+            assert.equal(totp.totp(seeds.sha512, { ...at, algorithm: 'sha512' }), sha512, `SHA512 at ${seconds}`);
+        }
+    });
+
+    it('matches the RFC 4226 HOTP test vectors', () => {
+        const expected = ['755224', '287082', '359152', '969429', '338314', '254676', '287922', '162583', '399871', '520489'];
+        expected.forEach((code, counter) => assert.equal(totp.hotp(seeds.sha1, counter), code));
+    });
+
+    it('round-trips base32 secrets the way authenticator apps read them', () => {
+        // RFC 4648 section 10, without padding
+        assert.equal(totp.base32Encode(Buffer.from('foobar')), 'MZXW6YTBOI');
+        assert.equal(totp.base32Decode('mzxw 6ytb oi======').toString(), 'foobar');
+
+        const secret = totp.generateSecret();
+        assert.match(secret, /^[A-Z2-7]{32}$/);
+        assert.equal(totp.base32Encode(totp.base32Decode(secret)), secret);
+        assert.throws(() => totp.base32Decode('not base32!'), /Invalid base32/);
+    });
+
+    it('accepts codes one step either side and reports which step matched', () => {
+        const secret = totp.base32Encode(seeds.sha1);
+        const time = 1111111109 * 1000;
+        const step = totp.timeStep(time);
+
+        assert.equal(totp.verify(secret, totp.totp(secret, { time }), { time }), step);
+        assert.equal(totp.verify(secret, totp.totp(secret, { time: time - 30000 }), { time }), step - 1);
+        assert.equal(totp.verify(secret, totp.totp(secret, { time: time + 30000 }), { time }), step + 1);
+        assert.equal(totp.verify(secret, totp.totp(secret, { time: time + 90000 }), { time }), null);
+        assert.equal(totp.verify(secret, '12345', { time }), null);
+        assert.equal(totp.verify(secret, 'abcdef', { time }), null);
+    });
+
+    it('builds the otpauth:// provisioning URI', () => {
+        const uri = totp.provisioningUri({ secret: 'JBSWY3DPEHPK3PXP', account: 'ada@example.com', issuer: 'Mublog Market' });
+        assert.equal(uri, 'otpauth://totp/Mublog%20Market%3Aada%40example.com?secret=JBSWY3DPEHPK3PXP&algorithm=SHA1&digits=6&period=30&issuer=Mublog+Market');
+    });
+});
@@ -0,0 +1,192 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const bcryptjs = require('bcryptjs');
+const { toObjectId } = require('../config/db');
+const totp = require('../services/totp');
+const { startTestApp } = require('./support/app');
+
+describe('two-factor authentication', () => {
+    let t;
+    let admin;
+
+    before(async () => {
+        t = await startTestApp();
+        admin = await t.createUser({ role: 'admin' });
+    });
+
+    after(() => t.close());
+
+    // Only the current and next step: either stays inside the server's
+    // window even if a 30-second boundary passes mid-request
+    const codeFor = (secret, stepsAhead = 0) => totp.totp(secret, { time: Date.now() + stepsAhead * 30000 });
+    const WRONG_CODE = 'AAAAA-AAAAA';
+
+    const findUser = (user) => t.getCollection('users').findOne({ _id: toObjectId(user.id) });
+
+    // Another device for the same user that hasn't confirmed a code yet
+    async function freshSession(user) {
+        const sessions = require('../services/sessions');
+        const { createAccessToken } = require('../middleware/auth');
+        const { session } = await sessions.create(user.user, { ip: '127.0.0.1', userAgent: 'node-test' });
+        return createAccessToken(user.user, session);
+    }
+
+    it('enrolls with a provisioning URI and hands out backup codes once', async () => {
+        const user = await t.createUser();
+
+        const setup = await t.post('/auth/2fa/setup', {}, { token: user.token });
+        assert.equal(setup.status, 200);
+        assert.match(setup.body.otpauthUrl, /^otpauth:\/\/totp\/Mublog%20Market%3Auser_\w+%40example\.com\?secret=[A-Z2-7]+&/);
+        assert.ok(setup.body.otpauthUrl.includes(`secret=${setup.body.secret}`));
+
+        // Stored encrypted, never as the base32 the user saw
+        assert.ok(!JSON.stringify(await findUser(user)).includes(setup.body.secret));
+
+        const wrong = await t.post('/auth/2fa/enable', { code: '123456' }, { token: user.token });
+        assert.equal(wrong.status, 400);
+        assert.equal(wrong.body.code, 'INVALID_CODE');
+
+        const enabled = await t.post('/auth/2fa/enable', { code: codeFor(setup.body.secret) }, { token: user.token });
+        assert.equal(enabled.status, 200);
+        assert.equal(enabled.body.backupCodes.length, 10);
+        enabled.body.backupCodes.forEach(code => assert.match(code, /^[A-Z2-7]{5}-[A-Z2-7]{5}$/));
+
+        // Sessions from before 2FA are closed; the caller carries on with a new one
+        assert.equal((await t.get('/auth/me', { token: user.token })).status, 401);
+        const me = await t.get('/auth/me', { token: enabled.body.token });
+        assert.equal(me.body.two_factor_enabled, true);
+        assert.equal(me.body.two_factor, undefined);
+
+        const status = await t.get('/auth/2fa', { token: enabled.body.token });
+        assert.deepEqual({ ...status.body, enabled_at: null }, { enabled: true, required: false, enabled_at: null, backup_codes_left: 10 });
+
+        assert.equal((await t.post('/auth/2fa/setup', {}, { token: enabled.body.token })).body.code, 'ALREADY_ENABLED');
+    });
+
+    it('asks for a code after the password and accepts it once', async () => {
+        const user = await t.createUser({ twoFactor: true });
+        await t.getCollection('users').updateOne({ _id: user.user._id }, { $set: { password: await bcryptjs.hash('Passw0rd!', 4) } });
+
+        const login = await t.post('/auth/login', { email: user.user.email, password: 'Passw0rd!' });
+        assert.equal(login.status, 200);
+        assert.equal(login.body.twoFactorRequired, true);
+        assert.equal(login.body.token, undefined);
+        assert.equal(login.body.expiresIn, 300);
+        const { challengeToken } = login.body;
+
+        const wrong = await t.post('/auth/login/2fa', { challengeToken, code: WRONG_CODE });
+        assert.equal(wrong.status, 400);
+
+        const done = await t.post('/auth/login/2fa', { challengeToken, code: codeFor(user.totpSecret) });
+        assert.equal(done.status, 200);
+        assert.equal(done.body.user.two_factor_enabled, true);
+        assert.equal((await t.get('/auth/me', { token: done.body.token })).status, 200);
+
+        const reused = await t.post('/auth/login/2fa', { challengeToken, code: codeFor(user.totpSecret, 1) });
+        assert.equal(reused.status, 401);
+    });
+
+    it('requires a fresh code for large purchases and rejects replayed codes', async () => {
+        const product = await t.post('/products/add', {
+            name: 'Premium aged account',
+            category: 'Instagram',
+            price: 25000,
+            public_link: 'https://example.com/guide',
+            credentials: 'login0:pass0\nlogin1:pass1'
+        }, { token: admin.token });
+        const productId = String(product.body.id);
+
+        const user = await t.createUser({ twoFactor: true, balance: 60000 });
+        const token = await freshSession(user);
+
+        const blocked = await t.post('/products/purchase', { productId }, { token });
+        assert.equal(blocked.status, 403);
+        assert.equal(blocked.body.code, 'STEP_UP_REQUIRED');
+
+        const code = codeFor(user.totpSecret);
+        const verified = await t.post('/auth/2fa/verify', { code }, { token });
+        assert.equal(verified.status, 200);
+        assert.equal(verified.body.validFor, 300);
+
+        assert.equal((await t.post('/products/purchase', { productId }, { token })).status, 200);
+
+        // The same code can't open another session's window
+        const replay = await t.post('/auth/2fa/verify', { code }, { token: await freshSession(user) });
+        assert.equal(replay.status, 400);
+
+        // Users without 2FA aren't asked
+        const plain = await t.createUser({ balance: 30000 });
+        assert.equal((await t.post('/products/purchase', { productId }, { token: plain.token })).status, 200);
+    });
+
+    it('accepts each backup code once', async () => {
+        const user = await t.createUser({ twoFactor: true });
+        const issued = await t.post('/auth/2fa/backup-codes', { code: codeFor(user.totpSecret) }, { token: user.token });
+        assert.equal(issued.status, 200);
+        const [first] = issued.body.backupCodes;
+
+        const used = await t.post('/auth/2fa/verify', { code: first.toLowerCase().replace('-', ' ') }, { token: user.token });
+        assert.equal(used.status, 200);
+        assert.equal(used.body.backupCodesLeft, 9);
+
+        assert.equal((await t.post('/auth/2fa/verify', { code: first }, { token: user.token })).status, 400);
+    });
+
+    it('locks code entry after five wrong codes', async () => {
+        const user = await t.createUser({ twoFactor: true });
+
+        for (let i = 0; i < 5; i++) {
+            assert.equal((await t.post('/auth/2fa/verify', { code: WRONG_CODE }, { token: user.token })).status, 400);
+        }
+        const locked = await t.post('/auth/2fa/verify', { code: codeFor(user.totpSecret) }, { token: user.token });
+        assert.equal(locked.status, 429);
+        assert.equal(locked.body.code, 'LOCKED');
+    });
+
+    it('keeps staff out of the admin panel until they turn 2FA on, and off it for good', async () => {
+        const newAdmin = await t.createUser({ role: 'admin', twoFactor: false });
+
+        const refused = await t.get('/auth/users', { token: newAdmin.token });
+        assert.equal(refused.status, 403);
+        assert.equal(refused.body.code, 'TWO_FACTOR_SETUP_REQUIRED');
+        assert.equal((await t.get('/auth/me', { token: newAdmin.token })).body.two_factor_required, true);
+
+        const setup = await t.post('/auth/2fa/setup', {}, { token: newAdmin.token });
+        const enabled = await t.post('/auth/2fa/enable', { code: codeFor(setup.body.secret) }, { token: newAdmin.token });
+        assert.equal((await t.get('/auth/users', { token: enabled.body.token })).status, 200);
+
+        await t.getCollection('users').updateOne({ _id: newAdmin.user._id }, { $set: { password: await bcryptjs.hash('Passw0rd!', 4) } });
+        const disable = await t.post('/auth/2fa/disable', { password: 'Passw0rd!', code: codeFor(setup.body.secret, 1) }, { token: enabled.body.token });
+        assert.equal(disable.status, 400);
+        assert.equal(disable.body.code, 'REQUIRED');
+    });
+
+    it('needs a recent code for balance adjustments and 2FA resets', async () => {
+        const user = await t.createUser({ twoFactor: true });
+        const adminToken = await freshSession(admin);
+
+        const topup = await t.post('/auth/topup', { userId: user.id, amount: 500, reason: 'Goodwill credit' }, { token: adminToken });
+        assert.equal(topup.status, 403);
+        assert.equal(topup.body.code, 'STEP_UP_REQUIRED');
+
+        // admin.token's session confirmed a code at sign-in
+        const reset = await t.post(`/auth/user/${user.id}/2fa/reset`, { reason: 'Lost phone, identity checked' }, { token: admin.token });
+        assert.equal(reset.status, 200);
+        assert.equal((await findUser(user)).two_factor, undefined);
+        assert.equal((await t.get('/auth/me', { token: user.token })).status, 401);
+
+        const entry = await t.getCollection('audit_log').findOne({ action: 'user.two_factor_reset', 'target.id': user.id });
+        assert.equal(entry.reason, 'Lost phone, identity checked');
+    });
+
+    it('turns 2FA off for a user who confirms their password and a code', async () => {
+        const user = await t.createUser({ twoFactor: true });
+        await t.getCollection('users').updateOne({ _id: user.user._id }, { $set: { password: await bcryptjs.hash('Passw0rd!', 4) } });
+
+        assert.equal((await t.post('/auth/2fa/disable', { password: 'Wrong000!', code: codeFor(user.totpSecret) }, { token: user.token })).status, 400);
+
+        const off = await t.post('/auth/2fa/disable', { password: 'Passw0rd!', code: codeFor(user.totpSecret, 1) }, { token: user.token });
+        assert.equal(off.status, 200);
+        assert.equal((await t.get('/auth/2fa', { token: user.token })).body.enabled, false);
+    });
+});